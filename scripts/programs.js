@@ -0,0 +1,23 @@
+/**
+ * Shared program loading for the command-line tools
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { toAssembly } from '../src/simulation/MatchRunner.js';
+
+/**
+ * Read a bot from disk and convert it to assembly.
+ * Files ending in .asm are loaded as assembly, anything else as TankScript.
+ * @param {string} file - Path to the program file
+ * @returns {{mode: string, source: string, asm: string}}
+ */
+export function loadProgram(file) {
+    const mode = extname(file).toLowerCase() === '.asm' ? 'assembly' : 'tankscript';
+    try {
+        const source = readFileSync(file, 'utf8');
+        return { mode, source, asm: toAssembly(source, mode) };
+    } catch (e) {
+        throw new Error(`${file}: ${e.message}`);
+    }
+}
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+/**
+ * Headless match runner for CPU Wars
+ * Usage: node scripts/run-match.js <p1-file> <p2-file> [level] [--json] [--repeat N --seed S] [--replay out.json]
+ *
+ * Matches are deterministic, so repeating one only makes sense on different arenas:
+ * --repeat N --seed S plays N matches on generated arenas (cycling through the
+ * patterns, seeds S, S+1, ...) instead of the level.
+ * Files ending in .asm are loaded as assembly, anything else as TankScript.
+ */
+
+import { writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { runMatch, summarizeMatches } from '../src/simulation/MatchRunner.js';
+import { arenaRegistry } from '../src/simulation/arenas.js';
+import { generateArena, ARENA_PATTERNS } from '../src/simulation/ArenaGenerator.js';
+import { loadProgram } from './programs.js';
+
+const USAGE = 'Usage: node scripts/run-match.js <p1-file> <p2-file> [level] [--json] [--repeat N --seed S] [--replay out.json]';
+
+function parseArgs(argv) {
+    const opts = { files: [], level: null, json: false, repeat: 1, seed: null };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') opts.json = true;
+        else if (arg === '--repeat') opts.repeat = parseInt(argv[++i], 10);
+        else if (arg === '--seed') opts.seed = parseInt(argv[++i], 10);
+        else if (arg === '--replay') opts.replay = argv[++i];
+        else if (arg === '--help' || arg === '-h') opts.help = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option '${arg}'`);
+        else if (opts.files.length < 2) opts.files.push(arg);
+        else opts.level = parseInt(arg, 10);
+    }
+    if (opts.help) return opts;
+    if (opts.files.length !== 2) throw new Error('Expected two program files');
+    if (!Number.isInteger(opts.repeat) || opts.repeat < 1) throw new Error('--repeat must be a positive integer');
+    if (opts.replay === undefined && argv.includes('--replay')) throw new Error('--replay needs a file name');
+    if (opts.seed === null) {
+        if (opts.repeat > 1) throw new Error('--repeat needs --seed: matches on the same level always end the same way');
+        if (opts.level === null) opts.level = 1;
+        if (!Number.isInteger(opts.level)) throw new Error('Level must be a number');
+    } else {
+        if (!Number.isInteger(opts.seed)) throw new Error('--seed must be an integer');
+        if (opts.level !== null) throw new Error('--seed plays on generated arenas and cannot be combined with a level');
+        if (opts.replay) throw new Error('--replay cannot be combined with --seed: replays only store the level number');
+    }
+    return opts;
+}
+
+/**
+ * Register a generated arena and return its level number
+ */
+function generateLevel(seed, pattern) {
+    return arenaRegistry.register(generateArena({ seed, pattern })).id;
+}
+
+function main() {
+    let opts;
+    try {
+        opts = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`${e.message}\n${USAGE}`);
+        process.exit(2);
+    }
+    if (opts.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const [p1File, p2File] = opts.files;
+    const results = [];
+    try {
+        const p1 = loadProgram(p1File);
+        const p2 = loadProgram(p2File);
+        const sources = {
+            P1: { mode: p1.mode, source: p1.source },
+            P2: { mode: p2.mode, source: p2.source }
+        };
+        for (let i = 0; i < opts.repeat; i++) {
+            const level = opts.seed === null ? opts.level : generateLevel(opts.seed + i, ARENA_PATTERNS[i % ARENA_PATTERNS.length]);
+            results.push(runMatch(p1.asm, p2.asm, { level, record: !!opts.replay, sources }));
+        }
+        if (opts.replay) writeFileSync(opts.replay, JSON.stringify(results[0].replay));
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    const players = { P1: p1File, P2: p2File };
+
+    if (opts.json) {
+        const output = opts.seed === null ? { level: opts.level, players } : { seeds: [opts.seed, opts.seed + opts.repeat - 1], players };
+        if (opts.repeat === 1) output.result = { ...results[0], replay: undefined };
+        else output.summary = summarizeMatches(results);
+        console.log(JSON.stringify(output, null, 2));
+        return;
+    }
+
+    const arena = opts.seed === null ? `Level ${opts.level}` : `Generated arenas (seeds ${opts.seed}-${opts.seed + opts.repeat - 1})`;
+    console.log(`${arena}: P1 (${basename(p1File)}) vs P2 (${basename(p2File)})`);
+    if (opts.repeat === 1) {
+        const r = results[0];
+        console.log(`Winner: ${r.winner} after ${r.turns} turns`);
+        console.log(`Final HP: P1 ${r.hp.P1}, P2 ${r.hp.P2}`);
+    } else {
+        const s = summarizeMatches(results);
+        console.log(`Matches: ${s.matches}`);
+        console.log(`Wins: P1 ${s.wins.P1}, P2 ${s.wins.P2}, Draws ${s.draws}`);
+        console.log(`Avg turns: ${s.avgTurns.toFixed(1)}`);
+        console.log(`Avg final HP: P1 ${s.avgHp.P1.toFixed(2)}, P2 ${s.avgHp.P2.toFixed(2)}`);
+    }
+}
+
+main();
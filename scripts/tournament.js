@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Round-robin tournament for CPU Wars
+ * Usage: node scripts/tournament.js <file> <file> [...] [--levels 1,2,3] [--generate N] [--seed S] [--json]
+ *
+ * Every pair of programs plays on every level in both seats.
+ * --generate N plays on N generated arenas (cycling through the patterns, seeds S, S+1, ...)
+ * instead of the built-in levels, so bots can be tested on maps they were not tuned for.
+ * Files ending in .asm are loaded as assembly, anything else as TankScript.
+ */
+
+import { basename, extname } from 'node:path';
+import { runTournament, formatStandings } from '../src/simulation/Tournament.js';
+import { BUILTIN_LEVELS, arenaRegistry } from '../src/simulation/arenas.js';
+import { generateArena, ARENA_PATTERNS } from '../src/simulation/ArenaGenerator.js';
+import { loadProgram } from './programs.js';
+
+const USAGE = 'Usage: node scripts/tournament.js <file> <file> [...] [--levels 1,2,3] [--generate N] [--seed S] [--json]';
+
+function parseArgs(argv) {
+    const opts = { files: [], levels: null, generate: 0, seed: 1, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--json') opts.json = true;
+        else if (arg === '--levels') opts.levels = (argv[++i] || '').split(',').map(n => parseInt(n, 10));
+        else if (arg === '--generate') opts.generate = parseInt(argv[++i], 10);
+        else if (arg === '--seed') opts.seed = parseInt(argv[++i], 10);
+        else if (arg === '--help' || arg === '-h') opts.help = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option '${arg}'`);
+        else opts.files.push(arg);
+    }
+    if (opts.help) return opts;
+    if (opts.files.length < 2) throw new Error('Expected at least two program files');
+    if (opts.levels && opts.levels.some(l => !arenaRegistry.has(l))) {
+        throw new Error(`--levels must be a comma-separated list of ${arenaRegistry.ids().join(', ')}`);
+    }
+    if (!Number.isInteger(opts.generate) || opts.generate < 0) throw new Error('--generate must be a positive integer');
+    if (!Number.isInteger(opts.seed)) throw new Error('--seed must be an integer');
+    if (!opts.levels) opts.levels = opts.generate > 0 ? [] : BUILTIN_LEVELS;
+    return opts;
+}
+
+/**
+ * Register generated arenas and return their level numbers
+ */
+function generateLevels(count, seed) {
+    const levels = [];
+    for (let i = 0; i < count; i++) {
+        const pattern = ARENA_PATTERNS[i % ARENA_PATTERNS.length];
+        levels.push(arenaRegistry.register(generateArena({ seed: seed + i, pattern })).id);
+    }
+    return levels;
+}
+
+function main() {
+    let opts;
+    try {
+        opts = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(`${e.message}\n${USAGE}`);
+        process.exit(2);
+    }
+    if (opts.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    let result;
+    try {
+        opts.levels = [...opts.levels, ...generateLevels(opts.generate, opts.seed)];
+        const entries = opts.files.map(file => ({
+            name: basename(file, extname(file)),
+            asm: loadProgram(file).asm
+        }));
+        result = runTournament(entries, { levels: opts.levels });
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+
+    if (opts.json) {
+        const arenas = opts.levels.map(id => ({ level: id, name: arenaRegistry.get(id).name }));
+        console.log(JSON.stringify({ levels: opts.levels, arenas, ...result }, null, 2));
+        return;
+    }
+
+    const names = opts.levels.map(id => `${id} (${arenaRegistry.get(id).name})`);
+    console.log(`Round robin: ${opts.files.length} programs, levels ${names.join(', ')}, ${result.matches.length} matches\n`);
+    console.log(formatStandings(result.standings));
+    console.log('\nD:SM = stalemate, D:TL = turn limit, D:MD = mutual destruction');
+}
+
+main();
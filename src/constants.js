@@ -2,12 +2,22 @@
  * Shared constants for CPU Wars
  */
 
-// Tank Identifiers
+// Simulation engine version, stored in replays and share links to detect incompatible files.
+// Bump it whenever the same program can behave differently.
+//   1: original instruction set with the CMP register
+//   2: FLAGS register (Z/C/V/N/D) instead of CMP, new register codes, byte-masked immediates,
+//      MUL/DIV/MOD, bitwise, flag and signed jumps
+export const ENGINE_VERSION = 2;
+
+// Tank Identifiers (arenas can have up to MAX_TANKS tanks: P1, P2, ... P9)
 export const TANK_IDS = { P1: 'P1', P2: 'P2' };
+export const MAX_TANKS = 9;
 
-// Arena Dimensions
+// Arena Dimensions (defaults; each arena sets its own size)
 export const GRID_WIDTH = 16;
 export const GRID_HEIGHT = 10;
+export const MIN_ARENA_SIZE = 4;
+export const MAX_ARENA_SIZE = 64;      // Coordinates and distances must fit in 8-bit registers
 
 // Game Rules
 export const INITIAL_HP = 3;
@@ -16,12 +26,6 @@ export const BULLET_SPEED = 2;         // Tiles per turn
 export const BULLET_MAX_RANGE = 40;
 export const MAX_TURNS = 1000;         // Prevent infinite games
 
-// Starting Positions
-export const START_POSITIONS = {
-    P1: { x: 0, y: 4, facing: 0 },    // East
-    P2: { x: 15, y: 5, facing: 2 }    // West
-};
-
 // Direction mappings (0=E, 1=S, 2=W, 3=N)
 export const DIRS = {
     0: { x: 1, y: 0 },   // East/Right
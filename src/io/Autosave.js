@@ -0,0 +1,120 @@
+export const AUTOSAVE_KEY = 'cpu-wars-autosave';
+export const HISTORY_LIMIT = 10;
+export const VERSION_INTERVAL_MS = 60 * 1000;
+
+const PLAYERS = ['p1', 'p2'];
+
+/**
+ * @typedef {Object} Session
+ * @property {number} level - Selected arena level
+ * @property {Object<string, TankProgram>} players - Editor contents keyed by 'p1'/'p2'
+ */
+
+/**
+ * @typedef {Object} SavedVersion
+ * @property {number} startedAt - Timestamp (ms) of the first save of this version
+ * @property {number} savedAt - Timestamp (ms) of the latest save of this version
+ * @property {TankProgram} program
+ */
+
+function isProgram(p) {
+    return !!p && (p.mode === 'tankscript' || p.mode === 'assembly') &&
+        typeof p.tankscript === 'string' && typeof p.assembly === 'string';
+}
+
+function isSession(s) {
+    return !!s && Number.isInteger(s.level) && !!s.players && PLAYERS.every(prefix => isProgram(s.players[prefix]));
+}
+
+function sameProgram(a, b) {
+    return a.mode === b.mode && a.tankscript === b.tankscript && a.assembly === b.assembly;
+}
+
+/**
+ * Persists the editor session and a short per-player version history.
+ * Saves made within VERSION_INTERVAL_MS of the newest version update it in
+ * place, so typing does not flood the history.
+ * Storage failures (quota, private browsing) are ignored: autosave is best effort.
+ */
+export class Autosave {
+    /**
+     * @param {Storage} storage - window.localStorage or anything with getItem/setItem
+     * @param {Object} [options]
+     * @param {string} [options.key=AUTOSAVE_KEY] - Storage key
+     * @param {number} [options.historyLimit=HISTORY_LIMIT] - Versions kept per player
+     * @param {number} [options.versionInterval=VERSION_INTERVAL_MS] - Minimum age before a new version is started
+     * @param {function(): number} [options.now=Date.now] - Clock
+     */
+    constructor(storage, { key = AUTOSAVE_KEY, historyLimit = HISTORY_LIMIT, versionInterval = VERSION_INTERVAL_MS, now = Date.now } = {}) {
+        this.storage = storage;
+        this.key = key;
+        this.historyLimit = historyLimit;
+        this.versionInterval = versionInterval;
+        this.now = now;
+        this.data = this.read();
+    }
+
+    read() {
+        const empty = { session: null, history: { p1: [], p2: [] } };
+        try {
+            const data = JSON.parse(this.storage.getItem(this.key));
+            if (!data || typeof data !== 'object') return empty;
+            const history = {};
+            PLAYERS.forEach(prefix => {
+                const versions = data.history && data.history[prefix];
+                history[prefix] = Array.isArray(versions) ? versions.filter(v => v && isProgram(v.program)) : [];
+            });
+            return { session: isSession(data.session) ? data.session : null, history };
+        } catch (e) {
+            return empty;
+        }
+    }
+
+    write() {
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.data));
+        } catch (e) {
+            // Ignore: storage full or unavailable
+        }
+    }
+
+    /**
+     * @returns {Session|null} The last saved session, or null if nothing was saved
+     */
+    get session() {
+        return this.data.session;
+    }
+
+    /**
+     * Saved versions for a player, newest first
+     * @param {string} prefix - 'p1' or 'p2'
+     * @returns {SavedVersion[]}
+     */
+    history(prefix) {
+        return this.data.history[prefix];
+    }
+
+    /**
+     * Save the current session and record changed programs in the history
+     * @param {Session} session
+     */
+    save(session) {
+        const time = this.now();
+        this.data.session = session;
+        PLAYERS.forEach(prefix => {
+            const program = session.players[prefix];
+            const versions = this.data.history[prefix];
+            const newest = versions[0];
+            if (newest && sameProgram(newest.program, program)) return;
+
+            if (newest && time - newest.startedAt < this.versionInterval) {
+                newest.program = { ...program };
+                newest.savedAt = time;
+            } else {
+                versions.unshift({ startedAt: time, savedAt: time, program: { ...program } });
+                versions.length = Math.min(versions.length, this.historyLimit);
+            }
+        });
+        this.write();
+    }
+}
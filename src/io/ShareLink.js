@@ -0,0 +1,91 @@
+import { ENGINE_VERSION } from '../constants.js';
+import { parseArena, arenaToDefinition } from '../simulation/Arena.js';
+
+export const SHARE_HASH_PREFIX = '#match=';
+export const SHARE_VERSION = 2; // 2: may carry the arena definition
+
+const PLAYERS = ['p1', 'p2'];
+
+// --- base64url helpers (URL-safe, no padding) ---
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
+
+async function transform(bytes, stream) {
+    const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Encode a match setup (level and both programs) for a URL hash.
+ * Only the source of each player's active editor mode is included.
+ * Level numbers of loaded, edited and generated arenas only mean something
+ * in the sender's browser, so pass those arenas to include their definition.
+ * @param {Session & {arena?: import('../simulation/Arena.js').Arena}} session - { level, players: { p1, p2 } } as used by Autosave,
+ *   plus the arena when it is not built in
+ * @returns {Promise<string>} Hash string starting with SHARE_HASH_PREFIX
+ */
+export async function encodeShareLink({ level, players, arena }) {
+    const data = { v: SHARE_VERSION, engine: ENGINE_VERSION, level, players: {} };
+    if (arena) data.arena = arenaToDefinition(arena);
+    PLAYERS.forEach(prefix => {
+        const { mode, tankscript, assembly } = players[prefix];
+        data.players[prefix] = { mode, source: mode === 'assembly' ? assembly : tankscript };
+    });
+    const json = new TextEncoder().encode(JSON.stringify(data));
+    const compressed = await transform(json, new CompressionStream('deflate-raw'));
+    return SHARE_HASH_PREFIX + toBase64Url(compressed);
+}
+
+/**
+ * Decode a hash produced by encodeShareLink.
+ * @param {string} hash - location.hash
+ * Links made before the engine version was stored count as engine version 1.
+ * @returns {Promise<(Session & {engineVersion: number, arena?: import('../simulation/Arena.js').Arena})|null>} Null if the hash is not a share link;
+ *   arena is set when the link carries its own arena
+ * @throws {Error} If the link is corrupt, holds an invalid arena or is from a newer version
+ */
+export async function decodeShareLink(hash) {
+    if (!hash || !hash.startsWith(SHARE_HASH_PREFIX)) return null;
+
+    let data;
+    try {
+        const bytes = await transform(fromBase64Url(hash.slice(SHARE_HASH_PREFIX.length)), new DecompressionStream('deflate-raw'));
+        data = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+        throw new Error('Share link is damaged (was it cut off?)');
+    }
+
+    if (!data || data.v > SHARE_VERSION) throw new Error('Share link was made by a newer version of the game');
+    if (!Number.isInteger(data.level) || !data.players) throw new Error('Share link is incomplete');
+
+    const players = {};
+    PLAYERS.forEach(prefix => {
+        const p = data.players[prefix];
+        if (!p || typeof p.source !== 'string' || !['tankscript', 'assembly'].includes(p.mode)) {
+            throw new Error('Share link is incomplete');
+        }
+        players[prefix] = p.mode === 'assembly'
+            ? { mode: 'assembly', tankscript: '', assembly: p.source }
+            : { mode: 'tankscript', tankscript: p.source, assembly: '' };
+    });
+    const session = { level: data.level, players, engineVersion: Number.isInteger(data.engine) ? data.engine : 1 };
+    if (data.arena) {
+        try {
+            session.arena = parseArena(data.arena);
+        } catch (e) {
+            throw new Error(`Share link arena is invalid: ${e.message}`);
+        }
+    }
+    return session;
+}
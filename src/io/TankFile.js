@@ -0,0 +1,59 @@
+export const TANK_FORMAT = 'cpu-wars-tank';
+export const TANK_FILE_VERSION = 1;
+
+const EDITOR_MODES = ['tankscript', 'assembly'];
+
+/**
+ * @typedef {Object} TankProgram
+ * @property {string} mode - Editor mode: 'tankscript' or 'assembly'
+ * @property {string} tankscript - TankScript editor contents
+ * @property {string} assembly - Assembly editor contents
+ */
+
+/**
+ * Serialize a player's program as a .tank file.
+ * @param {TankProgram} program
+ * @returns {string} File contents (JSON)
+ */
+export function serializeTank({ mode, tankscript, assembly }) {
+    return JSON.stringify({
+        format: TANK_FORMAT,
+        version: TANK_FILE_VERSION,
+        mode,
+        tankscript,
+        assembly
+    }, null, 2);
+}
+
+/**
+ * Parse a .tank file. Plain source files are accepted too: '.asm' files load
+ * as assembly and anything else as TankScript.
+ * @param {string} text - File contents
+ * @param {string} [filename] - Used to recognise plain source files
+ * @returns {TankProgram}
+ * @throws {Error} If a .tank file is malformed or from a newer version
+ */
+export function parseTank(text, filename = '') {
+    let data = null;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        // Not JSON: treat as a plain source file (unless it claims to be a .tank file)
+        if (filename.toLowerCase().endsWith('.tank')) throw new Error('Tank file is not valid JSON');
+    }
+
+    if (data === null || typeof data !== 'object') {
+        const isAsm = filename.toLowerCase().endsWith('.asm');
+        return { mode: isAsm ? 'assembly' : 'tankscript', tankscript: isAsm ? '' : text, assembly: isAsm ? text : '' };
+    }
+
+    if (data.format !== TANK_FORMAT) throw new Error('Not a CPU Wars tank file');
+    if (data.version > TANK_FILE_VERSION) {
+        throw new Error(`Tank file version ${data.version} is newer than this game supports (${TANK_FILE_VERSION})`);
+    }
+    if (!EDITOR_MODES.includes(data.mode)) throw new Error(`Unknown editor mode '${data.mode}'`);
+    if (typeof data.tankscript !== 'string' || typeof data.assembly !== 'string') {
+        throw new Error('Tank file is incomplete');
+    }
+    return { mode: data.mode, tankscript: data.tankscript, assembly: data.assembly };
+}
@@ -1,15 +1,30 @@
 import Phaser from 'phaser';
 import { BattleScene } from './view/scenes/BattleScene.js';
-import { OPCODE_BINARY } from './vm/InstructionSet.js';
+import { GRID_WIDTH, GRID_HEIGHT, ENGINE_VERSION } from './constants.js';
+import { OPCODE_BINARY, MEMORY_SIZE, FLAG_BITS } from './vm/InstructionSet.js';
 import { SimpleCompiler } from './vm/SimpleCompiler.js';
 import { Tokenizer } from './vm/Tokenizer.js';
 import { Parser } from './vm/Parser.js';
-import { BattleManager, TANK_IDS } from './simulation/BattleManager.js';
+import { Assembler } from './vm/Assembler.js';
+import { Analyzer } from './vm/Analyzer.js';
+import { BattleManager } from './simulation/BattleManager.js';
+import { arenaRegistry, BUILTIN_LEVELS } from './simulation/arenas.js';
+import { ArenaEditor } from './simulation/ArenaEditor.js';
+import { generateArena, DEFAULT_DENSITY } from './simulation/ArenaGenerator.js';
+import { serializeArena } from './simulation/Arena.js';
+import { ReplayRecorder, ReplayPlayer, parseReplay } from './simulation/Replay.js';
+import { Breakpoints, compileExpression } from './vm/Debugger.js';
+import { serializeTank, parseTank } from './io/TankFile.js';
+import { Autosave } from './io/Autosave.js';
+import { encodeShareLink, decodeShareLink } from './io/ShareLink.js';
+
+// Canvas for the default arena size; the scene resizes it when an arena of another size is loaded
+const canvasLayout = BattleScene.layoutFor(GRID_WIDTH, GRID_HEIGHT);
 
 const config = {
     type: Phaser.AUTO,
-    width: 640,
-    height: 440,  // Extra 40px for title at top
+    width: canvasLayout.canvasWidth,
+    height: canvasLayout.canvasHeight,  // Includes the title at the top
     parent: 'game-container',
     backgroundColor: '#000000',
     pixelArt: true,
@@ -27,9 +42,32 @@ const game = new Phaser.Game(config);
 const btnRun = document.getElementById('btn-run');
 const btnStop = document.getElementById('btn-stop');
 const btnStep = document.getElementById('btn-step');
+const btnStepBack = document.getElementById('btn-step-back');
 const btnFf = document.getElementById('btn-ff');
 const btnReset = document.getElementById('btn-reset');
 const levelSelect = document.getElementById('level-select');
+const btnShare = document.getElementById('btn-share');
+const btnArenaLoad = document.getElementById('btn-arena-load');
+const arenaFile = document.getElementById('arena-file');
+const btnArenaEdit = document.getElementById('btn-arena-edit');
+const btnArenaSave = document.getElementById('btn-arena-save');
+const genPattern = document.getElementById('gen-pattern');
+const genSeed = document.getElementById('gen-seed');
+const genDensity = document.getElementById('gen-density');
+const btnArenaGenerate = document.getElementById('btn-arena-generate');
+
+// Replay controls
+const btnReplaySave = document.getElementById('btn-replay-save');
+const btnReplayLoad = document.getElementById('btn-replay-load');
+const btnReplayPlay = document.getElementById('btn-replay-play');
+const replayFile = document.getElementById('replay-file');
+const replayScrub = document.getElementById('replay-scrub');
+const replayTurnLabel = document.getElementById('replay-turn');
+
+// Watch panel
+const watchInput = document.getElementById('watch-input');
+const btnWatchAdd = document.getElementById('btn-watch-add');
+const watchList = document.getElementById('watch-list');
 
 const scriptP1 = document.getElementById('p1-script');
 const scriptP2 = document.getElementById('p2-script');
@@ -55,6 +93,10 @@ const asmLinesP1 = document.getElementById('p1-asm-lines');
 const asmLinesP2 = document.getElementById('p2-asm-lines');
 const asmHighlightP1 = document.getElementById('p1-asm-highlight');
 const asmHighlightP2 = document.getElementById('p2-asm-highlight');
+const scriptHighlightP1 = document.getElementById('p1-script-highlight');
+const scriptHighlightP2 = document.getElementById('p2-script-highlight');
+const scriptWarningsP1 = document.getElementById('p1-script-warnings');
+const scriptWarningsP2 = document.getElementById('p2-script-warnings');
 
 // Script panels (for disabling in assembly mode)
 const scriptPanelP1 = document.getElementById('p1-script-panel');
@@ -71,11 +113,24 @@ let lastCompiledP2 = '';
 const compiler = new SimpleCompiler();
 const tokenizer = new Tokenizer();
 const parser = new Parser();
+const assembler = new Assembler();
+const analyzer = new Analyzer();
 
 // Strategies (Same as before)
 const STRATEGIES = {
     HUNTER: `# --- Hunter ---
 # Ping for enemy, chase them, scan and destroy
+
+# Facing the enemy's column: shoot if it is in sight, else close in
+def attack:
+  scan(var2, var3)
+  if var3 == 2:
+    fire
+  else:
+    move
+  end
+end
+
 var5 = 0
 loop:
   ping(var0, var1)
@@ -103,12 +158,7 @@ loop:
         if dir != 1:
           turn_right
         else:
-          scan(var2, var3)
-          if var3 == 2:
-            fire
-          else:
-            move
-          end
+          call attack
         end
       else:
         if posy > var1:
@@ -116,12 +166,7 @@ loop:
           if dir != 3:
             turn_left
           else:
-            scan(var2, var3)
-            if var3 == 2:
-              fire
-            else:
-              move
-            end
+            call attack
           end
         else:
           # On top of enemy? Spin and fire!
@@ -523,6 +568,7 @@ function updateAsmLineNumbers(prefix) {
         html += `<span class="ln" data-line="${i}">${(i).toString(16).padStart(2, '0').toUpperCase()}</span>`;
     }
     asmLines.innerHTML = html;
+    renderBreakpoints(prefix);
 }
 
 function syncAsmScroll(prefix) {
@@ -531,6 +577,10 @@ function syncAsmScroll(prefix) {
     asmLines.scrollTop = asmEditor.scrollTop;
 }
 
+// ASM editor line (0-based) of each instruction of the last compiled program, so the
+// PC highlight does not have to re-parse the editor on every tick
+const compiledInstructionLines = { p1: [], p2: [] };
+
 // Highlight PC line in ASM editor (assembly mode)
 function updateAsmPCHighlight(prefix, pc) {
     const asmWrapper = prefix === 'p1' ? asmWrapperP1 : asmWrapperP2;
@@ -543,10 +593,13 @@ function updateAsmPCHighlight(prefix, pc) {
         return;
     }
 
+    // Labels, comments and blank lines take editor lines but no address
+    const line = compiledInstructionLines[prefix][pc] ?? pc;
+
     const lineHeight = 15;
     const paddingTop = 5;
     const scrollTop = asmEditor.scrollTop;
-    const topPos = paddingTop + (pc * lineHeight) - scrollTop;
+    const topPos = paddingTop + (line * lineHeight) - scrollTop;
 
     // Only show if line is visible
     if (topPos >= 0 && topPos < asmWrapper.clientHeight - lineHeight) {
@@ -559,10 +612,40 @@ function updateAsmPCHighlight(prefix, pc) {
     // Highlight line number
     const allLns = asmLines.querySelectorAll('.ln');
     allLns.forEach(ln => ln.classList.remove('active'));
-    const activeLn = asmLines.querySelector(`.ln[data-line="${pc}"]`);
+    const activeLn = asmLines.querySelector(`.ln[data-line="${line}"]`);
     if (activeLn) activeLn.classList.add('active');
 }
 
+// Highlight the TankScript line being executed (tankscript mode)
+const scriptHighlightLines = { p1: null, p2: null };
+
+function updateScriptHighlight(prefix, line) {
+    if (line !== undefined) scriptHighlightLines[prefix] = line;
+    const current = scriptHighlightLines[prefix];
+    const scriptEl = prefix === 'p1' ? scriptP1 : scriptP2;
+    const highlight = prefix === 'p1' ? scriptHighlightP1 : scriptHighlightP2;
+
+    if (editorModes[prefix] !== 'tankscript' || !current) {
+        highlight.style.display = 'none';
+        return;
+    }
+
+    const lineHeight = 16;
+    const paddingTop = 6; // padding + border
+    const topPos = paddingTop + ((current - 1) * lineHeight) - scriptEl.scrollTop;
+
+    // Only show if line is visible
+    if (topPos >= 0 && topPos < scriptEl.clientHeight - lineHeight) {
+        highlight.style.display = 'block';
+        highlight.style.top = topPos + 'px';
+    } else {
+        highlight.style.display = 'none';
+    }
+}
+
+scriptP1.addEventListener('scroll', () => { updateScriptHighlight('p1'); renderScriptWarnings('p1'); });
+scriptP2.addEventListener('scroll', () => { updateScriptHighlight('p2'); renderScriptWarnings('p2'); });
+
 // --- Editor Mode Switching ---
 function setEditorMode(player, mode) {
     const prefix = player; // 'p1' or 'p2'
@@ -618,15 +701,242 @@ document.querySelectorAll('.mode-toggle .mode-btn').forEach(btn => {
 });
 
 // ASM editor input/scroll listeners for line number sync
-asmEditorP1.addEventListener('input', () => updateAsmLineNumbers('p1'));
+asmEditorP1.addEventListener('input', () => { bindBreakpoints('p1', asmEditorProgram('p1')); updateAsmLineNumbers('p1'); });
 asmEditorP1.addEventListener('scroll', () => syncAsmScroll('p1'));
-asmEditorP2.addEventListener('input', () => updateAsmLineNumbers('p2'));
+asmEditorP2.addEventListener('input', () => { bindBreakpoints('p2', asmEditorProgram('p2')); updateAsmLineNumbers('p2'); });
 asmEditorP2.addEventListener('scroll', () => syncAsmScroll('p2'));
 
+// --- Breakpoints ---
+const breakpoints = new Breakpoints();
+const listedPrograms = { p1: [], p2: [] }; // Program shown in each assembly viewer, which viewer clicks refer to
+let breakpointResumeMark = null; // Step where execution last paused, so RUN continues past it
+
+function formatAddr(pc) {
+    return pc.toString(16).padStart(2, '0').toUpperCase();
+}
+
+// Instructions in the ASM editor, or null if it does not parse
+function asmEditorProgram(prefix) {
+    const asmEditor = prefix === 'p1' ? asmEditorP1 : asmEditorP2;
+    try {
+        return parser.parse(tokenizer.tokenize(asmEditor.value)).program || null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// ASM editor line (0-based) of each instruction in the editor, empty if it does not parse
+function asmEditorInstructionLines(prefix) {
+    const program = asmEditorProgram(prefix);
+    return program ? program.map(inst => inst.line - 1) : [];
+}
+
+// Breakpoints are instruction indices: once a player's program changes they are dropped
+function bindBreakpoints(prefix, program) {
+    if (!program) return;
+    const tankId = prefix.toUpperCase();
+    if (breakpoints.bindProgram(tankId, program)) {
+        showStatus(`${tankId} breakpoints cleared: the program changed`);
+        renderBreakpoints(prefix);
+    }
+}
+
+// Mark breakpoints in the assembly viewer and the ASM editor gutter
+function renderBreakpoints(prefix) {
+    const tankId = prefix.toUpperCase();
+    const viewer = prefix === 'p1' ? viewerP1 : viewerP2;
+    const asmLines = prefix === 'p1' ? asmLinesP1 : asmLinesP2;
+
+    const mark = (el, bp) => {
+        el.classList.toggle('breakpoint', !!bp);
+        el.classList.toggle('conditional', !!(bp && bp.condition));
+        el.title = bp ? (bp.condition ? `Break when ${bp.condition}` : 'Breakpoint') : '';
+    };
+
+    viewer.querySelectorAll('.asm-line').forEach((row, pc) => mark(row, breakpoints.get(tankId, pc)));
+
+    asmLines.querySelectorAll('.ln').forEach(ln => mark(ln, null));
+    asmEditorInstructionLines(prefix).forEach((line, pc) => {
+        const ln = asmLines.querySelector(`.ln[data-line="${line}"]`);
+        if (ln) mark(ln, breakpoints.get(tankId, pc));
+    });
+    renderWarnings(prefix);
+}
+
+// Click toggles a breakpoint on an instruction of program; shift-click edits its condition
+function editBreakpoint(prefix, program, pc, withCondition) {
+    const tankId = prefix.toUpperCase();
+    bindBreakpoints(prefix, program);
+    if (withCondition) {
+        const current = breakpoints.get(tankId, pc);
+        const condition = window.prompt(`Break ${tankId} at ${formatAddr(pc)} when (empty = always):`, current ? current.condition || '' : '');
+        if (condition === null) return;
+        try {
+            breakpoints.set(tankId, pc, condition);
+        } catch (e) {
+            showError(tankId, `Breakpoint Error: ${e.message}`);
+            return;
+        }
+        clearError(tankId);
+    } else {
+        breakpoints.toggle(tankId, pc);
+    }
+    renderBreakpoints(prefix);
+}
+
+[['p1', viewerP1, asmLinesP1], ['p2', viewerP2, asmLinesP2]].forEach(([prefix, viewer, asmLines]) => {
+    viewer.addEventListener('click', (e) => {
+        const addr = e.target.closest('.asm-addr');
+        if (!addr) return;
+        editBreakpoint(prefix, listedPrograms[prefix], [...viewer.children].indexOf(addr.parentElement), e.shiftKey);
+    });
+    asmLines.addEventListener('click', (e) => {
+        const ln = e.target.closest('.ln');
+        if (!ln) return;
+        // Breakpoints belong to instructions: use the first one at or after the clicked line
+        const line = parseInt(ln.dataset.line, 10);
+        const program = asmEditorProgram(prefix) || [];
+        const pc = program.findIndex(inst => inst.line - 1 >= line);
+        if (pc !== -1) editBreakpoint(prefix, program, pc, e.shiftKey);
+    });
+});
+
+// Breakpoint the next tick would run into, or null
+function pendingBreakpoint() {
+    for (const id of ['P1', 'P2']) {
+        const next = battleManager.peekNextStep(id);
+        if (next && breakpoints.shouldBreak(id, next.pc, next.registers)) return { id, pc: next.pc };
+    }
+    return null;
+}
+
+function stepMark() {
+    const { P1, P2 } = battleManager.tanks;
+    return `${battleManager.turnCount}:${P1.totalOps}:${P2.totalOps}`;
+}
+
+// --- Watches ---
+const watches = []; // { expr, evaluate }
+let lastWatchState = null;
+
+function renderWatches(state) {
+    if (state) lastWatchState = state;
+    watchList.innerHTML = '';
+    if (watches.length === 0) return;
+
+    const header = document.createElement('tr');
+    ['Watch', 'P1', 'P2', ''].forEach(text => {
+        const th = document.createElement('th');
+        th.textContent = text;
+        header.appendChild(th);
+    });
+    watchList.appendChild(header);
+
+    watches.forEach((watch, index) => {
+        const row = document.createElement('tr');
+        const exprCell = document.createElement('td');
+        exprCell.textContent = watch.expr;
+        row.appendChild(exprCell);
+        ['P1', 'P2'].forEach(id => {
+            const cell = document.createElement('td');
+            const tank = lastWatchState && lastWatchState.tanks[id];
+            cell.textContent = tank && tank.debugRegisters ? watch.evaluate(tank.debugRegisters) : '-';
+            row.appendChild(cell);
+        });
+        const removeCell = document.createElement('td');
+        const remove = document.createElement('span');
+        remove.className = 'watch-remove';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => { watches.splice(index, 1); renderWatches(); });
+        removeCell.appendChild(remove);
+        row.appendChild(removeCell);
+        watchList.appendChild(row);
+    });
+}
+
+function addWatch() {
+    const expr = watchInput.value.trim();
+    if (!expr) return;
+    try {
+        watches.push({ expr, evaluate: compileExpression(expr) });
+    } catch (e) {
+        showStatus(`Watch error: ${e.message}`);
+        return;
+    }
+    watchInput.value = '';
+    renderWatches();
+}
+
+btnWatchAdd.addEventListener('click', addWatch);
+watchInput.addEventListener('keydown', (e) => { if (e.key === 'Enter') addWatch(); });
+
 // UI Updater
-const REGISTERS = ['PC', 'ACC', 'CMP', 'R0', 'R1', 'R2', 'R3', 'R4', 'R5', 'PX', 'PY', 'DIR', 'HP', 'AMMO'];
+const REGISTERS = ['PC', 'ACC', 'FLAGS', 'R0', 'R1', 'R2', 'R3', 'R4', 'R5', 'PX', 'PY', 'DIR', 'HP', 'AMMO'];
+
+// --- Analyzer Warnings ---
+const analysisWarnings = { p1: [], p2: [] }; // From the last successful compile
+
+// Editor line of a warning: the TankScript line in TankScript mode, else the assembly line
+function warningLine(prefix, warning) {
+    return editorModes[prefix] === 'tankscript' ? warning.sourceLine : warning.line;
+}
+
+// Mark warned instructions in the assembly viewer and the ASM editor gutter (after renderBreakpoints, keeping its titles)
+function renderWarnings(prefix) {
+    const viewer = prefix === 'p1' ? viewerP1 : viewerP2;
+    const asmLines = prefix === 'p1' ? asmLinesP1 : asmLinesP2;
+
+    const mark = (el, messages) => {
+        el.classList.toggle('warn', messages.length > 0);
+        if (messages.length > 0) el.title = [el.title, ...messages].filter(Boolean).join('\n');
+    };
+    const byPc = pc => analysisWarnings[prefix].filter(w => w.pc === pc).map(w => w.message);
+    const byLine = line => analysisWarnings[prefix].filter(w => w.line === line).map(w => w.message);
+
+    viewer.querySelectorAll('.asm-line').forEach((row, pc) => mark(row, byPc(pc)));
+    asmLines.querySelectorAll('.ln').forEach(ln => mark(ln, byLine(Number(ln.dataset.line) + 1)));
+    renderScriptWarnings(prefix);
+}
+
+// Tint TankScript lines that have warnings (positioned like updateScriptHighlight)
+function renderScriptWarnings(prefix) {
+    const scriptEl = prefix === 'p1' ? scriptP1 : scriptP2;
+    const container = prefix === 'p1' ? scriptWarningsP1 : scriptWarningsP2;
+    container.innerHTML = '';
+    if (editorModes[prefix] !== 'tankscript') return;
+
+    const lineHeight = 16;
+    const paddingTop = 6; // padding + border
+    const lines = new Set(analysisWarnings[prefix].map(w => w.sourceLine).filter(line => line));
+    lines.forEach(line => {
+        const topPos = paddingTop + ((line - 1) * lineHeight) - scriptEl.scrollTop;
+        if (topPos < 0 || topPos >= scriptEl.clientHeight - lineHeight) return;
+        const marker = document.createElement('div');
+        marker.className = 'script-warning';
+        marker.style.top = topPos + 'px';
+        container.appendChild(marker);
+    });
+}
+
+// List the warnings under the player header as "Line N: message"
+function showWarnings(prefix, warnings) {
+    analysisWarnings[prefix] = warnings;
+    const el = document.getElementById(`${prefix}-warnings`);
+    el.innerHTML = '';
+    warnings.forEach(w => {
+        const line = warningLine(prefix, w);
+        const entry = document.createElement('div');
+        entry.textContent = `${line ? `Line ${line}` : `[${formatAddr(w.pc)}]`}: ${w.message}`;
+        el.appendChild(entry);
+    });
+    el.style.display = warnings.length > 0 ? 'block' : 'none';
+    renderWarnings(prefix);
+}
 
 // Error Helper
+// Runtime errors (the CPU's lastError) share the error box with compile errors
+const runtimeErrors = { p1: null, p2: null };
+
 function showError(prefix, msg) {
     const el = document.getElementById(prefix.toLowerCase() + '-error');
     if (el) { el.textContent = msg; el.style.display = 'block'; }
@@ -635,34 +945,69 @@ function showError(prefix, msg) {
 function clearError(prefix) {
     const el = document.getElementById(prefix.toLowerCase() + '-error');
     if (el) { el.style.display = 'none'; el.textContent = ''; }
+    runtimeErrors[prefix.toLowerCase()] = null;
+}
+
+// First runtime error among the tanks running this player's program (teammates from P3 up have no panels)
+function teamRuntimeError(prefix, tankData) {
+    if (tankData.debugError || replayPlayer) return tankData.debugError ?? null;
+    const id = prefix.toUpperCase();
+    const teammate = Object.entries(battleManager.tanks)
+        .find(([other, tank]) => other !== id && tank.team === battleManager.tanks[id].team && tank.debugError);
+    return teammate ? `${teammate[0]}: ${teammate[1].debugError}` : null;
+}
+
+function showRuntimeError(prefix, error) {
+    if (error === runtimeErrors[prefix]) return;
+    if (error) {
+        showError(prefix, `Runtime Error: ${error}`);
+    } else {
+        clearError(prefix);
+    }
+    runtimeErrors[prefix] = error;
+}
+
+// Status Log Helper (messages not tied to a player)
+function showStatus(msg) {
+    const logEl = document.getElementById('status-log');
+    if (!logEl) return;
+    const entry = document.createElement('div');
+    entry.textContent = `> ${msg}`;
+    logEl.prepend(entry);
 }
 
 // Compile a single player's script (handles both TankScript and Assembly modes)
 function compilePlayer(prefix, scriptEl, viewerEl, machineEl) {
     clearError(prefix);
+    showWarnings(prefix.toLowerCase(), []);
     const mode = editorModes[prefix.toLowerCase()];
     const asmEditor = prefix.toLowerCase() === 'p1' ? asmEditorP1 : asmEditorP2;
 
     try {
         let asm;
+        let sourceMap = null;
 
         if (mode === 'assembly') {
             // Assembly mode: read directly from asm editor
             asm = asmEditor.value;
         } else {
-            // TankScript mode: compile first
-            asm = compiler.compile(scriptEl.value);
+            // TankScript mode: compile first, keeping the line mapping for highlighting
+            ({ asm, sourceMap } = compiler.compileWithSourceMap(scriptEl.value));
         }
 
         const tokens = tokenizer.tokenize(asm);
-        const { program, labels, error } = parser.parse(tokens);
+        const { program, labels, labelLines, error } = parser.parse(tokens, sourceMap);
         if (error) throw new Error(error);
+        showWarnings(prefix.toLowerCase(), analyzer.analyze(program, labels, labelLines));
+        compiledInstructionLines[prefix.toLowerCase()] = program.map(inst => inst.line - 1);
+        bindBreakpoints(prefix.toLowerCase(), program);
 
         // Always update viewers (in tankscript mode, show compiled; in asm mode, show parsed)
+        listedPrograms[prefix.toLowerCase()] = program;
         renderAssembly(viewerEl, program);
-        renderMachineCode(machineEl, program);
+        renderMachineCode(machineEl, program, labels);
 
-        return { asm, program, labels };
+        return { asm, program, labels, sourceMap };
     } catch (e) {
         const errorType = mode === 'assembly' ? 'Parse' : 'Compile';
         showError(prefix, `${errorType} Error: ${e.message}`);
@@ -687,57 +1032,115 @@ let simulationRunning = false;
 const battleManager = new BattleManager();
 
 // Initialize view with initial state after Phaser scene is ready
-game.events.once('ready', () => {
-    window.dispatchEvent(new CustomEvent('reset-sim', {
-        detail: {
-            level: 1,
-            walls: Array.from(battleManager.grid.walls),
-            tanks: {
-                P1: { x: battleManager.tanks.P1.x, y: battleManager.tanks.P1.y, facing: battleManager.tanks.P1.facing },
-                P2: { x: battleManager.tanks.P2.x, y: battleManager.tanks.P2.y, facing: battleManager.tanks.P2.facing }
-            }
-        }
-    }));
-});
+/**
+ * Send the walls and tank start positions to the view
+ */
+function renderArena() {
+    window.dispatchEvent(new CustomEvent('reset-sim', { detail: arenaViewDetail() }));
+}
+
+/**
+ * Arena size, walls and tank positions and teams for the 'reset-sim' and 'run-sim' view events
+ */
+function arenaViewDetail() {
+    return {
+        level: parseInt(levelSelect.value),
+        width: battleManager.grid.width,
+        height: battleManager.grid.height,
+        walls: Array.from(battleManager.grid.walls),
+        tanks: Object.fromEntries(Object.entries(battleManager.tanks)
+            .map(([id, { x, y, facing, team }]) => [id, { x, y, facing, team }]))
+    };
+}
+
+game.events.once('ready', renderArena);
+
+// Name every tank a player's program drives: the CPU panels only show P1 and P2
+function renderPlayerLabels(teams) {
+    ['p1', 'p2'].forEach((prefix, i) => {
+        const id = prefix.toUpperCase();
+        const members = Object.keys(teams).filter(other => teams[other] === teams[id]);
+        const label = document.getElementById(`${prefix}-label`);
+        label.textContent = members.length > 1 ? `CPU_${i + 1} (TEAM ${members.join('+')})` : `CPU_${i + 1} (PLAYER ${i + 1})`;
+        label.title = members.length > 1 ? `This program drives ${members.join(', ')}; the panels below show ${id}` : '';
+    });
+}
 
 function updateUIState(state) {
     if (!state) return;
     updateCPU('p1', state.tanks.P1);
     updateCPU('p2', state.tanks.P2);
+    renderWatches(state);
     window.dispatchEvent(new CustomEvent('update-ui', { detail: state }));
 }
 
+// --- Step history (STEP BACK) ---
+// Ring buffer of { battle, replay } snapshots: the oldest entry is overwritten once it is full
+const MAX_STEP_HISTORY = 5000;
+const stepHistory = { entries: new Array(MAX_STEP_HISTORY), start: 0, length: 0 };
+
+function updateStepBackButton() {
+    btnStepBack.disabled = stepHistory.length === 0;
+}
+
+function clearStepHistory() {
+    stepHistory.entries.fill(undefined);
+    stepHistory.length = 0;
+    updateStepBackButton();
+}
+
+function pushStepHistory(entry) {
+    stepHistory.entries[(stepHistory.start + stepHistory.length) % MAX_STEP_HISTORY] = entry;
+    if (stepHistory.length < MAX_STEP_HISTORY) stepHistory.length++;
+    else stepHistory.start = (stepHistory.start + 1) % MAX_STEP_HISTORY;
+}
+
+function popStepHistory() {
+    if (stepHistory.length === 0) return null;
+    stepHistory.length--;
+    const index = (stepHistory.start + stepHistory.length) % MAX_STEP_HISTORY;
+    const entry = stepHistory.entries[index];
+    stepHistory.entries[index] = undefined;
+    return entry;
+}
+
+// Advance the battle by one tick. Returns true if a turn was resolved.
+// STEP snapshots every tick; RUN and FAST only snapshot at the start of a turn, so BACK after running rewinds whole turns.
+function advanceBattle({ everyTick = false } = {}) {
+    const turnStart = Object.values(battleManager.turnOps).every(ops => ops === 0);
+    if (everyTick || turnStart) {
+        pushStepHistory({ battle: battleManager.snapshot(), replay: recorder ? recorder.mark() : null });
+        updateStepBackButton();
+    }
+
+    const turnResolved = battleManager.tick();
+    if (recorder) recorder.capture();
+    return turnResolved;
+}
+
 function executeLoopStep() {
     if (!simulationRunning || battleManager.isGameOver) {
         stopSimulation();
         return;
     }
 
-    // Step P1 if not ready
-    const p1Ready = !!battleManager.pendingActions[TANK_IDS.P1] || battleManager.tanks[TANK_IDS.P1].hp <= 0;
-    if (!p1Ready) {
-        battleManager.stepCPU(TANK_IDS.P1);
-    }
-
-    // Step P2 if not ready
-    const p2Ready = !!battleManager.pendingActions[TANK_IDS.P2] || battleManager.tanks[TANK_IDS.P2].hp <= 0;
-    if (!p2Ready) {
-        battleManager.stepCPU(TANK_IDS.P2);
+    // Pause before a tank executes an instruction with a breakpoint
+    const hit = pendingBreakpoint();
+    if (hit && stepMark() !== breakpointResumeMark) {
+        breakpointResumeMark = stepMark();
+        stopSimulation();
+        showStatus(`${hit.id} hit breakpoint at ${formatAddr(hit.pc)}`);
+        return;
     }
 
-    // Update UI once after both have potentially stepped
+    // Step both CPUs; the turn resolves once both tanks have committed an action
+    const turnResolved = advanceBattle();
     updateUIState(battleManager.getState());
 
-    // Check if BOTH are ready now (re-evaluate after steps)
-    const p1Done = !!battleManager.pendingActions.P1 || battleManager.tanks.P1.hp <= 0;
-    const p2Done = !!battleManager.pendingActions.P2 || battleManager.tanks.P2.hp <= 0;
-
     let nextDelay = isFastForward ? 0 : microOpSpeed;
 
-    if (p1Done && p2Done) {
+    if (turnResolved) {
         // End of Turn!
-        battleManager.resolveTurn();
-        updateUIState(battleManager.getState());
         nextDelay = isFastForward ? 50 : runModeSpeed;
     }
 
@@ -779,13 +1182,14 @@ btnCompileP2.addEventListener('click', () => {
 // Main Control Button Handlers
 btnRun.addEventListener('click', () => {
     if (simulationRunning && !isFastForward) return;
+    if (replayPlayer) resetBattle(); // Leave replay mode
 
     // Get current source code for both players
     const p1Source = editorModes.p1 === 'assembly' ? asmEditorP1.value : scriptP1.value;
     const p2Source = editorModes.p2 === 'assembly' ? asmEditorP2.value : scriptP2.value;
 
     // Check if we need to recompile (no code loaded OR source changed)
-    const hasLoadedCode = battleManager.tanks.P1.cpu && battleManager.tanks.P2.cpu;
+    const hasLoadedCode = Object.values(battleManager.tanks).every(tank => tank.cpu);
     const codeChanged = p1Source !== lastCompiledP1 || p2Source !== lastCompiledP2;
 
     if (!hasLoadedCode || codeChanged) {
@@ -803,20 +1207,12 @@ btnRun.addEventListener('click', () => {
         battleManager.setupArena(level);
         battleManager.resetTurnState();
 
-        const res = battleManager.loadCode(p1.asm, p2.asm);
+        const res = battleManager.loadCode(p1.asm, p2.asm, { P1: p1.sourceMap, P2: p2.sourceMap });
         if (!res.success) { showError('P1', res.error); return; }
+        beginMatch(level);
 
         // Send walls and initial tank state to view
-        window.dispatchEvent(new CustomEvent('run-sim', {
-            detail: {
-                level,
-                walls: Array.from(battleManager.grid.walls),
-                tanks: {
-                    P1: { x: battleManager.tanks.P1.x, y: battleManager.tanks.P1.y, facing: battleManager.tanks.P1.facing },
-                    P2: { x: battleManager.tanks.P2.x, y: battleManager.tanks.P2.y, facing: battleManager.tanks.P2.facing }
-                }
-            }
-        }));
+        window.dispatchEvent(new CustomEvent('run-sim', { detail: arenaViewDetail() }));
     }
     // If code was already loaded and unchanged, just continue from current state
 
@@ -830,41 +1226,50 @@ btnStop.addEventListener('click', () => {
 
 btnStep.addEventListener('click', () => {
     stopSimulation(); // Ensure interval is off, but button becomes active
+    if (replayPlayer) { stepReplay(1); return; }
     
     // Lazy compile/load if CPUs missing
     if (!battleManager.tanks.P1.cpu) {
          const p1 = compilePlayer('P1', scriptP1, viewerP1, machineP1);
          const p2 = compilePlayer('P2', scriptP2, viewerP2, machineP2);
          if (!p1 || !p2) return;
-         battleManager.loadCode(p1.asm, p2.asm);
+         battleManager.loadCode(p1.asm, p2.asm, { P1: p1.sourceMap, P2: p2.sourceMap });
+         beginMatch(parseInt(levelSelect.value));
     }
     
-    // Step BOTH tanks (simultaneous visual step)
-    const p1Ready = !!battleManager.pendingActions[TANK_IDS.P1] || battleManager.tanks[TANK_IDS.P1].hp <= 0;
-    if (!p1Ready) battleManager.stepCPU(TANK_IDS.P1);
+    // Step BOTH tanks (simultaneous visual step), resolving the turn if both are ready
+    advanceBattle({ everyTick: true });
+    updateUIState(battleManager.getState());
+});
 
-    const p2Ready = !!battleManager.pendingActions[TANK_IDS.P2] || battleManager.tanks[TANK_IDS.P2].hp <= 0;
-    if (!p2Ready) battleManager.stepCPU(TANK_IDS.P2);
+btnStepBack.addEventListener('click', () => {
+    stopSimulation();
+    if (replayPlayer) { stepReplay(-1); return; }
+    const entry = popStepHistory();
+    if (!entry) return;
 
-    // Check resolve
-    const p1Done = !!battleManager.pendingActions.P1 || battleManager.tanks.P1.hp <= 0;
-    const p2Done = !!battleManager.pendingActions.P2 || battleManager.tanks.P2.hp <= 0;
+    battleManager.restore(entry.battle);
+    if (recorder && entry.replay) recorder.rewind(entry.replay);
+    updateStepBackButton();
 
-    if (p1Done && p2Done) {
-        battleManager.resolveTurn();
-    }
-    updateUIState(battleManager.getState());
+    // Snap the view back instead of animating
+    const state = battleManager.getState();
+    updateCPU('p1', state.tanks.P1);
+    updateCPU('p2', state.tanks.P2);
+    renderWatches(state);
+    window.dispatchEvent(new CustomEvent('seek-sim', { detail: { state } }));
 });
 
 btnFf.addEventListener('click', () => {
     if (simulationRunning && isFastForward) return;
+    if (replayPlayer) resetBattle(); // Leave replay mode
 
     // Get current source code for both players
     const p1Source = editorModes.p1 === 'assembly' ? asmEditorP1.value : scriptP1.value;
     const p2Source = editorModes.p2 === 'assembly' ? asmEditorP2.value : scriptP2.value;
 
     // Check if we need to recompile (no code loaded OR source changed)
-    const hasLoadedCode = battleManager.tanks.P1.cpu && battleManager.tanks.P2.cpu;
+    const hasLoadedCode = Object.values(battleManager.tanks).every(tank => tank.cpu);
     const codeChanged = p1Source !== lastCompiledP1 || p2Source !== lastCompiledP2;
 
     if (!hasLoadedCode || codeChanged) {
@@ -881,53 +1286,384 @@ btnFf.addEventListener('click', () => {
         battleManager.setupArena(level);
         battleManager.resetTurnState();
 
-        const res = battleManager.loadCode(p1.asm, p2.asm);
+        const res = battleManager.loadCode(p1.asm, p2.asm, { P1: p1.sourceMap, P2: p2.sourceMap });
         if (!res.success) { showError('P1', res.error); return; }
+        beginMatch(level);
 
-        window.dispatchEvent(new CustomEvent('run-sim', {
-            detail: {
-                level,
-                walls: Array.from(battleManager.grid.walls),
-                tanks: {
-                    P1: { x: battleManager.tanks.P1.x, y: battleManager.tanks.P1.y, facing: battleManager.tanks.P1.facing },
-                    P2: { x: battleManager.tanks.P2.x, y: battleManager.tanks.P2.y, facing: battleManager.tanks.P2.facing }
-                }
-            }
-        }));
+        window.dispatchEvent(new CustomEvent('run-sim', { detail: arenaViewDetail() }));
     }
     isFastForward = true;
     startSimulationLoop();
 });
 
-btnReset.addEventListener('click', () => {
+function resetBattle() {
     stopSimulation();
+    if (replayPlayer) {
+        stopReplayPlayback();
+        replayPlayer = null;
+        updateReplayControls();
+    }
     const level = parseInt(levelSelect.value);
     battleManager.setupArena(level);
     battleManager.resetTurnState();
+    renderPlayerLabels(Object.fromEntries(Object.entries(battleManager.tanks).map(([id, tank]) => [id, tank.team])));
+    clearStepHistory();
     const p1 = compilePlayer('P1', scriptP1, viewerP1, machineP1);
     const p2 = compilePlayer('P2', scriptP2, viewerP2, machineP2);
-    if (p1 && p2) {
-        battleManager.loadCode(p1.asm, p2.asm);
+    const res = p1 && p2 && battleManager.loadCode(p1.asm, p2.asm, { P1: p1.sourceMap, P2: p2.sourceMap });
+    if (res && !res.success) showError('P1', res.error);
+    if (res && res.success) {
+        beginMatch(level);
         // Track compiled source
         lastCompiledP1 = editorModes.p1 === 'assembly' ? asmEditorP1.value : scriptP1.value;
         lastCompiledP2 = editorModes.p2 === 'assembly' ? asmEditorP2.value : scriptP2.value;
     }
     updateUIState(battleManager.getState());
-    // Send walls and initial tank state to view
+    renderArena();
+    btnStop.classList.remove('active');
+}
+
+btnReset.addEventListener('click', resetBattle);
+
+levelSelect.addEventListener('change', () => { btnReset.click(); });
+
+// --- Arenas ---
+function renderLevelOptions() {
+    const selected = levelSelect.value;
+    levelSelect.innerHTML = '';
+    arenaRegistry.list().forEach(arena => {
+        const option = document.createElement('option');
+        option.value = arena.id;
+        option.textContent = `Level ${arena.id}: ${arena.name}`;
+        levelSelect.appendChild(option);
+    });
+    if (selected) levelSelect.value = selected;
+}
+
+renderLevelOptions();
+
+btnArenaLoad.addEventListener('click', () => arenaFile.click());
+
+arenaFile.addEventListener('change', async () => {
+    const file = arenaFile.files[0];
+    arenaFile.value = '';
+    if (!file) return;
+    try {
+        const arena = arenaRegistry.register(await file.text());
+        renderLevelOptions();
+        levelSelect.value = arena.id;
+        btnReset.click();
+        showStatus(`Arena '${arena.name}' added as level ${arena.id}`);
+    } catch (e) {
+        showStatus(`Arena error: ${e.message}`);
+    }
+});
+
+// --- Arena editor ---
+let arenaEditor = null;     // Set while the arena editor is open
+let editedArenaId = null;   // Level number of the arena made in the editor (reused on every edit)
+const EDIT_LOCKED_CONTROLS = [btnRun, btnStep, btnFf, btnReset, levelSelect, btnArenaLoad, btnReplayLoad, btnArenaGenerate];
+
+function setArenaEditing(enabled) {
+    EDIT_LOCKED_CONTROLS.forEach(el => { el.disabled = enabled; });
+    btnArenaEdit.textContent = enabled ? 'PLAY ARENA' : 'EDIT ARENA';
+    btnArenaEdit.classList.toggle('active', enabled);
+    window.dispatchEvent(new CustomEvent('edit-arena', { detail: { enabled } }));
+}
+
+btnArenaEdit.addEventListener('click', () => {
+    if (!arenaEditor) {
+        resetBattle();
+        const arena = battleManager.arena;
+        arenaEditor = new ArenaEditor(arena, arena.id === editedArenaId ? arena.name : 'Custom Arena');
+        setArenaEditing(true);
+        return;
+    }
+
+    // Leave the editor: the arena must be playable before it is added to the level list
+    let arena;
+    try {
+        arena = arenaEditor.validate();
+    } catch (e) {
+        showStatus(`Arena error: ${e.message}`);
+        return;
+    }
+    arena = editedArenaId !== null ? arenaRegistry.replace(editedArenaId, arena) : arenaRegistry.register(arena);
+    editedArenaId = arena.id;
+    arenaEditor = null;
+    renderLevelOptions();
+    levelSelect.value = arena.id;
+    setArenaEditing(false);
+    resetBattle();
+});
+
+window.addEventListener('arena-edit', (e) => {
+    if (!arenaEditor) return;
+    const { action, tankId, x, y } = e.detail;
+    if (action === 'wall') arenaEditor.toggleWall(x, y);
+    else if (action === 'move') arenaEditor.moveStart(tankId, x, y);
+    else if (action === 'rotate') arenaEditor.rotateStart(tankId);
+    // Refused edits re-render too, snapping a dragged tank back
+    battleManager.setupArena(arenaEditor.toArena());
+    renderArena();
+});
+
+btnArenaSave.addEventListener('click', () => {
+    let arena;
+    try {
+        arena = arenaEditor ? arenaEditor.validate() : battleManager.arena;
+    } catch (e) {
+        showStatus(`Arena error: ${e.message}`);
+        return;
+    }
+    const name = prompt('Arena name:', arena.name);
+    if (name === null) return;
+    arena = { ...arena, name: name.trim() || arena.name };
+    if (arenaEditor) arenaEditor.name = arena.name;
+    const filename = arena.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'arena';
+    downloadFile(`${filename}.arena.json`, serializeArena(arena));
+});
+
+// --- Arena generator ---
+let generatedArenaId = null; // Level number reused by every generated arena
+
+// An empty density uses the pattern's default, shown as the placeholder
+genPattern.addEventListener('change', () => { genDensity.placeholder = DEFAULT_DENSITY[genPattern.value]; });
+
+btnArenaGenerate.addEventListener('click', () => {
+    if (genSeed.value === '') genSeed.value = Math.floor(Math.random() * 1000000);
+    const density = genDensity.value === '' ? undefined : parseFloat(genDensity.value);
+    let arena;
+    try {
+        arena = generateArena({ seed: parseInt(genSeed.value, 10), pattern: genPattern.value, density });
+    } catch (e) {
+        showStatus(`Arena error: ${e.message}`);
+        return;
+    }
+    arena = generatedArenaId !== null ? arenaRegistry.replace(generatedArenaId, arena) : arenaRegistry.register(arena);
+    generatedArenaId = arena.id;
+    renderLevelOptions();
+    levelSelect.value = arena.id;
+    resetBattle();
+});
+
+// --- Replays ---
+let recorder = null;      // Records the live match for SAVE REPLAY
+let replayPlayer = null;  // Set while watching a loaded replay
+let replayTimer = null;
+let replayTurn = 0;
+let replayStep = 0;       // CPU steps shown into the turn after replayTurn
+
+function currentSources() {
+    return {
+        P1: { mode: editorModes.p1, source: editorModes.p1 === 'assembly' ? asmEditorP1.value : scriptP1.value },
+        P2: { mode: editorModes.p2, source: editorModes.p2 === 'assembly' ? asmEditorP2.value : scriptP2.value }
+    };
+}
+
+// Start recording the freshly loaded match and forget the old step history
+function beginMatch(level) {
+    recorder = new ReplayRecorder(battleManager, { level, sources: currentSources() });
+    clearStepHistory();
+}
+
+function updateReplayControls() {
+    btnReplayPlay.disabled = !replayPlayer;
+    replayScrub.disabled = !replayPlayer;
+    replayScrub.max = replayPlayer ? replayPlayer.length : 0;
+    replayScrub.value = replayPlayer ? replayTurn : 0;
+    replayTurnLabel.textContent = replayPlayer
+        ? `T${replayTurn}${replayStep > 0 ? `+${replayStep}` : ''}/${replayPlayer.length}`
+        : '-';
+    btnReplayPlay.textContent = replayTimer ? 'PAUSE' : 'PLAY';
+    if (replayPlayer) btnStepBack.disabled = replayTurn === 0 && replayStep === 0;
+}
+
+// Show a replay position: animated when playing forward, snapped when scrubbing
+function showReplayTurn(turn, animate, step = 0) {
+    replayTurn = turn;
+    replayStep = step;
+    const state = replayPlayer.getState(turn, step);
+    updateCPU('p1', state.tanks.P1);
+    updateCPU('p2', state.tanks.P2);
+    renderWatches(state);
+    if (animate) window.dispatchEvent(new CustomEvent('update-ui', { detail: state }));
+    else window.dispatchEvent(new CustomEvent('seek-sim', { detail: { state } }));
+    updateReplayControls();
+}
+
+// STEP / BACK while watching a replay: move one CPU step, crossing turn boundaries
+function stepReplay(delta) {
+    stopReplayPlayback();
+    if (delta > 0) {
+        if (replayStep + 1 < replayPlayer.stepCount(replayTurn)) showReplayTurn(replayTurn, false, replayStep + 1);
+        else if (replayTurn < replayPlayer.length) showReplayTurn(replayTurn + 1, true); // This step resolves the turn
+    } else if (replayStep > 0) {
+        showReplayTurn(replayTurn, false, replayStep - 1);
+    } else if (replayTurn > 0) {
+        showReplayTurn(replayTurn - 1, false, Math.max(0, replayPlayer.stepCount(replayTurn - 1) - 1));
+    }
+}
+
+function stopReplayPlayback() {
+    if (replayTimer) clearInterval(replayTimer);
+    replayTimer = null;
+    updateReplayControls();
+}
+
+function loadReplay(replay) {
+    stopSimulation();
+    stopReplayPlayback();
+    recorder = null;
+    clearStepHistory();
+    replayPlayer = new ReplayPlayer(replay);
+    renderPlayerLabels(replayPlayer.teams);
+    if (arenaRegistry.has(replay.level)) levelSelect.value = replay.level;
+
+    // Show the recorded sources and programs (nothing is recompiled)
+    [['p1', 'P1', scriptP1, asmEditorP1, viewerP1, machineP1], ['p2', 'P2', scriptP2, asmEditorP2, viewerP2, machineP2]]
+        .forEach(([prefix, id, scriptEl, asmEditor, viewer, machine]) => {
+            clearError(id);
+            const src = replay.sources[id];
+            if (src && src.mode === 'assembly') {
+                setEditorMode(prefix, 'assembly');
+                asmEditor.value = src.source;
+                updateAsmLineNumbers(prefix);
+            } else if (src) {
+                scriptEl.value = src.source;
+                setEditorMode(prefix, 'tankscript');
+            }
+            // Recorded programs carry no line numbers; assembly sources are parsed once for them
+            compiledInstructionLines[prefix] = src && src.mode === 'assembly' ? asmEditorInstructionLines(prefix) : [];
+            const program = replayPlayer.getProgram(id);
+            listedPrograms[prefix] = program;
+            renderAssembly(viewer, program);
+            renderMachineCode(machine, program, replayPlayer.getLabels(id));
+        });
+
+    const toPosition = (id, [x, y, facing]) => ({ x, y, facing, team: replayPlayer.teams[id] });
     window.dispatchEvent(new CustomEvent('reset-sim', {
         detail: {
-            level,
-            walls: Array.from(battleManager.grid.walls),
-            tanks: {
-                P1: { x: battleManager.tanks.P1.x, y: battleManager.tanks.P1.y, facing: battleManager.tanks.P1.facing },
-                P2: { x: battleManager.tanks.P2.x, y: battleManager.tanks.P2.y, facing: battleManager.tanks.P2.facing }
-            }
+            level: replay.level,
+            width: replay.width,
+            height: replay.height,
+            walls: replay.walls,
+            tanks: Object.fromEntries(Object.entries(replay.initial.tanks).map(([id, packed]) => [id, toPosition(id, packed)]))
         }
     }));
-    btnStop.classList.remove('active');
+    showReplayTurn(0, false);
+}
+
+btnReplaySave.addEventListener('click', () => {
+    const replay = replayPlayer ? replayPlayer.replay : recorder && recorder.toJSON();
+    if (!replay) return;
+    downloadFile(`cpu-wars-replay-L${replay.level}-T${replay.result.turns}.json`, JSON.stringify(replay));
 });
 
-levelSelect.addEventListener('change', () => { btnReset.click(); });
+btnReplayLoad.addEventListener('click', () => replayFile.click());
+
+replayFile.addEventListener('change', async () => {
+    const file = replayFile.files[0];
+    replayFile.value = '';
+    if (!file) return;
+    try {
+        loadReplay(parseReplay(await file.text()));
+    } catch (e) {
+        showStatus(`Replay error: ${e.message}`);
+    }
+});
+
+btnReplayPlay.addEventListener('click', () => {
+    if (!replayPlayer) return;
+    if (replayTimer) { stopReplayPlayback(); return; }
+    if (replayTurn >= replayPlayer.length) showReplayTurn(0, false);
+    replayTimer = setInterval(() => {
+        if (replayTurn >= replayPlayer.length) { stopReplayPlayback(); return; }
+        showReplayTurn(replayTurn + 1, true);
+    }, runModeSpeed);
+    updateReplayControls();
+});
+
+replayScrub.addEventListener('input', () => {
+    if (!replayPlayer) return;
+    stopReplayPlayback();
+    showReplayTurn(parseInt(replayScrub.value), false);
+});
+
+// --- Program files (.tank) ---
+function currentProgram(prefix) {
+    return {
+        mode: editorModes[prefix],
+        tankscript: (prefix === 'p1' ? scriptP1 : scriptP2).value,
+        assembly: (prefix === 'p1' ? asmEditorP1 : asmEditorP2).value
+    };
+}
+
+// Load a program into a player's editors
+function applyProgram(prefix, program) {
+    const scriptEl = prefix === 'p1' ? scriptP1 : scriptP2;
+    const asmEditor = prefix === 'p1' ? asmEditorP1 : asmEditorP2;
+    clearError(prefix.toUpperCase());
+    scriptEl.value = program.tankscript;
+    setEditorMode(prefix, program.mode);
+    // setEditorMode regenerates the assembly from TankScript; restore the hand-written version
+    if (program.assembly) {
+        asmEditor.value = program.assembly;
+        updateAsmLineNumbers(prefix);
+    }
+}
+
+async function importProgramFile(prefix, file) {
+    try {
+        applyProgram(prefix, parseTank(await file.text(), file.name));
+        scheduleAutosave();
+        showStatus(`Loaded ${file.name} into ${prefix.toUpperCase()}`);
+    } catch (e) {
+        showError(prefix.toUpperCase(), `Import Error: ${e.message}`);
+    }
+}
+
+['p1', 'p2'].forEach(prefix => {
+    const fileInput = document.getElementById(`${prefix}-file`);
+    const section = document.getElementById(`${prefix}-section`);
+
+    document.getElementById(`${prefix}-import`).addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) importProgramFile(prefix, file);
+    });
+    document.getElementById(`${prefix}-export`).addEventListener('click', () => {
+        downloadFile(`cpu-wars-${prefix}.tank`, serializeTank(currentProgram(prefix)));
+    });
+
+    // Drag and drop a file onto the player's editors
+    section.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer.types.includes('Files')) return;
+        e.preventDefault();
+        section.classList.add('drag-over');
+    });
+    section.addEventListener('dragleave', (e) => {
+        if (!section.contains(e.relatedTarget)) section.classList.remove('drag-over');
+    });
+    section.addEventListener('drop', (e) => {
+        section.classList.remove('drag-over');
+        const file = e.dataTransfer.files[0];
+        if (!file) return;
+        e.preventDefault();
+        importProgramFile(prefix, file);
+    });
+});
+
+// Offer text content as a file download
+function downloadFile(filename, content, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
 
 // Render Functions
 function renderAssembly(viewer, program) {
@@ -945,35 +1681,68 @@ function renderAssembly(viewer, program) {
         text.textContent = `${inst.opcode} ${inst.args.join(', ')}`;
         row.appendChild(addr); row.appendChild(text); viewer.appendChild(row);
     });
+    renderBreakpoints(viewer.id.slice(0, 2));
 }
 
-function renderMachineCode(container, program) {
+function renderMachineCode(container, program, labels = {}) {
     container.innerHTML = '';
     if (!program) return;
+    // Rows stay one per instruction (for the PC highlight) but show byte addresses, as jumps do
+    const offsets = assembler.offsets(program);
+    const addresses = assembler.labelAddresses(labels, offsets);
     program.forEach((inst, index) => {
         const row = document.createElement('div');
         row.className = 'machine-line';
         row.id = container.id + '-line-' + index;
         const addr = document.createElement('span');
         addr.className = 'machine-addr';
-        addr.textContent = index.toString(16).padStart(2, '0').toUpperCase();
-        const opByte = OPCODE_BINARY[inst.opcode] || 0;
+        addr.textContent = offsets[index].toString(16).padStart(2, '0').toUpperCase();
+        // Opcode byte plus operand bytes; the full binary is shown on hover
+        const bytes = assembler.encodeInstruction(inst, addresses);
         const hex = document.createElement('span');
         hex.className = 'machine-hex';
-        hex.textContent = opByte.toString(16).padStart(2, '0').toUpperCase();
+        hex.textContent = bytes.map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
         const bin = document.createElement('span');
         bin.className = 'machine-bin';
-        bin.textContent = opByte.toString(2).padStart(8, '0');
+        bin.textContent = bytes[0].toString(2).padStart(8, '0');
+        row.title = bytes.map(b => b.toString(2).padStart(8, '0')).join(' ');
         row.appendChild(addr); row.appendChild(hex); row.appendChild(bin);
         container.appendChild(row);
     });
 }
 
+function renderMemory(container, memory = []) {
+    // Rows are built once; later updates only rewrite the bytes
+    if (container.childElementCount !== MEMORY_SIZE / 4) {
+        container.innerHTML = '';
+        for (let addr = 0; addr < MEMORY_SIZE; addr += 4) {
+            const row = document.createElement('div');
+            row.className = 'memory-line';
+            const label = document.createElement('span');
+            label.className = 'memory-addr';
+            label.textContent = addr.toString(16).padStart(2, '0').toUpperCase();
+            row.appendChild(label);
+            for (let i = 0; i < 4; i++) {
+                const byte = document.createElement('span');
+                byte.className = 'memory-byte';
+                row.appendChild(byte);
+            }
+            container.appendChild(row);
+        }
+    }
+    container.querySelectorAll('.memory-byte').forEach((el, addr) => {
+        const val = memory[addr] || 0;
+        el.textContent = val.toString(16).padStart(2, '0').toUpperCase();
+        el.classList.toggle('set', val !== 0);
+    });
+}
+
 // Game actions that end the turn (vs instant CPU operations)
-const GAME_ACTIONS = ['MOVE', 'ROTATE', 'FIRE', 'SCAN', 'PING', 'NOP'];
+const GAME_ACTIONS = ['MOVE', 'ROTATE', 'FIRE', 'SCAN', 'PING', 'SEND', 'NOP'];
 
 function updateCPU(prefix, tankData) {
     if (!tankData || !tankData.debugRegisters) return;
+    showRuntimeError(prefix, teamRuntimeError(prefix, tankData));
     const statusEl = document.getElementById(`${prefix}-status`);
     if (statusEl) {
         let statusText = 'IDLE';
@@ -1003,10 +1772,17 @@ function updateCPU(prefix, tankData) {
     if(dirEl) { const dirNames = ['E', 'S', 'W', 'N']; dirEl.textContent = dirNames[regs['DIR']] || regs['DIR']; }
     const hpEl = document.getElementById(`${prefix}-HP`); if(hpEl) hpEl.textContent = tankData.hp;
     const ammoEl = document.getElementById(`${prefix}-AMMO`); if(ammoEl) ammoEl.textContent = regs['AMMO'];
-    ['PC', 'ACC', 'CMP', 'R0', 'R1', 'R2', 'R3', 'R4', 'R5'].forEach(reg => {
+    const spEl = document.getElementById(`${prefix}-SP`); if(spEl) spEl.textContent = regs['SP'] ?? 0;
+    const flagsEl = document.getElementById(`${prefix}-FLAGS`); if(flagsEl) flagsEl.textContent = regs['FLAGS'] ?? 0;
+    document.querySelectorAll(`#${prefix}-FLAGS-bits [data-flag]`).forEach(el => {
+        el.classList.toggle('on', ((regs['FLAGS'] ?? 0) & FLAG_BITS[el.dataset.flag]) !== 0);
+    });
+    const memoryEl = document.getElementById(`${prefix}-memory`); if (memoryEl) renderMemory(memoryEl, tankData.debugMemory);
+    ['PC', 'ACC', 'R0', 'R1', 'R2', 'R3', 'R4', 'R5'].forEach(reg => {
         const val = regs[reg];
         const el = document.getElementById(`${prefix}-${reg}`);
-        if (el) el.textContent = val;
+        // Data registers also show their two's complement reading once bit 7 is set, e.g. "255 (-1)"
+        if (el) el.textContent = (reg !== 'PC' && val > 127) ? `${val} (${val - 256})` : val;
         const binEl = document.getElementById(`${prefix}-${reg}-bin`);
         if (binEl) binEl.textContent = (val & 0xFF).toString(2).padStart(8, '0');
     });
@@ -1033,4 +1809,139 @@ function updateCPU(prefix, tankData) {
 
     // Update ASM editor PC highlight (assembly mode)
     updateAsmPCHighlight(prefix, highlightPC);
+    updateScriptHighlight(prefix, tankData.debugSourceLine ?? null);
+}
+
+// --- Autosave (localStorage) ---
+const AUTOSAVE_DELAY = 500;
+let autosaveTimer = null;
+
+function openLocalStorage() {
+    try {
+        return window.localStorage;
+    } catch (e) {
+        return null; // Storage disabled: Autosave then does nothing
+    }
 }
+
+const autosave = new Autosave(openLocalStorage());
+
+function currentSession() {
+    return { level: parseInt(levelSelect.value), players: { p1: currentProgram('p1'), p2: currentProgram('p2') } };
+}
+
+function scheduleAutosave() {
+    if (autosaveTimer) clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(() => {
+        autosaveTimer = null;
+        autosave.save(currentSession());
+        renderHistory();
+    }, AUTOSAVE_DELAY);
+}
+
+// Fill the History dropdowns, newest version first
+function renderHistory() {
+    ['p1', 'p2'].forEach(prefix => {
+        const select = document.getElementById(`${prefix}-history`);
+        select.innerHTML = '<option value="">History...</option>';
+        autosave.history(prefix).forEach((version, index) => {
+            const { mode, tankscript, assembly } = version.program;
+            const source = mode === 'assembly' ? assembly : tankscript;
+            const firstLine = source.split('\n').map(l => l.trim()).find(l => l) || '(empty)';
+            const time = new Date(version.savedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${time} ${mode === 'assembly' ? 'ASM' : 'TS'} ${firstLine.slice(0, 24)}`;
+            select.appendChild(option);
+        });
+    });
+}
+
+['p1', 'p2'].forEach(prefix => {
+    const select = document.getElementById(`${prefix}-history`);
+    select.addEventListener('change', () => {
+        const version = autosave.history(prefix)[parseInt(select.value)];
+        select.value = '';
+        if (!version) return;
+        applyProgram(prefix, version.program);
+        scheduleAutosave();
+        showStatus(`Restored ${prefix.toUpperCase()} version from ${new Date(version.savedAt).toLocaleString()}`);
+    });
+});
+
+[scriptP1, scriptP2, asmEditorP1, asmEditorP2].forEach(el => el.addEventListener('input', scheduleAutosave));
+[selP1, selP2, levelSelect].forEach(el => el.addEventListener('change', scheduleAutosave));
+document.querySelectorAll('.mode-toggle .mode-btn').forEach(btn => btn.addEventListener('click', scheduleAutosave));
+
+function hasLevel(level) {
+    return [...levelSelect.options].some(o => o.value === String(level));
+}
+
+// Restore the previous session instead of the default strategies
+if (autosave.session) {
+    const { level, players } = autosave.session;
+    if (hasLevel(level)) {
+        levelSelect.value = level;
+        battleManager.setupArena(level);
+    }
+    applyProgram('p1', players.p1);
+    applyProgram('p2', players.p2);
+}
+renderHistory();
+
+// --- Share links (programs and level in the URL hash) ---
+btnShare.addEventListener('click', async () => {
+    const session = currentSession();
+    // Other browsers only know the built-in levels, so custom arenas travel with the link
+    if (!BUILTIN_LEVELS.includes(session.level)) session.arena = arenaRegistry.get(session.level);
+    const url = location.origin + location.pathname + location.search + await encodeShareLink(session);
+    try {
+        await navigator.clipboard.writeText(url);
+        showStatus('Share link copied to clipboard');
+    } catch (e) {
+        window.prompt('Copy this share link:', url);
+    }
+});
+
+let sharedArenaId = null; // Level number reused by every arena opened from a share link
+
+async function loadShareLink() {
+    let shared;
+    try {
+        shared = await decodeShareLink(location.hash);
+    } catch (e) {
+        showStatus(`Share link error: ${e.message}`);
+        return;
+    }
+    if (!shared) return;
+
+    // Drop the hash so reloading the page keeps later edits
+    history.replaceState(null, '', location.pathname + location.search);
+    if (shared.arena) {
+        let arena;
+        try {
+            arena = sharedArenaId !== null ? arenaRegistry.replace(sharedArenaId, shared.arena) : arenaRegistry.register(shared.arena);
+        } catch (e) {
+            showStatus(`Share link error: ${e.message}`);
+            return;
+        }
+        sharedArenaId = arena.id;
+        renderLevelOptions();
+        levelSelect.value = arena.id;
+    } else if (hasLevel(shared.level)) {
+        levelSelect.value = shared.level;
+    } else {
+        showStatus(`Share link error: level ${shared.level} does not exist here, keeping level ${levelSelect.value}`);
+    }
+    applyProgram('p1', shared.players.p1);
+    applyProgram('p2', shared.players.p2);
+    btnReset.click();
+    scheduleAutosave();
+    showStatus('Loaded shared match');
+    if (shared.engineVersion !== ENGINE_VERSION) {
+        showStatus(`Warning: this link was made with engine version ${shared.engineVersion} (this is version ${ENGINE_VERSION}); the programs may behave differently`);
+    }
+}
+
+window.addEventListener('hashchange', loadShareLink);
+loadShareLink();
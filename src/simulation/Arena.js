@@ -0,0 +1,304 @@
+import { MIN_ARENA_SIZE, MAX_ARENA_SIZE, MAX_TANKS, DIRS, DIR_NAMES } from '../constants.js';
+
+export const ARENA_FORMAT = 'cpu-wars-arena';
+
+// Map characters ('1' to '9' mark the start of tanks P1 to P9)
+const EMPTY = '.';
+const WALL = '#';
+const START_CHARS = Object.fromEntries(Array.from({ length: MAX_TANKS }, (_, i) => [String(i + 1), `P${i + 1}`]));
+
+/**
+ * @typedef {Object} StartPosition
+ * @property {number} x
+ * @property {number} y
+ * @property {number} facing - 0=E, 1=S, 2=W, 3=N
+ */
+
+/**
+ * @typedef {Object} Arena
+ * @property {number} [id] - Registry ID (the level number)
+ * @property {string} name - Display name
+ * @property {number} width - Grid width in tiles
+ * @property {number} height - Grid height in tiles
+ * @property {string[]} walls - Wall cells as "x,y" strings
+ * @property {Object<string, StartPosition>} starts - Start position per tank ID (P1, P2, ... in order)
+ * @property {Object<string, string>} teams - Team of each tank ID, named after its first tank
+ * @property {boolean} friendlyFire - Whether bullets damage teammates
+ */
+
+/**
+ * @typedef {Object} ArenaDefinition
+ * @property {string} [format] - ARENA_FORMAT (optional for hand-written files)
+ * @property {number} [id] - Level number for built-in arenas
+ * @property {string} name - Display name
+ * @property {string[]} map - One string per row: '.' empty, '#' wall, '1'-'9' tank starts
+ * @property {Object<string, string|number>} [facing] - Start facing per tank ('E', 'S', 'W', 'N' or 0-3)
+ * @property {string[][]} [teams] - Tank IDs per team, e.g. [['P1', 'P3'], ['P2', 'P4']]. Unlisted tanks fight alone.
+ * @property {boolean} [friendlyFire=false] - Whether bullets damage teammates
+ */
+
+// Without an explicit facing, tanks face the centre of the arena (East or West)
+function parseFacing(value, tankId, x, width) {
+    if (value === undefined) return x < width / 2 ? 0 : 2;
+    if (Number.isInteger(value) && DIRS[value]) return value;
+    const index = DIR_NAMES.indexOf(String(value).toUpperCase());
+    if (index === -1) throw new Error(`Invalid facing '${value}' for ${tankId} (use E, S, W or N)`);
+    return index;
+}
+
+/**
+ * Team of every tank: listed teams are named after their first tank, other tanks fight alone
+ * @returns {Object<string, string>} Team name per tank ID
+ */
+function parseTeams(list, tankIds, fail) {
+    const teams = {};
+    if (list !== undefined) {
+        if (!Array.isArray(list) || list.some(team => !Array.isArray(team) || team.length === 0)) {
+            fail('teams must be a list of tank ID lists');
+        }
+        list.forEach(team => team.forEach(id => {
+            if (!tankIds.includes(id)) fail(`team member ${id} has no start position`);
+            if (teams[id]) fail(`${id} is in more than one team`);
+            teams[id] = team[0];
+        }));
+    }
+    return Object.fromEntries(tankIds.map(id => [id, teams[id] || id]));
+}
+
+/**
+ * Cells reachable from a start cell by moving orthogonally through non-wall cells
+ * @param {number} width
+ * @param {number} height
+ * @param {Set<string>|string[]} walls - Wall cells as "x,y" strings
+ * @param {{x: number, y: number}} start
+ * @returns {Set<string>} Reachable cells as "x,y" strings (including the start)
+ */
+export function reachableCells(width, height, walls, start) {
+    const blocked = walls instanceof Set ? walls : new Set(walls);
+    const seen = new Set([`${start.x},${start.y}`]);
+    const queue = [[start.x, start.y]];
+    while (queue.length > 0) {
+        const [x, y] = queue.shift();
+        for (const d of Object.values(DIRS)) {
+            const nx = x + d.x;
+            const ny = y + d.y;
+            const key = `${nx},${ny}`;
+            if (nx < 0 || nx >= width || ny < 0 || ny >= height) continue;
+            if (blocked.has(key) || seen.has(key)) continue;
+            seen.add(key);
+            queue.push([nx, ny]);
+        }
+    }
+    return seen;
+}
+
+/**
+ * Parse and validate an arena definition.
+ * @param {string|ArenaDefinition} input - JSON text or an already parsed definition
+ * @returns {Arena}
+ * @throws {Error} If the definition is malformed or unplayable
+ */
+export function parseArena(input) {
+    let def = input;
+    if (typeof input === 'string') {
+        try {
+            def = JSON.parse(input);
+        } catch (e) {
+            throw new Error('Arena file is not valid JSON');
+        }
+    }
+    if (!def || typeof def !== 'object') throw new Error('Arena file is not valid JSON');
+    if (def.format !== undefined && def.format !== ARENA_FORMAT) throw new Error('Not a CPU Wars arena file');
+
+    const name = typeof def.name === 'string' && def.name.trim() ? def.name.trim() : 'Untitled';
+    const fail = (msg) => { throw new Error(`Arena '${name}': ${msg}`); };
+
+    if (!Array.isArray(def.map) || def.map.length === 0 || def.map.some(row => typeof row !== 'string')) {
+        fail('map must be a list of row strings');
+    }
+    const height = def.map.length;
+    const width = def.map[0].length;
+    if (def.map.some(row => row.length !== width)) fail('all map rows must have the same length');
+    if ([width, height].some(size => size < MIN_ARENA_SIZE || size > MAX_ARENA_SIZE)) {
+        fail(`map must be ${MIN_ARENA_SIZE} to ${MAX_ARENA_SIZE} tiles wide and high (got ${width}x${height})`);
+    }
+
+    const walls = [];
+    const found = {};
+    def.map.forEach((row, y) => {
+        [...row].forEach((ch, x) => {
+            if (ch === WALL) walls.push(`${x},${y}`);
+            else if (START_CHARS[ch]) {
+                const id = START_CHARS[ch];
+                if (found[id]) fail(`${id} start is defined more than once`);
+                found[id] = { x, y };
+            } else if (ch !== EMPTY) fail(`unknown map character '${ch}' at ${x},${y}`);
+        });
+    });
+
+    // Tanks are numbered from 1 without gaps
+    const tankCount = Object.keys(found).length;
+    const starts = {};
+    for (let n = 1; n <= Math.max(2, tankCount); n++) {
+        const id = `P${n}`;
+        if (!found[id]) fail(`missing start position for ${id}`);
+        try {
+            starts[id] = { ...found[id], facing: parseFacing(def.facing && def.facing[id], id, found[id].x, width) };
+        } catch (e) {
+            fail(e.message);
+        }
+    }
+
+    const teams = parseTeams(def.teams, Object.keys(starts), fail);
+    if (new Set(Object.values(teams)).size < 2) fail('at least two teams are needed');
+
+    const reachable = reachableCells(width, height, walls, starts.P1);
+    Object.entries(starts).forEach(([id, { x, y }]) => {
+        if (!reachable.has(`${x},${y}`)) fail(`${id} cannot be reached from P1`);
+    });
+
+    const arena = { name, width, height, walls, starts, teams, friendlyFire: def.friendlyFire === true };
+    if (def.id !== undefined) arena.id = def.id;
+    return arena;
+}
+
+/**
+ * Check that an arena can be played with one program per side: P1 and P2 are
+ * on different teams and every other tank is on one of theirs. The browser
+ * editors and BattleManager.loadCode only have these two programs.
+ * @param {Arena} arena
+ * @throws {Error} If the arena needs more than two programs
+ */
+export function checkTwoSides(arena) {
+    const teams = arena.teams || {};
+    const team = (id) => teams[id] || id;
+    const fail = (msg) => { throw new Error(`Arena '${arena.name}': ${msg}`); };
+    if (team('P1') === team('P2')) {
+        fail('P1 and P2 are on the same team, so the two programs cannot be assigned one per team');
+    }
+    const extra = Object.keys(arena.starts).find(id => team(id) !== team('P1') && team(id) !== team('P2'));
+    if (extra) {
+        fail(`${extra} is on neither P1's nor P2's team; arenas with more than two teams need a program per tank, which only headless matches can give`);
+    }
+}
+
+/**
+ * Convert an arena back to its definition (ASCII map and facings).
+ * @param {Arena} arena
+ * @returns {ArenaDefinition}
+ */
+export function arenaToDefinition(arena) {
+    const rows = [];
+    const wallSet = new Set(arena.walls);
+    for (let y = 0; y < arena.height; y++) {
+        let row = '';
+        for (let x = 0; x < arena.width; x++) row += wallSet.has(`${x},${y}`) ? WALL : EMPTY;
+        rows.push(row);
+    }
+    const facing = {};
+    Object.entries(arena.starts).forEach(([id, { x, y, facing: dir }]) => {
+        rows[y] = rows[y].slice(0, x) + id.slice(1) + rows[y].slice(x + 1);
+        facing[id] = DIR_NAMES[dir];
+    });
+    const def = { format: ARENA_FORMAT, name: arena.name, map: rows, facing };
+
+    // Only teams with more than one tank need listing
+    const members = {};
+    Object.entries(arena.teams || {}).forEach(([id, team]) => { (members[team] = members[team] || []).push(id); });
+    const teams = Object.values(members).filter(list => list.length > 1);
+    if (teams.length > 0) def.teams = teams;
+    if (arena.friendlyFire) def.friendlyFire = true;
+    return def;
+}
+
+/**
+ * Serialize an arena as an arena file
+ * @param {Arena} arena
+ * @returns {string} JSON text
+ */
+export function serializeArena(arena) {
+    return JSON.stringify(arenaToDefinition(arena), null, 2);
+}
+
+/**
+ * Arenas available for play, keyed by level number.
+ * Definitions without an ID (or with a taken one) get the next free number.
+ */
+export class ArenaRegistry {
+    /**
+     * @param {ArenaDefinition[]} [definitions]
+     * @param {Object} [options]
+     * @param {boolean} [options.twoSides=false] - Only accept arenas that pass checkTwoSides
+     */
+    constructor(definitions = [], { twoSides = false } = {}) {
+        this.arenas = new Map();
+        this.twoSides = twoSides;
+        definitions.forEach(def => this.register(def));
+    }
+
+    /**
+     * @param {string|ArenaDefinition|Arena} definition
+     * @returns {Arena} A copy of the validated arena
+     * @throws {Error} If the definition is invalid, or has more than two sides in a twoSides registry
+     */
+    validate(definition) {
+        const arena = (definition && definition.starts) ? { ...definition } : parseArena(definition);
+        if (this.twoSides) checkTwoSides(arena);
+        return arena;
+    }
+
+    /**
+     * Validate and add an arena
+     * @param {string|ArenaDefinition|Arena} definition - Arena file text, definition or parsed arena
+     * @returns {Arena} The registered arena (with its ID)
+     * @throws {Error} If the definition is invalid
+     */
+    register(definition) {
+        const arena = this.validate(definition);
+        if (!Number.isInteger(arena.id) || this.arenas.has(arena.id)) {
+            arena.id = Math.max(0, ...this.arenas.keys()) + 1;
+        }
+        this.arenas.set(arena.id, arena);
+        return arena;
+    }
+
+    /**
+     * Validate an arena and store it under an existing level number
+     * @param {number} id - Level number to overwrite
+     * @param {string|ArenaDefinition|Arena} definition
+     * @returns {Arena}
+     * @throws {Error} If the definition is invalid or the level does not exist
+     */
+    replace(id, definition) {
+        this.get(id);
+        const arena = this.validate(definition);
+        arena.id = Number(id);
+        this.arenas.set(arena.id, arena);
+        return arena;
+    }
+
+    has(id) {
+        return this.arenas.has(Number(id));
+    }
+
+    /**
+     * @param {number} id - Level number
+     * @returns {Arena}
+     * @throws {Error} If no arena has this ID
+     */
+    get(id) {
+        const arena = this.arenas.get(Number(id));
+        if (!arena) throw new Error(`Unknown arena ${id}`);
+        return arena;
+    }
+
+    /** @returns {Arena[]} All arenas in registration order */
+    list() {
+        return [...this.arenas.values()];
+    }
+
+    /** @returns {number[]} All level numbers */
+    ids() {
+        return [...this.arenas.keys()];
+    }
+}
@@ -0,0 +1,88 @@
+import { parseArena, arenaToDefinition } from './Arena.js';
+
+/**
+ * Editable copy of an arena used by the in-browser arena editor.
+ * Edits that would make the arena unplayable on the spot (a wall under a
+ * tank, two tanks on one cell) are refused; reachability is only checked
+ * by validate(), so a maze can be built up in several steps.
+ */
+export class ArenaEditor {
+    /**
+     * @param {import('./Arena.js').Arena} arena - Arena to start from (not modified)
+     * @param {string} [name] - Name for the edited arena (defaults to the original name)
+     */
+    constructor(arena, name = arena.name) {
+        this.name = name;
+        this.width = arena.width;
+        this.height = arena.height;
+        this.walls = new Set(arena.walls);
+        this.starts = {};
+        Object.entries(arena.starts).forEach(([id, start]) => { this.starts[id] = { ...start }; });
+        this.teams = { ...arena.teams };
+        this.friendlyFire = !!arena.friendlyFire;
+    }
+
+    inBounds(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+
+    /**
+     * @returns {string|null} ID of the tank starting on the cell
+     */
+    startAt(x, y) {
+        const entry = Object.entries(this.starts).find(([, s]) => s.x === x && s.y === y);
+        return entry ? entry[0] : null;
+    }
+
+    /**
+     * Add or remove a wall
+     * @returns {boolean} False if the cell is outside the arena or holds a tank
+     */
+    toggleWall(x, y) {
+        if (!this.inBounds(x, y) || this.startAt(x, y)) return false;
+        const key = `${x},${y}`;
+        if (this.walls.has(key)) this.walls.delete(key);
+        else this.walls.add(key);
+        return true;
+    }
+
+    /**
+     * Move a tank's start position
+     * @returns {boolean} False if the cell is outside the arena, a wall or another tank's start
+     */
+    moveStart(tankId, x, y) {
+        if (!this.inBounds(x, y) || this.walls.has(`${x},${y}`)) return false;
+        const other = this.startAt(x, y);
+        if (other && other !== tankId) return false;
+        Object.assign(this.starts[tankId], { x, y });
+        return true;
+    }
+
+    /**
+     * Turn a tank's start facing 90 degrees clockwise
+     */
+    rotateStart(tankId) {
+        const start = this.starts[tankId];
+        start.facing = (start.facing + 1) % 4;
+    }
+
+    /**
+     * @returns {import('./Arena.js').Arena} Snapshot of the edited arena (unvalidated)
+     */
+    toArena() {
+        const starts = {};
+        Object.entries(this.starts).forEach(([id, start]) => { starts[id] = { ...start }; });
+        return {
+            name: this.name, width: this.width, height: this.height, walls: [...this.walls], starts,
+            teams: { ...this.teams }, friendlyFire: this.friendlyFire
+        };
+    }
+
+    /**
+     * @returns {import('./Arena.js').Arena} The edited arena, checked like a loaded arena file
+     * @throws {Error} If the arena is not playable (e.g. the tanks are walled off from each other)
+     */
+    validate() {
+        return parseArena(arenaToDefinition(this.toArena()));
+    }
+}
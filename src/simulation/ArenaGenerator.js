@@ -0,0 +1,220 @@
+import { GRID_WIDTH, GRID_HEIGHT } from '../constants.js';
+import { parseArena, arenaToDefinition, reachableCells } from './Arena.js';
+
+export const ARENA_PATTERNS = ['mirror', 'rotational', 'maze', 'rooms'];
+
+/**
+ * Default density per pattern.
+ * mirror/rotational: share of cells that become walls.
+ * maze: share of maze walls kept (1 = perfect maze, lower values open loops).
+ * rooms: chance that a room large enough to split is split again.
+ */
+export const DEFAULT_DENSITY = { mirror: 0.2, rotational: 0.2, maze: 0.9, rooms: 0.7 };
+
+const MAX_SCATTER_DENSITY = 0.4;
+const MAX_ATTEMPTS = 50;
+const MIN_ROOM = 2;
+
+/**
+ * Small seeded PRNG (mulberry32). Same seed, same sequence on every platform.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function(): number} Returns floats in [0, 1)
+ */
+export function mulberry32(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const randomInt = (rng, min, max) => min + Math.floor(rng() * (max - min + 1));
+
+/**
+ * Symmetry used by a pattern: maps a cell to its partner on the other side.
+ * The starts follow the same symmetry, so both tanks see the same arena.
+ */
+function symmetryFor(pattern, width, height) {
+    if (pattern === 'rotational') return (x, y) => [width - 1 - x, height - 1 - y];
+    return (x, y) => [width - 1 - x, y];
+}
+
+function startsFor(pattern, width, height) {
+    let y = Math.floor((height - 1) / 2);
+    if (pattern === 'maze') y -= y % 2; // Maze passages are on even rows
+    const [x2, y2] = symmetryFor(pattern, width, height)(0, y);
+    return { P1: { x: 0, y, facing: 0 }, P2: { x: x2, y: y2, facing: 2 } };
+}
+
+// Random walls in pairs; start cells and the cell in front of each tank stay open
+function scatterWalls(walls, { rng, density, width, height, starts, mirror }) {
+    const keepOpen = new Set();
+    Object.values(starts).forEach(({ x, y, facing }) => {
+        keepOpen.add(`${x},${y}`);
+        keepOpen.add(`${x + (facing === 0 ? 1 : -1)},${y}`);
+    });
+    const chance = Math.min(density, MAX_SCATTER_DENSITY);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const [mx, my] = mirror(x, y);
+            // Visit each pair once (cells that map to themselves form their own pair)
+            if (my * width + mx < y * width + x) continue;
+            if (keepOpen.has(`${x},${y}`) || keepOpen.has(`${mx},${my}`)) continue;
+            if (rng() < chance) {
+                walls.add(`${x},${y}`);
+                walls.add(`${mx},${my}`);
+            }
+        }
+    }
+}
+
+// Perfect maze on the left half (passages on even cells), joined to its mirror image by doors
+function carveMaze(walls, { rng, density, width, height }) {
+    const half = Math.floor(width / 2);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) walls.add(`${x},${y}`);
+    }
+    const open = (x, y) => {
+        walls.delete(`${x},${y}`);
+        walls.delete(`${width - 1 - x},${y}`);
+    };
+    const isPassage = (x, y) => x >= 0 && x < half && y >= 0 && y < height && x % 2 === 0 && y % 2 === 0;
+
+    // Depth-first carve from the top-left passage
+    const stack = [[0, 0]];
+    const visited = new Set(['0,0']);
+    open(0, 0);
+    while (stack.length > 0) {
+        const [x, y] = stack[stack.length - 1];
+        const next = [[2, 0], [-2, 0], [0, 2], [0, -2]]
+            .map(([dx, dy]) => [x + dx, y + dy, x + dx / 2, y + dy / 2])
+            .filter(([nx, ny]) => isPassage(nx, ny) && !visited.has(`${nx},${ny}`));
+        if (next.length === 0) { stack.pop(); continue; }
+        const [nx, ny, wx, wy] = next[Math.floor(rng() * next.length)];
+        open(wx, wy);
+        open(nx, ny);
+        visited.add(`${nx},${ny}`);
+        stack.push([nx, ny]);
+    }
+
+    // Knock out some inner walls between two passages to create loops
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < half; x++) {
+            const betweenX = x % 2 === 1 && y % 2 === 0 && isPassage(x - 1, y) && isPassage(x + 1, y);
+            const betweenY = x % 2 === 0 && y % 2 === 1 && isPassage(x, y - 1) && isPassage(x, y + 1);
+            if ((betweenX || betweenY) && rng() >= density) open(x, y);
+        }
+    }
+
+    // Doors through the centre from the rightmost passage column of the left half
+    const lastColumn = (half - 1) - ((half - 1) % 2);
+    const rows = [];
+    for (let y = 0; y < height; y += 2) rows.push(y);
+    const doors = Math.max(1, Math.round(rows.length / 3));
+    for (let i = 0; i < doors; i++) {
+        const y = rows.splice(Math.floor(rng() * rows.length), 1)[0];
+        for (let x = lastColumn; x < half; x++) open(x, y);
+        if (width % 2 === 1) open(half, y);
+    }
+}
+
+// Recursive division of the left half into rooms, mirrored onto the right half
+function divideRooms(walls, { rng, density, width, height }) {
+    const half = Math.floor(width / 2);
+    const isOpen = (x, y) => x >= 0 && x < width && y >= 0 && y < height && !walls.has(`${x},${y}`);
+    const addWall = (x, y) => {
+        walls.add(`${x},${y}`);
+        walls.add(`${width - 1 - x},${y}`);
+    };
+
+    const divide = (x0, y0, x1, y1, depth) => {
+        const w = x1 - x0;
+        const h = y1 - y0;
+        if (depth > 0 && rng() >= density) return;
+
+        // Candidate lines leave at least MIN_ROOM cells on each side and never end at a door
+        const vertical = [];
+        for (let x = x0 + MIN_ROOM; x < x1 - MIN_ROOM; x++) {
+            if (!isOpen(x, y0 - 1) && !isOpen(x, y1)) vertical.push(x);
+        }
+        const horizontal = [];
+        for (let y = y0 + MIN_ROOM; y < y1 - MIN_ROOM; y++) {
+            // At the centre the line simply continues into its mirror image
+            if (!isOpen(x0 - 1, y) && (x1 === half || !isOpen(x1, y))) horizontal.push(y);
+        }
+        if (vertical.length === 0 && horizontal.length === 0) return;
+
+        const splitVertically = horizontal.length === 0 || (vertical.length > 0 && (w > h || (w === h && rng() < 0.5)));
+        if (splitVertically) {
+            const x = vertical[Math.floor(rng() * vertical.length)];
+            const door = randomInt(rng, y0, y1 - 1);
+            for (let y = y0; y < y1; y++) if (y !== door) addWall(x, y);
+            divide(x0, y0, x, y1, depth + 1);
+            divide(x + 1, y0, x1, y1, depth + 1);
+        } else {
+            const y = horizontal[Math.floor(rng() * horizontal.length)];
+            const door = randomInt(rng, x0, x1 - 1);
+            for (let x = x0; x < x1; x++) if (x !== door) addWall(x, y);
+            divide(x0, y0, x1, y, depth + 1);
+            divide(x0, y + 1, x1, y1, depth + 1);
+        }
+    };
+
+    divide(0, 0, half, height, 0);
+}
+
+const BUILDERS = {
+    mirror: scatterWalls,
+    rotational: scatterWalls,
+    maze: carveMaze,
+    rooms: divideRooms
+};
+
+/**
+ * Generate a symmetric, fully connected arena.
+ * Walls are placed in pairs across the centre (mirrored left/right, or rotated
+ * 180 degrees for 'rotational'), the tank starts follow the same symmetry, and
+ * open cells the tanks cannot reach are filled in. The same options always
+ * give the same arena.
+ * @param {Object} [options]
+ * @param {number} [options.seed=1] - 32-bit integer seed
+ * @param {string} [options.pattern='mirror'] - One of ARENA_PATTERNS
+ * @param {number} [options.density] - 0 to 1, see DEFAULT_DENSITY
+ * @param {number} [options.width=GRID_WIDTH]
+ * @param {number} [options.height=GRID_HEIGHT]
+ * @returns {import('./Arena.js').Arena} Validated arena, ready for BattleManager.setupArena
+ * @throws {Error} On unknown patterns, invalid sizes or if no connected arena could be made
+ */
+export function generateArena({ seed = 1, pattern = 'mirror', density = DEFAULT_DENSITY[pattern], width = GRID_WIDTH, height = GRID_HEIGHT } = {}) {
+    const build = BUILDERS[pattern];
+    if (!build) throw new Error(`Unknown arena pattern '${pattern}' (use ${ARENA_PATTERNS.join(', ')})`);
+    if (!Number.isInteger(seed)) throw new Error('Arena seed must be an integer');
+    if (!(density >= 0 && density <= 1)) throw new Error('Arena density must be between 0 and 1');
+
+    const rng = mulberry32(seed);
+    const starts = startsFor(pattern, width, height);
+    const mirror = symmetryFor(pattern, width, height);
+    const name = `${pattern[0].toUpperCase()}${pattern.slice(1)} #${seed}`;
+
+    for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+        const walls = new Set();
+        build(walls, { rng, density, width, height, starts, mirror });
+        Object.values(starts).forEach(({ x, y }) => walls.delete(`${x},${y}`));
+
+        const reachable = reachableCells(width, height, walls, starts.P1);
+        if (!reachable.has(`${starts.P2.x},${starts.P2.y}`)) continue;
+
+        // Fill pockets the tanks can never enter (symmetric, since both starts share one region)
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!reachable.has(`${x},${y}`)) walls.add(`${x},${y}`);
+            }
+        }
+        const arena = { name, width, height, walls: [...walls], starts };
+        return parseArena(arenaToDefinition(arena));
+    }
+    throw new Error(`Could not generate a connected '${pattern}' arena from seed ${seed}; try a lower density`);
+}
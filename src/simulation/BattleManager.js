@@ -2,16 +2,15 @@ import { CPU } from '../vm/CPU.js';
 import { Tokenizer } from '../vm/Tokenizer.js';
 import { Parser } from '../vm/Parser.js';
 import { Grid } from './Grid.js';
+import { arenaRegistry } from './arenas.js';
+import { checkTwoSides } from './Arena.js';
 import {
     TANK_IDS,
-    GRID_WIDTH,
-    GRID_HEIGHT,
     INITIAL_HP,
     MAX_OPS_PER_TURN,
     BULLET_MAX_RANGE,
     BULLET_SPEED,
     MAX_TURNS,
-    START_POSITIONS,
     DIRS
 } from '../constants.js';
 
@@ -19,8 +18,9 @@ export { TANK_IDS };
 
 /**
  * @typedef {Object} Tank
- * @property {number} x - Grid X position (0-15)
- * @property {number} y - Grid Y position (0-9)
+ * @property {string} team - Team name (the ID of the team's first tank)
+ * @property {number} x - Grid X position (0 to arena width - 1)
+ * @property {number} y - Grid Y position (0 to arena height - 1)
  * @property {number} facing - Direction (0=E, 1=S, 2=W, 3=N)
  * @property {number} hp - Health points (0-3)
  * @property {CPU|null} cpu - The tank's CPU instance
@@ -28,7 +28,10 @@ export { TANK_IDS };
  * @property {string|null} lastFeedback - Feedback message (WALL, BLOCKED, etc.)
  * @property {number} debugPC - Program counter for debugging
  * @property {string|null} debugIR - Instruction register for debugging
+ * @property {number|null} debugSourceLine - TankScript line of the instruction in debugIR (null for assembly)
  * @property {Object} debugRegisters - Copy of registers for debugging
+ * @property {number[]} debugMemory - Copy of RAM for debugging
+ * @property {string|null} debugError - The CPU's lastError (why it halted), if any
  * @property {number} turnOps - Operations this turn
  * @property {number} totalOps - Total operations executed
  */
@@ -36,7 +39,7 @@ export { TANK_IDS };
 /**
  * @typedef {Object} Bullet
  * @property {number} id - Unique bullet ID
- * @property {string} owner - Tank ID (P1 or P2)
+ * @property {string} owner - ID of the tank that fired
  * @property {number} x - Grid X position
  * @property {number} y - Grid Y position
  * @property {number} dx - X direction (-1, 0, or 1)
@@ -51,37 +54,40 @@ export { TANK_IDS };
  * @property {string[]} log - Game log messages
  * @property {Object[]} events - Game events for visualization
  * @property {boolean} gameOver - Whether game has ended
- * @property {string|null} winner - Winner ID or draw message
+ * @property {string|null} winner - Winning team name (a tank ID) or draw message
  * @property {number} turnCount - Current turn number
  */
 
+function createTank(team) {
+    return { team, x: 0, y: 0, facing: 0, hp: INITIAL_HP, cpu: null, lastAction: null, lastFeedback: null, debugPC: 0, debugIR: null, debugSourceLine: null, debugRegisters: {}, debugMemory: [], debugError: null, turnOps: 0, totalOps: 0 };
+}
+
 /**
- * Manages the battle simulation between two tanks.
- * Handles turn resolution, movement, bullets, and game state.
+ * Manages the battle simulation between the tanks of an arena (two or more,
+ * alone or in teams). Handles turn resolution, movement, bullets, and game state.
+ * Tanks are always processed in ID order (P1, P2, ...), which keeps logs deterministic.
  */
 export class BattleManager {
     constructor() {
-        this.grid = new Grid(GRID_WIDTH, GRID_HEIGHT);
         this.tokenizer = new Tokenizer();
         this.parser = new Parser();
 
-        this.tanks = {
-            [TANK_IDS.P1]: { ...START_POSITIONS.P1, hp: INITIAL_HP, cpu: null, lastAction: null, lastFeedback: null, debugPC: 0, debugIR: null, debugRegisters: {}, turnOps: 0, totalOps: 0 },
-            [TANK_IDS.P2]: { ...START_POSITIONS.P2, hp: INITIAL_HP, cpu: null, lastAction: null, lastFeedback: null, debugPC: 0, debugIR: null, debugRegisters: {}, turnOps: 0, totalOps: 0 }
-        };
+        this.tanks = {};
+        this.tankIds = [];
 
         this.bullets = [];
         this.log = [];
         this.events = [];
         this._logTick = (tankId, msg) => {
-            const cpu = tankId === 'P1' ? 'CPU_1' : 'CPU_2';
+            const cpu = `CPU_${tankId.slice(1)}`;
             this.log.push(`[${cpu} T${String(this.turnCount).padStart(3, '0')}] ${msg}`);
         };
         this.isGameOver = false;
         this.winner = null;
 
-        this.pendingActions = { P1: null, P2: null };
-        this.turnOps = { P1: 0, P2: 0 };
+        this.pendingActions = {};
+        this.turnOps = {};
+        this.mailboxes = {}; // Team name -> messages sent this turn ({ from, value })
         this.turnCount = 0;
         this.MAX_OPS = MAX_OPS_PER_TURN;
         this.eventIdCounter = 0;
@@ -90,49 +96,121 @@ export class BattleManager {
     }
 
     /**
-     * Configure arena walls based on level
-     * @param {number} level - Level number (1=empty, 2=center wall, 3=scattered obstacles)
+     * Configure the arena size, walls and tanks and move the tanks to their start positions.
+     * Tanks that exist in both the old and the new arena keep their CPU.
+     * @param {number|import('./Arena.js').Arena} [level=1] - Registered level number (see arenas.js) or a parsed arena
+     * @throws {Error} If the level is not registered
      */
     setupArena(level = 1) {
-        this.grid.walls.clear();
-        if (level === 2) {
-            this.grid.addWall(7, 4); this.grid.addWall(7, 5);
-            this.grid.addWall(8, 4); this.grid.addWall(8, 5);
-        } else if (level === 3) {
-            const obstacles = [[4, 2], [4, 7], [12, 2], [12, 7], [8, 1], [8, 8]];
-            obstacles.forEach(pos => this.grid.addWall(pos[0], pos[1]));
-        }
+        this.arena = typeof level === 'object' ? level : arenaRegistry.get(level);
+        this.grid = new Grid(this.arena.width, this.arena.height);
+        this.arena.walls.forEach(key => this.grid.walls.add(key));
+        // Bullets can always cross the whole arena
+        this.bulletRange = Math.max(BULLET_MAX_RANGE, this.grid.width, this.grid.height);
+        this.friendlyFire = !!this.arena.friendlyFire;
+
+        this.tankIds = Object.keys(this.arena.starts);
+        const tanks = {};
+        this.tankIds.forEach(id => {
+            tanks[id] = this.tanks[id] || createTank(id);
+            tanks[id].team = (this.arena.teams && this.arena.teams[id]) || id;
+        });
+        this.tanks = tanks;
+        this.pendingActions = Object.fromEntries(this.tankIds.map(id => [id, null]));
+        this.turnOps = Object.fromEntries(this.tankIds.map(id => [id, 0]));
+        this.placeTanks();
+    }
+
+    /**
+     * @param {string} a - Tank ID
+     * @param {string} b - Tank ID
+     * @returns {boolean} True if the tanks are different and on the same team
+     */
+    areTeammates(a, b) {
+        return a !== b && this.tanks[a].team === this.tanks[b].team;
+    }
+
+    /**
+     * Whether a bullet fired by one tank damages another
+     * @param {string} ownerId - Tank ID of the shooter
+     * @param {string} targetId - Tank ID of the tank in the line of fire
+     * @returns {boolean}
+     */
+    canHit(ownerId, targetId) {
+        return ownerId !== targetId && (this.friendlyFire || !this.areTeammates(ownerId, targetId));
+    }
+
+    /**
+     * Move all tanks to the arena's start positions and facings
+     */
+    placeTanks() {
+        Object.keys(this.tanks).forEach(id => {
+            const { x, y, facing } = this.arena.starts[id];
+            Object.assign(this.tanks[id], { x, y, facing });
+        });
     }
 
     /**
-     * Load and parse assembly code for both tanks
+     * Load and parse assembly code for the two sides of a match.
+     * In team arenas every tank on P1's team runs p1Code and every tank on P2's team runs p2Code.
      * @param {string} p1Code - Player 1 assembly source
      * @param {string} p2Code - Player 2 assembly source
+     * @param {Object<string, number[]>} [sourceMaps] - TankScript source maps keyed by P1/P2 (omit for hand-written assembly)
      * @returns {{success: boolean, error?: string, p1Program?: Object[], p2Program?: Object[]}}
      */
-    loadCode(p1Code, p2Code) {
+    loadCode(p1Code, p2Code, sourceMaps = {}) {
         try {
-            const t1 = this.tokenizer.tokenize(p1Code);
-            const p1 = this.parser.parse(t1);
-            if (p1.error) throw new Error(`P1 Error: ${p1.error}`);
-            this.tanks.P1.cpu = new CPU(p1.program, p1.labels);
+            checkTwoSides(this.arena);
+        } catch (e) {
+            return { success: false, error: e.message };
+        }
+        const sides = { [this.tanks.P1.team]: 'P1', [this.tanks.P2.team]: 'P2' };
+        const codes = { P1: p1Code, P2: p2Code };
+        const programs = {};
+        const maps = {};
+        this.tankIds.forEach(id => {
+            const side = sides[this.tanks[id].team];
+            programs[id] = codes[side];
+            maps[id] = sourceMaps[side];
+        });
+        const res = this.loadPrograms(programs, maps);
+        if (!res.success) return res;
+        return { success: true, p1Program: res.programs.P1, p2Program: res.programs.P2 };
+    }
 
-            const t2 = this.tokenizer.tokenize(p2Code);
-            const p2 = this.parser.parse(t2);
-            if (p2.error) throw new Error(`P2 Error: ${p2.error}`);
-            this.tanks.P2.cpu = new CPU(p2.program, p2.labels);
+    /**
+     * Load and parse assembly code for every tank (free-for-all or any team setup)
+     * @param {Object<string, string>} programs - Assembly source keyed by tank ID
+     * @param {Object<string, number[]>} [sourceMaps] - TankScript source maps keyed by tank ID
+     * @returns {{success: boolean, error?: string, programs?: Object<string, Object[]>}}
+     */
+    loadPrograms(programs, sourceMaps = {}) {
+        try {
+            const parsed = {};
+            this.tankIds.forEach(id => {
+                if (typeof programs[id] !== 'string') throw new Error(`${id} Error: No program given`);
+                const result = this.parser.parse(this.tokenizer.tokenize(programs[id]), sourceMaps[id]);
+                if (result.error) throw new Error(`${id} Error: ${result.error}`);
+                parsed[id] = result;
+            });
+            this.tankIds.forEach(id => {
+                const tank = this.tanks[id];
+                tank.cpu = new CPU(parsed[id].program, parsed[id].labels);
+                tank.debugMemory = [...tank.cpu.memory];
+                tank.debugError = null;
+            });
 
             this.log.push("Simulation Started.");
             this.resetTurnState();
-            return { success: true, p1Program: p1.program, p2Program: p2.program };
+            return { success: true, programs: Object.fromEntries(this.tankIds.map(id => [id, parsed[id].program])) };
         } catch (e) {
             return { success: false, error: e.message };
         }
     }
 
     resetTurnState() {
-        this.pendingActions = { P1: null, P2: null };
-        this.turnOps = { P1: 0, P2: 0 };
+        this.pendingActions = Object.fromEntries(this.tankIds.map(id => [id, null]));
+        this.turnOps = Object.fromEntries(this.tankIds.map(id => [id, 0]));
         this.turnCount = 0;
         this.isGameOver = false;
         this.winner = null;
@@ -141,22 +219,38 @@ export class BattleManager {
         this.bullets = [];
 
         // Reset tanks to starting positions
-        this.tanks.P1.x = START_POSITIONS.P1.x;
-        this.tanks.P1.y = START_POSITIONS.P1.y;
-        this.tanks.P1.facing = START_POSITIONS.P1.facing;
-        this.tanks.P1.hp = INITIAL_HP;
-        this.tanks.P1.totalOps = 0;
-
-        this.tanks.P2.x = START_POSITIONS.P2.x;
-        this.tanks.P2.y = START_POSITIONS.P2.y;
-        this.tanks.P2.facing = START_POSITIONS.P2.facing;
-        this.tanks.P2.hp = INITIAL_HP;
-        this.tanks.P2.totalOps = 0;
+        this.placeTanks();
+        Object.values(this.tanks).forEach(tank => {
+            tank.hp = INITIAL_HP;
+            tank.totalOps = 0;
+        });
+    }
+
+    /**
+     * Copy the tank's position, facing, HP and ammo into its read-only CPU registers
+     * @param {string} tankId - Tank ID
+     */
+    syncTankState(tankId) {
+        const tank = this.tanks[tankId];
+        const hasActiveBullet = this.bullets.some(b => b.owner === tankId);
+        tank.cpu.updateTankState(tank.x, tank.y, tank.facing, tank.hp, hasActiveBullet ? 0 : 1);
+    }
+
+    /**
+     * Look at the instruction a tank will execute on the next tick (used by breakpoints)
+     * @param {string} tankId - Tank ID
+     * @returns {{pc: number, registers: Object<string, number>}|null} Null if the tank will not step
+     */
+    peekNextStep(tankId) {
+        const tank = this.tanks[tankId];
+        if (!tank.cpu || this.isTankReady(tankId)) return null;
+        this.syncTankState(tankId);
+        return { pc: tank.cpu.registers.PC, registers: { ...tank.cpu.registers } };
     }
 
     /**
      * Execute one CPU step for a tank
-     * @param {string} tankId - Tank ID (P1 or P2)
+     * @param {string} tankId - Tank ID
      * @returns {Object|null} Action result from CPU step
      */
     stepCPU(tankId) {
@@ -164,26 +258,33 @@ export class BattleManager {
         if (!tank.cpu || tank.hp <= 0) return null; 
 
         tank.lastFeedback = null;
-
-        const hasActiveBullet = this.bullets.some(b => b.owner === tankId);
-        tank.cpu.updateTankState(tank.x, tank.y, tank.facing, tank.hp, hasActiveBullet ? 0 : 1);
+        this.syncTankState(tankId);
 
         const pc = tank.cpu.registers.PC;
         tank.debugPC = pc;
         if (pc < tank.cpu.program.length) {
             const instr = tank.cpu.program[pc];
             tank.debugIR = `${instr.opcode} ${instr.args.join(', ')}`;
+            tank.debugSourceLine = instr.sourceLine ?? null;
         } else {
             tank.debugIR = 'HALT';
+            tank.debugSourceLine = null;
         }
 
+        const previousError = tank.cpu.lastError;
         const result = tank.cpu.step();
+        if (tank.cpu.lastError && tank.cpu.lastError !== previousError) {
+            this._logTick(tankId, `${tankId} CPU error: ${tank.cpu.lastError}`);
+        }
         this.turnOps[tankId]++;
         tank.totalOps = (tank.totalOps || 0) + 1;
         tank.debugRegisters = { ...tank.cpu.registers };
+        tank.debugMemory = [...tank.cpu.memory];
+        tank.debugError = tank.cpu.lastError;
         
         if (result && result.type === 'CPU_OP') {
             tank.lastAction = result.opcode; 
+            this.enforceOpBudget(tankId);
         } else if (result && result.type !== 'WAIT') {
             tank.lastAction = result.type;
             this.pendingActions[tankId] = result; 
@@ -197,6 +298,92 @@ export class BattleManager {
         return result;
     }
 
+    /**
+     * A tank that spends MAX_OPS operations in a turn without committing an action
+     * forfeits the turn (a WAIT with reason OP_LIMIT), so busy loops cannot stall the battle.
+     * @param {string} tankId - Tank ID
+     */
+    enforceOpBudget(tankId) {
+        if (this.pendingActions[tankId] || this.turnOps[tankId] < this.MAX_OPS) return;
+        this.tanks[tankId].lastFeedback = 'OP_LIMIT';
+        this.pendingActions[tankId] = { type: 'WAIT', reason: 'OP_LIMIT' };
+        this._logTick(tankId, `${tankId} used all ${this.MAX_OPS} ops without acting and waits`);
+    }
+
+    /**
+     * Check whether a tank has committed its action for the current turn
+     * @param {string} tankId - Tank ID
+     * @returns {boolean} True if the tank has a pending action, is destroyed or has no program
+     */
+    isTankReady(tankId) {
+        const tank = this.tanks[tankId];
+        return !!this.pendingActions[tankId] || tank.hp <= 0 || !tank.cpu;
+    }
+
+    /**
+     * Advance the simulation by one CPU micro-op: step every tank that is still
+     * thinking, then resolve the turn once every tank is ready.
+     * @returns {boolean} True if this tick resolved a turn
+     */
+    tick() {
+        this.tankIds.forEach(id => {
+            if (!this.isTankReady(id)) this.stepCPU(id);
+        });
+
+        if (this.tankIds.every(id => this.isTankReady(id))) {
+            this.resolveTurn();
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Capture the complete mutable battle state, including every CPU.
+     * The log and event lists are append-only during a match, so only their lengths are kept.
+     * @returns {Object} Snapshot for restore()
+     */
+    snapshot() {
+        const tanks = {};
+        for (const [id, tank] of Object.entries(this.tanks)) {
+            const { cpu, ...state } = tank;
+            tanks[id] = { ...state, debugRegisters: { ...tank.debugRegisters }, cpu: cpu ? cpu.snapshot() : null };
+        }
+        return {
+            tanks,
+            bullets: this.bullets.map(b => ({ ...b })),
+            pendingActions: { ...this.pendingActions },
+            turnOps: { ...this.turnOps },
+            logLength: this.log.length,
+            eventCount: this.events.length,
+            eventIdCounter: this.eventIdCounter,
+            turnCount: this.turnCount,
+            isGameOver: this.isGameOver,
+            winner: this.winner
+        };
+    }
+
+    /**
+     * Roll the battle back to a snapshot taken earlier in the same match
+     * @param {Object} snap - Result of snapshot()
+     */
+    restore(snap) {
+        for (const [id, saved] of Object.entries(snap.tanks)) {
+            const tank = this.tanks[id];
+            const { cpu, ...state } = saved;
+            Object.assign(tank, state, { debugRegisters: { ...saved.debugRegisters } });
+            if (tank.cpu && cpu) tank.cpu.restore(cpu);
+        }
+        this.bullets = snap.bullets.map(b => ({ ...b }));
+        this.pendingActions = { ...snap.pendingActions };
+        this.turnOps = { ...snap.turnOps };
+        this.log.length = snap.logLength;
+        this.events.length = snap.eventCount;
+        this.eventIdCounter = snap.eventIdCounter;
+        this.turnCount = snap.turnCount;
+        this.isGameOver = snap.isGameOver;
+        this.winner = snap.winner;
+    }
+
     addEvent(type, data) {
         this.events.push({ id: this.eventIdCounter++, type, ...data });
     }
@@ -206,52 +393,52 @@ export class BattleManager {
      */
     resolveTurn() {
         this.turnCount++;
-        this.turnOps.P1 = 0;
-        this.turnOps.P2 = 0;
-        this.tanks.P1.lastFeedback = null;
-        this.tanks.P2.lastFeedback = null;
-
-        const p1Action = this.pendingActions.P1;
-        const p2Action = this.pendingActions.P2;
+        const alive = this.tankIds.filter(id => this.tanks[id].hp > 0);
+        this.tankIds.forEach(id => {
+            this.turnOps[id] = 0;
+            this.tanks[id].lastFeedback = null;
+        });
+        const actions = { ...this.pendingActions };
 
         // 1. Update Existing Bullets (Move them before spawning new ones)
         this.updateBullets();
 
         // 2. Resolve Sensors
-        if (p1Action && p1Action.type === 'SCAN') this.resolveScan(TANK_IDS.P1, p1Action);
-        if (p2Action && p2Action.type === 'SCAN') this.resolveScan(TANK_IDS.P2, p2Action);
-        if (p1Action && p1Action.type === 'PING') this.resolvePing(TANK_IDS.P1, p1Action);
-        if (p2Action && p2Action.type === 'PING') this.resolvePing(TANK_IDS.P2, p2Action);
+        this.tankIds.forEach(id => {
+            if (actions[id] && actions[id].type === 'SCAN') this.resolveScan(id, actions[id]);
+        });
+        this.tankIds.forEach(id => {
+            if (actions[id] && actions[id].type === 'PING') this.resolvePing(id, actions[id]);
+        });
 
         // 3. Resolve Actions (Spawn new bullets, plan movement)
         const intents = {};
-        this.resolveAction(TANK_IDS.P1, p1Action, intents);
-        this.resolveAction(TANK_IDS.P2, p2Action, intents);
+        this.tankIds.forEach(id => this.resolveAction(id, actions[id], intents));
 
         // 4. Apply Movements
         this.applyMovements(intents);
 
-        // Check for game over conditions
-        if (this.tanks.P1.hp <= 0 && this.tanks.P2.hp <= 0) {
-            this._logTick('P1', 'P1 destroyed!');
-            this._logTick('P2', 'P2 destroyed!');
+        // 5. Deliver team radio messages sent this turn
+        this.deliverMessages();
+
+        // Check for game over conditions: the match ends when at most one team is left
+        alive.filter(id => this.tanks[id].hp <= 0).forEach(id => this._logTick(id, `${id} destroyed!`));
+        const survivors = this.tankIds.filter(id => this.tanks[id].hp > 0);
+        const teamsLeft = [...new Set(survivors.map(id => this.tanks[id].team))];
+        if (teamsLeft.length === 0) {
             this.isGameOver = true;
             this.winner = 'DRAW';
             this.log.push('=== DRAW - MUTUAL DESTRUCTION ===');
-        } else if (this.tanks.P1.hp <= 0) {
-            this._logTick('P1', 'P1 destroyed!');
+        } else if (teamsLeft.length === 1) {
+            const team = teamsLeft[0];
+            const isTeam = this.tankIds.filter(id => this.tanks[id].team === team).length > 1;
             this.isGameOver = true;
-            this.winner = 'P2';
-            this.log.push('=== P2 WINS! ===');
-        } else if (this.tanks.P2.hp <= 0) {
-            this._logTick('P2', 'P2 destroyed!');
-            this.isGameOver = true;
-            this.winner = 'P1';
-            this.log.push('=== P1 WINS! ===');
+            this.winner = team;
+            this.log.push(`=== ${isTeam ? 'TEAM ' : ''}${team} WINS! ===`);
         }
 
-        // Check for stalemate (both programs halted)
-        if (!this.isGameOver && this.pendingActions.P1?.type === 'HALT' && this.pendingActions.P2?.type === 'HALT') {
+        // Check for stalemate (every remaining program halted)
+        if (!this.isGameOver && survivors.every(id => actions[id]?.type === 'HALT')) {
             this.isGameOver = true;
             this.winner = 'DRAW (STALEMATE)';
             this.log.push('=== DRAW - STALEMATE ===');
@@ -264,8 +451,7 @@ export class BattleManager {
             this.log.push('=== DRAW - TURN LIMIT ===');
         }
 
-        this.pendingActions.P1 = null;
-        this.pendingActions.P2 = null;
+        this.tankIds.forEach(id => { this.pendingActions[id] = null; });
     }
 
     /**
@@ -288,31 +474,54 @@ export class BattleManager {
         const tank = this.tanks[tankId];
         const dir = DIRS[tank.facing];
         const entityMap = new Map();
-        const enemyId = tankId === 'P1' ? 'P2' : 'P1';
-        const enemy = this.tanks[enemyId];
-        if (enemy.hp > 0) entityMap.set(`${enemy.x},${enemy.y}`, enemyId);
+        this.tankIds.forEach(id => {
+            const other = this.tanks[id];
+            if (id === tankId || other.hp <= 0) return;
+            entityMap.set(`${other.x},${other.y}`, this.areTeammates(tankId, id) ? 3 : 2);
+        });
 
-        const result = this.grid.raycast(tank.x, tank.y, dir.x, dir.y, tankId, enemyId, entityMap);
+        const result = this.grid.raycast(tank.x, tank.y, dir.x, dir.y, entityMap);
         tank.cpu.setRegister(action.destDist, result.distance);
         tank.cpu.setRegister(action.destType, result.type);
 
-        const typeNames = ['EMPTY', 'WALL', 'TANK'];
+        const typeNames = ['EMPTY', 'WALL', 'TANK', 'ALLY'];
         this._logTick(tankId, `${tankId} scans: ${typeNames[result.type] || 'EMPTY'} at dist ${result.distance}`);
     }
 
+    /**
+     * Nearest living tank of another team (Manhattan distance, ties go to the lower ID)
+     * @param {string} tankId - Tank ID
+     * @returns {string|null} Enemy tank ID, or null if no enemy is alive
+     */
+    nearestEnemy(tankId) {
+        const tank = this.tanks[tankId];
+        let best = null;
+        let bestDist = Infinity;
+        this.tankIds.forEach(id => {
+            const other = this.tanks[id];
+            if (other.team === tank.team || other.hp <= 0) return;
+            const dist = Math.abs(other.x - tank.x) + Math.abs(other.y - tank.y);
+            if (dist < bestDist) {
+                best = id;
+                bestDist = dist;
+            }
+        });
+        return best;
+    }
+
     resolvePing(tankId, action) {
         const tank = this.tanks[tankId];
-        const enemyId = tankId === 'P1' ? 'P2' : 'P1';
-        const enemy = this.tanks[enemyId];
-        if (enemy.hp > 0) {
+        const enemyId = this.nearestEnemy(tankId);
+        if (enemyId) {
+            const enemy = this.tanks[enemyId];
             tank.cpu.setRegister(action.destX, enemy.x);
             tank.cpu.setRegister(action.destY, enemy.y);
-            this.addEvent('PING', { tankId: tankId, x: tank.x, y: tank.y, enemyX: enemy.x, enemyY: enemy.y });
+            this.addEvent('PING', { tankId: tankId, x: tank.x, y: tank.y, enemyId, enemyX: enemy.x, enemyY: enemy.y });
             this._logTick(tankId, `${tankId} pings: enemy at (${enemy.x},${enemy.y})`);
         } else {
             tank.cpu.setRegister(action.destX, -1);
             tank.cpu.setRegister(action.destY, -1);
-            this.addEvent('PING', { tankId: tankId, x: tank.x, y: tank.y, enemyX: -1, enemyY: -1 });
+            this.addEvent('PING', { tankId: tankId, x: tank.x, y: tank.y, enemyId: null, enemyX: -1, enemyY: -1 });
             this._logTick(tankId, `${tankId} pings: no enemy`);
         }
     }
@@ -332,6 +541,11 @@ export class BattleManager {
             if (action.dir === 'BACKWARD') dirIdx = (dirIdx + 2) % 4;
             intents[tankId] = { targetX: tank.x + DIRS[dirIdx].x, targetY: tank.y + DIRS[dirIdx].y };
         }
+        else if (action.type === 'SEND') {
+            if (!this.mailboxes[tank.team]) this.mailboxes[tank.team] = [];
+            this.mailboxes[tank.team].push({ from: tankId, value: action.value });
+            this._logTick(tankId, `${tankId} sends ${action.value}`);
+        }
         else if (action.type === 'FIRE') {
             const hasActiveBullet = this.bullets.some(b => b.owner === tankId);
             if (hasActiveBullet) {
@@ -351,12 +565,15 @@ export class BattleManager {
                 return;
             }
 
-            const enemyId = tankId === 'P1' ? 'P2' : 'P1';
-            const enemy = this.tanks[enemyId];
-            if (enemy.hp > 0 && enemy.x === startX && enemy.y === startY) {
-                enemy.hp--;
-                this._logTick(tankId, `${tankId} fires - direct hit! ${enemyId} HP: ${enemy.hp}`);
-                this.addEvent('EXPLOSION', { x: startX, y: startY, owner: tankId, hitTank: enemyId });
+            const targetId = this.tankIds.find(id => {
+                const t = this.tanks[id];
+                return this.canHit(tankId, id) && t.hp > 0 && t.x === startX && t.y === startY;
+            });
+            if (targetId) {
+                const target = this.tanks[targetId];
+                target.hp--;
+                this._logTick(tankId, `${tankId} fires - direct hit! ${targetId} HP: ${target.hp}`);
+                this.addEvent('EXPLOSION', { x: startX, y: startY, owner: tankId, hitTank: targetId });
                 return;
             }
 
@@ -373,81 +590,76 @@ export class BattleManager {
         }
     }
 
+    /**
+     * Empty the team mailboxes into the inboxes of the senders' living teammates.
+     * Messages are delivered in the order they were sent; a full inbox loses the message.
+     */
+    deliverMessages() {
+        Object.entries(this.mailboxes).forEach(([team, messages]) => {
+            messages.forEach(({ from, value }) => {
+                this.tankIds.forEach(id => {
+                    const tank = this.tanks[id];
+                    if (id === from || tank.team !== team || tank.hp <= 0 || !tank.cpu) return;
+                    if (!tank.cpu.receive(value)) this._logTick(id, `${id} inbox full, message from ${from} lost`);
+                });
+            });
+        });
+        this.mailboxes = {};
+    }
+
     applyMovements(intents) {
         // Collision resolution priority (in order):
         // 1. WALL - Tank tries to move into wall or out of bounds (highest priority)
-        // 2. COLLISION - Head-on: both tanks try to swap positions
-        // 3. COLLISION - Same target: both tanks try to move to same cell
-        // 4. BLOCKED - Tank tries to move into other tank's current cell
-        // Note: Once a tank's intent is rejected, it's removed from further checks
-
-        const p1Move = intents.P1;
-        const p2Move = intents.P2;
+        // 2. COLLISION - Head-on: two tanks try to swap positions
+        // 3. COLLISION - Same target: two or more tanks try to move to the same cell
+        // 4. BLOCKED - Tank tries to move into another living tank's current cell
+        // Note: Once a tank's intent is rejected, it's removed from further checks.
+        // Destroyed tanks are wrecks that no longer block anything.
+
+        const movers = this.tankIds.filter(id => intents[id]);
+        const reject = (id, feedback) => {
+            this.tanks[id].lastFeedback = feedback;
+            delete intents[id];
+        };
+        const targetOf = id => `${intents[id].targetX},${intents[id].targetY}`;
+        const cellOf = id => `${this.tanks[id].x},${this.tanks[id].y}`;
 
         // 1. Wall collision (highest priority)
-        if (p1Move && !this.grid.isValid(p1Move.targetX, p1Move.targetY)) {
-            this.tanks.P1.lastFeedback = 'WALL';
-            delete intents.P1;
-        }
-        if (p2Move && !this.grid.isValid(p2Move.targetX, p2Move.targetY)) {
-            this.tanks.P2.lastFeedback = 'WALL';
-            delete intents.P2;
-        }
-
-        // 2. Head-on collision (both tanks try to swap positions)
-        if (intents.P1 && intents.P2 &&
-            intents.P1.targetX === this.tanks.P2.x && intents.P1.targetY === this.tanks.P2.y &&
-            intents.P2.targetX === this.tanks.P1.x && intents.P2.targetY === this.tanks.P1.y) {
-            this.tanks.P1.lastFeedback = 'COLLISION';
-            this.tanks.P2.lastFeedback = 'COLLISION';
-            delete intents.P1;
-            delete intents.P2;
-        }
-
-        // 3. Same-target collision (both tanks try to move to same cell)
-        if (intents.P1 && intents.P2 &&
-            intents.P1.targetX === intents.P2.targetX && intents.P1.targetY === intents.P2.targetY) {
-            this.tanks.P1.lastFeedback = 'COLLISION';
-            this.tanks.P2.lastFeedback = 'COLLISION';
-            delete intents.P1;
-            delete intents.P2;
-        }
-
-        // 4. Blocked by other tank (one tank tries to move into other's current position)
-        if (intents.P1 && intents.P1.targetX === this.tanks.P2.x && intents.P1.targetY === this.tanks.P2.y) {
-            this.tanks.P1.lastFeedback = 'BLOCKED';
-            delete intents.P1;
-        }
-        if (intents.P2 && intents.P2.targetX === this.tanks.P1.x && intents.P2.targetY === this.tanks.P1.y) {
-            this.tanks.P2.lastFeedback = 'BLOCKED';
-            delete intents.P2;
-        }
-
-        // Log move results
-        if (p1Move) {
-            if (intents.P1) {
-                this.tanks.P1.x = intents.P1.targetX;
-                this.tanks.P1.y = intents.P1.targetY;
-                this._logTick('P1', `P1 moves to (${this.tanks.P1.x},${this.tanks.P1.y})`);
+        movers.forEach(id => {
+            if (!this.grid.isValid(intents[id].targetX, intents[id].targetY)) reject(id, 'WALL');
+        });
+
+        // 2. Head-on collision (two tanks try to swap positions)
+        const swapping = movers.filter(a => intents[a] && movers.some(b =>
+            b !== a && intents[b] && targetOf(a) === cellOf(b) && targetOf(b) === cellOf(a)));
+        swapping.forEach(id => reject(id, 'COLLISION'));
+
+        // 3. Same-target collision (several tanks try to move to the same cell)
+        const targetCounts = {};
+        movers.forEach(id => {
+            if (intents[id]) targetCounts[targetOf(id)] = (targetCounts[targetOf(id)] || 0) + 1;
+        });
+        movers.forEach(id => {
+            if (intents[id] && targetCounts[targetOf(id)] > 1) reject(id, 'COLLISION');
+        });
+
+        // 4. Blocked by another tank (tanks move simultaneously, so any occupied cell blocks)
+        const occupied = new Set(this.tankIds.filter(id => this.tanks[id].hp > 0).map(cellOf));
+        movers.forEach(id => {
+            if (intents[id] && occupied.has(targetOf(id))) reject(id, 'BLOCKED');
+        });
+
+        // Apply and log move results
+        movers.forEach(id => {
+            const t = this.tanks[id];
+            if (intents[id]) {
+                t.x = Math.max(0, Math.min(this.grid.width - 1, intents[id].targetX));
+                t.y = Math.max(0, Math.min(this.grid.height - 1, intents[id].targetY));
+                this._logTick(id, `${id} moves to (${t.x},${t.y})`);
             } else {
-                this._logTick('P1', `P1 moves (${this.tanks.P1.lastFeedback.toLowerCase()})`);
+                this._logTick(id, `${id} moves (${t.lastFeedback.toLowerCase()})`);
             }
-        }
-        if (p2Move) {
-            if (intents.P2) {
-                this.tanks.P2.x = intents.P2.targetX;
-                this.tanks.P2.y = intents.P2.targetY;
-                this._logTick('P2', `P2 moves to (${this.tanks.P2.x},${this.tanks.P2.y})`);
-            } else {
-                this._logTick('P2', `P2 moves (${this.tanks.P2.lastFeedback.toLowerCase()})`);
-            }
-        }
-
-        for (const tid of ['P1', 'P2']) {
-            const t = this.tanks[tid];
-            t.x = Math.max(0, Math.min(this.grid.width - 1, t.x));
-            t.y = Math.max(0, Math.min(this.grid.height - 1, t.y));
-        }
+        });
     }
 
     updateBullets() {
@@ -457,7 +669,7 @@ export class BattleManager {
             for (let i = 0; i < BULLET_SPEED; i++) {
                 if (!active) break;
                 b.x += b.dx; b.y += b.dy; b.dist++;
-                if (b.dist > BULLET_MAX_RANGE) { active = false; continue; }
+                if (b.dist > this.bulletRange) { active = false; continue; }
                 
                 if (!this.grid.isValid(b.x, b.y)) {
                     active = false;
@@ -465,8 +677,8 @@ export class BattleManager {
                     continue;
                 }
 
-                for (const tid of ['P1', 'P2']) {
-                    if (tid === b.owner) continue; // Bullets can't hit their owner
+                for (const tid of this.tankIds) {
+                    if (!this.canHit(b.owner, tid)) continue; // Bullets can't hit their owner (or teammates, without friendly fire)
                     const t = this.tanks[tid];
                     if (t.hp > 0 && t.x === b.x && t.y === b.y) {
                         t.hp--;
@@ -24,15 +24,17 @@ export class Grid {
     }
 
     // Helper: Raycast for SCAN
+    // entityMap: "x,y" -> type of the tank in that cell (2=Enemy, 3=Ally)
     // Returns { distance, type }
-    // type: 0=Empty, 1=Wall, 2=Enemy, 3=Self
-    raycast(startX, startY, dirX, dirY, selfId, enemyId, entityMap) {
+    // type: 0=Empty, 1=Wall, 2=Enemy, 3=Ally
+    raycast(startX, startY, dirX, dirY, entityMap) {
         let x = startX;
         let y = startY;
         let dist = 0;
 
-        // Limit 45 prevents infinite loops
-        while (dist < 45) { 
+        // A ray leaves the grid within width + height steps; the limit guards against infinite loops
+        const limit = this.width + this.height;
+        while (dist < limit) {
             dist++;
             x = x + dirX;
             y = y + dirY;
@@ -45,11 +47,7 @@ export class Grid {
 
             // Entity
             const key = `${x},${y}`;
-            if (entityMap.has(key)) {
-                const id = entityMap.get(key);
-                if (id === enemyId) return { distance: dist, type: 2 };
-                if (id === selfId) return { distance: dist, type: 3 };
-            }
+            if (entityMap.has(key)) return { distance: dist, type: entityMap.get(key) };
         }
         return { distance: dist, type: 0 }; // Empty
     }
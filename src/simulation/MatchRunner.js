@@ -0,0 +1,92 @@
+import { BattleManager } from './BattleManager.js';
+import { ReplayRecorder } from './Replay.js';
+import { SimpleCompiler } from '../vm/SimpleCompiler.js';
+
+/**
+ * @typedef {Object} MatchResult
+ * @property {string} winner - 'P1', 'P2', 'DRAW', 'DRAW (STALEMATE)' or 'DRAW (TURN LIMIT)'
+ * @property {number} turns - Number of resolved turns
+ * @property {Object<string, number>} hp - Final HP keyed by tank ID
+ * @property {Object<string, number>} ops - Total CPU ops executed keyed by tank ID
+ * @property {Replay} [replay] - Recorded replay (only when requested)
+ */
+
+/**
+ * @typedef {Object} MatchSummary
+ * @property {number} matches - Number of matches played
+ * @property {Object<string, number>} wins - Wins keyed by tank ID
+ * @property {number} draws - Number of drawn matches
+ * @property {number} avgTurns - Average match length in turns
+ * @property {Object<string, number>} avgHp - Average final HP keyed by tank ID
+ */
+
+/**
+ * Convert a program source to assembly.
+ * @param {string} source - TankScript or assembly source
+ * @param {string} [mode='tankscript'] - 'tankscript' or 'assembly'
+ * @returns {string} Assembly source
+ */
+export function toAssembly(source, mode = 'tankscript') {
+    if (mode === 'assembly') return source;
+    return new SimpleCompiler().compile(source);
+}
+
+/**
+ * Run a single match to completion without any rendering.
+ * Uses the same tick loop as the browser, so results are identical.
+ * @param {string} p1Asm - Player 1 assembly source
+ * @param {string} p2Asm - Player 2 assembly source
+ * @param {Object} [options]
+ * @param {number} [options.level=1] - Arena level
+ * @param {boolean} [options.record=false] - Record a replay of the match
+ * @param {Object} [options.sources] - Original program sources stored in the replay
+ * @returns {MatchResult}
+ */
+export function runMatch(p1Asm, p2Asm, { level = 1, record = false, sources } = {}) {
+    const bm = new BattleManager();
+    bm.setupArena(level);
+
+    const res = bm.loadCode(p1Asm, p2Asm);
+    if (!res.success) throw new Error(res.error);
+
+    const recorder = record
+        ? new ReplayRecorder(bm, { level, sources: sources || { P1: { mode: 'assembly', source: p1Asm }, P2: { mode: 'assembly', source: p2Asm } } })
+        : null;
+
+    // MAX_TURNS and the per-turn op budget guarantee termination
+    while (!bm.isGameOver) {
+        bm.tick();
+        if (recorder) recorder.capture();
+    }
+
+    const result = {
+        winner: bm.winner,
+        turns: bm.turnCount,
+        hp: { P1: bm.tanks.P1.hp, P2: bm.tanks.P2.hp },
+        ops: { P1: bm.tanks.P1.totalOps, P2: bm.tanks.P2.totalOps }
+    };
+    if (recorder) result.replay = recorder.toJSON();
+    return result;
+}
+
+/**
+ * Aggregate the results of repeated matches.
+ * @param {MatchResult[]} results
+ * @returns {MatchSummary}
+ */
+export function summarizeMatches(results) {
+    const summary = { matches: results.length, wins: { P1: 0, P2: 0 }, draws: 0, avgTurns: 0, avgHp: { P1: 0, P2: 0 } };
+    if (results.length === 0) return summary;
+
+    for (const r of results) {
+        if (r.winner === 'P1' || r.winner === 'P2') summary.wins[r.winner]++;
+        else summary.draws++;
+        summary.avgTurns += r.turns;
+        summary.avgHp.P1 += r.hp.P1;
+        summary.avgHp.P2 += r.hp.P2;
+    }
+    summary.avgTurns /= results.length;
+    summary.avgHp.P1 /= results.length;
+    summary.avgHp.P2 /= results.length;
+    return summary;
+}
@@ -0,0 +1,358 @@
+import { ENGINE_VERSION } from '../constants.js';
+import { CPU } from '../vm/CPU.js';
+
+export const REPLAY_FORMAT = 'cpu-wars-replay';
+
+const perTank = (ids, make) => Object.fromEntries(ids.map(id => [id, make(id)]));
+
+// Fields parseReplay insists on besides turns
+const REQUIRED_FIELDS = ['width', 'height', 'initial', 'programs', 'labels', 'teams', 'sourceLines'];
+
+/**
+ * @typedef {Object} ReplayTurn
+ * @property {Object<string, Array>} ops - Per tank list of [pc, action, changedRegisters, changedMemory?]
+ * @property {Object<string, number[]>} tanks - Per tank [x, y, facing, hp] after resolution
+ * @property {Array[]} bullets - [id, x, y, owner] after resolution
+ * @property {Object[]} events - Events raised while resolving the turn
+ * @property {string[]} log - Log lines added during the turn
+ */
+
+/**
+ * @typedef {Object} Replay
+ * @property {string} format - Always REPLAY_FORMAT
+ * @property {number} engineVersion - ENGINE_VERSION at recording time
+ * @property {number} level - Arena level
+ * @property {number} width - Arena width in tiles
+ * @property {number} height - Arena height in tiles
+ * @property {string[]} walls - Wall cells as "x,y" strings
+ * @property {Object<string, string>} teams - Team name per tank ID
+ * @property {Object<string, {mode: string, source: string}>} sources - Program sources per tank
+ * @property {Object<string, Array[]>} programs - Per tank instruction list of [opcode, ...args]
+ * @property {Object<string, Object<string, number>>} labels - Per tank label name -> instruction index
+ * @property {Object<string, Array<number|null>>} sourceLines - Per tank TankScript line of each instruction (null for assembly)
+ * @property {{tanks: Object<string, number[]>, log: string[]}} initial - State before turn 1
+ * @property {ReplayTurn[]} turns - One entry per resolved turn
+ * @property {{winner: string|null, turns: number}} result - Outcome (winner null if unfinished)
+ */
+
+function packTank(tank) {
+    return [tank.x, tank.y, tank.facing, tank.hp];
+}
+
+// State of a freshly loaded CPU for a packed tank, with its sensor registers synced as BattleManager does before a step
+function freshCPU([x, y, facing, hp]) {
+    const cpu = new CPU([], {});
+    cpu.updateTankState(x, y, facing, hp, 1);
+    return cpu.snapshot();
+}
+
+/**
+ * Records a match as it is played, one BattleManager tick at a time.
+ * Call capture() after every tick(); toJSON() can be called at any point.
+ */
+export class ReplayRecorder {
+    /**
+     * @param {BattleManager} battleManager - Battle with code already loaded
+     * @param {Object} options
+     * @param {number} options.level - Arena level the match is played on
+     * @param {Object<string, {mode: string, source: string}>} [options.sources] - Original program sources
+     */
+    constructor(battleManager, { level, sources = {} }) {
+        this.bm = battleManager;
+        this.level = level;
+        this.sources = sources;
+        this.width = battleManager.grid.width;
+        this.height = battleManager.grid.height;
+        this.walls = Array.from(battleManager.grid.walls);
+        this.tankIds = Object.keys(battleManager.tanks);
+        this.teams = perTank(this.tankIds, id => battleManager.tanks[id].team);
+        this.programs = {};
+        this.labels = {};
+        this.sourceLines = {};
+        this.initialTanks = {};
+        this.lastOps = {};
+        this.lastRegisters = {};
+        this.lastMemory = {};
+        this.tankIds.forEach(id => {
+            const tank = battleManager.tanks[id];
+            this.programs[id] = tank.cpu ? tank.cpu.program.map(i => [i.opcode, ...i.args]) : [];
+            this.labels[id] = tank.cpu ? { ...tank.cpu.labels } : {};
+            this.sourceLines[id] = tank.cpu ? tank.cpu.program.map(i => i.sourceLine ?? null) : [];
+            this.initialTanks[id] = packTank(tank);
+            this.lastOps[id] = tank.totalOps || 0;
+            this.lastRegisters[id] = {};
+            this.lastMemory[id] = [];
+        });
+        this.initialLog = [...battleManager.log];
+        this.logIndex = battleManager.log.length;
+        this.eventIndex = battleManager.events.length;
+        this.turns = [];
+        this.current = this.newTurn();
+    }
+
+    newTurn() {
+        return { ops: perTank(this.tankIds, () => []) };
+    }
+
+    /**
+     * Record whatever the last tick did: the CPU step of each tank and,
+     * if the turn was resolved, the resulting world state.
+     */
+    capture() {
+        const bm = this.bm;
+
+        this.tankIds.forEach(id => {
+            const tank = bm.tanks[id];
+            if ((tank.totalOps || 0) === this.lastOps[id]) return; // Did not step
+            this.lastOps[id] = tank.totalOps;
+
+            // Only store registers that changed since the previous step
+            const changed = {};
+            for (const [reg, val] of Object.entries(tank.debugRegisters)) {
+                if (this.lastRegisters[id][reg] !== val) changed[reg] = val;
+            }
+            this.lastRegisters[id] = { ...tank.debugRegisters };
+
+            // RAM writes are rare, so the address -> byte map is only stored when something changed
+            const written = {};
+            (tank.debugMemory || []).forEach((val, addr) => {
+                if ((this.lastMemory[id][addr] || 0) !== val) written[addr] = val;
+            });
+            this.lastMemory[id] = [...(tank.debugMemory || [])];
+
+            const op = [tank.debugPC, tank.lastAction, changed];
+            if (Object.keys(written).length > 0) op.push(written);
+            this.current.ops[id].push(op);
+        });
+
+        if (bm.turnCount > this.turns.length) {
+            this.current.tanks = perTank(this.tankIds, id => packTank(bm.tanks[id]));
+            this.current.bullets = bm.bullets.map(b => [b.id, b.x, b.y, b.owner]);
+            this.current.events = bm.events.slice(this.eventIndex);
+            this.current.log = bm.log.slice(this.logIndex);
+            this.eventIndex = bm.events.length;
+            this.logIndex = bm.log.length;
+            this.turns.push(this.current);
+            this.current = this.newTurn();
+        }
+    }
+
+    /**
+     * Remember the recording position so it can be rewound when the
+     * battle is stepped back.
+     * @returns {Object} Opaque marker for rewind()
+     */
+    mark() {
+        return {
+            turns: this.turns.length,
+            current: this.current,
+            ops: perTank(this.tankIds, id => this.current.ops[id].length),
+            lastOps: { ...this.lastOps },
+            lastRegisters: { ...this.lastRegisters },
+            lastMemory: { ...this.lastMemory },
+            logIndex: this.logIndex,
+            eventIndex: this.eventIndex
+        };
+    }
+
+    /**
+     * Drop everything recorded after a marker.
+     * @param {Object} marker - Result of mark()
+     */
+    rewind(marker) {
+        this.turns.length = marker.turns;
+        this.current = {
+            ops: perTank(this.tankIds, id => marker.current.ops[id].slice(0, marker.ops[id]))
+        };
+        this.lastOps = { ...marker.lastOps };
+        this.lastRegisters = { ...marker.lastRegisters };
+        this.lastMemory = { ...marker.lastMemory };
+        this.logIndex = marker.logIndex;
+        this.eventIndex = marker.eventIndex;
+    }
+
+    /**
+     * @returns {Replay}
+     */
+    toJSON() {
+        return {
+            format: REPLAY_FORMAT,
+            engineVersion: ENGINE_VERSION,
+            level: this.level,
+            width: this.width,
+            height: this.height,
+            walls: this.walls,
+            teams: this.teams,
+            sources: this.sources,
+            programs: this.programs,
+            labels: this.labels,
+            sourceLines: this.sourceLines,
+            initial: { tanks: this.initialTanks, log: this.initialLog },
+            turns: this.turns,
+            result: { winner: this.bm.isGameOver ? this.bm.winner : null, turns: this.turns.length }
+        };
+    }
+}
+
+/**
+ * Parse and validate a replay file.
+ * @param {string} text - Replay file contents
+ * @returns {Replay}
+ * @throws {Error} If the file is not a replay or was recorded by a different engine version
+ */
+export function parseReplay(text) {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Replay file is not valid JSON');
+    }
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+        throw new Error('Not a CPU Wars replay file');
+    }
+    if (replay.engineVersion !== ENGINE_VERSION) {
+        throw new Error(`Replay was recorded with engine version ${replay.engineVersion}, but this is version ${ENGINE_VERSION}`);
+    }
+    if (!Array.isArray(replay.turns) || REQUIRED_FIELDS.some(field => !replay[field])) {
+        throw new Error('Replay file is incomplete');
+    }
+    return replay;
+}
+
+/**
+ * Rebuilds GameState snapshots from a replay for playback and scrubbing.
+ * Turn 0 is the state before the first turn was resolved.
+ */
+export class ReplayPlayer {
+    /**
+     * @param {Replay} replay - A validated replay
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.tankIds = Object.keys(replay.initial.tanks);
+        this.teams = replay.teams;
+
+        // Precompute per-turn register files, RAM and cumulative counters so
+        // seeking to any turn is O(1) apart from copying the log
+        const fresh = perTank(this.tankIds, id => freshCPU(replay.initial.tanks[id]));
+        this.registers = [perTank(this.tankIds, id => fresh[id].registers)];
+        this.memory = [perTank(this.tankIds, id => fresh[id].memory)];
+        this.lastStep = [perTank(this.tankIds, () => null)];
+        this.totalOps = [perTank(this.tankIds, () => 0)];
+        this.logLength = [replay.initial.log.length];
+
+        replay.turns.forEach((turn, i) => {
+            const regs = perTank(this.tankIds, id => ({ ...this.registers[i][id] }));
+            const memory = perTank(this.tankIds, id => this.memory[i][id]);
+            const last = { ...this.lastStep[i] };
+            const ops = { ...this.totalOps[i] };
+            this.tankIds.forEach(id => {
+                for (const op of turn.ops[id]) {
+                    Object.assign(regs[id], op[2]);
+                    if (op[3]) {
+                        if (memory[id] === this.memory[i][id]) memory[id] = [...memory[id]];
+                        for (const [addr, val] of Object.entries(op[3])) memory[id][addr] = val;
+                    }
+                    last[id] = op;
+                }
+                ops[id] += turn.ops[id].length;
+            });
+            this.registers.push(regs);
+            this.memory.push(memory);
+            this.lastStep.push(last);
+            this.totalOps.push(ops);
+            this.logLength.push(this.logLength[i] + turn.log.length);
+        });
+
+        this.fullLog = [...replay.initial.log];
+        replay.turns.forEach(t => this.fullLog.push(...t.log));
+    }
+
+    /** Number of recorded turns */
+    get length() {
+        return this.replay.turns.length;
+    }
+
+    /**
+     * Program listing for a tank in Parser program format
+     * @param {string} tankId
+     * @returns {Object[]} Instructions as { opcode, args }
+     */
+    getProgram(tankId) {
+        return this.replay.programs[tankId].map(([opcode, ...args]) => ({ opcode, args }));
+    }
+
+    /**
+     * Label table for a tank's program
+     * @param {string} tankId
+     * @returns {Object<string, number>}
+     */
+    getLabels(tankId) {
+        return this.replay.labels[tankId];
+    }
+
+    /**
+     * Number of BattleManager ticks recorded for the turn that follows `turn`.
+     * The last of them also resolves that turn, so a (turn, step) position
+     * has step 0..stepCount(turn) - 1.
+     * @param {number} turn - 0..length
+     * @returns {number} 0 when no turn follows
+     */
+    stepCount(turn) {
+        const next = this.replay.turns[turn];
+        return next ? Math.max(0, ...this.tankIds.map(id => next.ops[id].length)) : 0;
+    }
+
+    /**
+     * Reconstruct the game state after a given number of turns and, within
+     * the following turn, a number of CPU steps. Every thinking tank steps once
+     * per tick, so step k replays the first k op records of each tank; the
+     * world (positions, bullets, log) only changes when a turn resolves.
+     * @param {number} turn - 0..length
+     * @param {number} [step=0] - 0..stepCount(turn) - 1
+     * @returns {GameState}
+     */
+    getState(turn, step = 0) {
+        const t = Math.max(0, Math.min(this.length, turn));
+        const s = Math.max(0, Math.min(this.stepCount(t) - 1, step));
+        const frame = t === 0 ? null : this.replay.turns[t - 1];
+        const packed = frame ? frame.tanks : this.replay.initial.tanks;
+
+        const tanks = {};
+        this.tankIds.forEach(id => {
+            const [x, y, facing, hp] = packed[id];
+            const ops = s > 0 ? this.replay.turns[t].ops[id].slice(0, s) : [];
+            const registers = { ...this.registers[t][id] };
+            const memory = [...this.memory[t][id]];
+            for (const op of ops) {
+                Object.assign(registers, op[2]);
+                if (op[3]) for (const [addr, val] of Object.entries(op[3])) memory[addr] = val;
+            }
+            const step = ops.length > 0 ? ops[ops.length - 1] : this.lastStep[t][id];
+            const instr = step ? this.replay.programs[id][step[0]] : null;
+            tanks[id] = {
+                team: this.teams[id],
+                x, y, facing, hp,
+                lastAction: step ? step[1] : null,
+                lastFeedback: null,
+                debugPC: step ? step[0] : 0,
+                debugIR: step ? (instr ? `${instr[0]} ${instr.slice(1).join(', ')}` : 'HALT') : null,
+                debugSourceLine: step ? this.replay.sourceLines[id][step[0]] ?? null : null,
+                debugRegisters: registers,
+                debugMemory: memory,
+                totalOps: this.totalOps[t][id] + ops.length
+            };
+        });
+
+        const isLast = t === this.length && this.replay.result.winner !== null;
+        return {
+            tanks,
+            bullets: frame ? frame.bullets.map(([id, x, y, owner]) => ({ id, x, y, owner })) : [],
+            log: this.fullLog.slice(0, this.logLength[t]),
+            events: frame ? frame.events : [],
+            gameOver: isLast,
+            winner: isLast ? this.replay.result.winner : null,
+            turnCount: t
+        };
+    }
+}
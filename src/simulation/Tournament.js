@@ -0,0 +1,147 @@
+import { runMatch } from './MatchRunner.js';
+import { BUILTIN_LEVELS } from './arenas.js';
+
+/**
+ * @typedef {Object} TournamentEntry
+ * @property {string} name - Display name of the bot
+ * @property {string} asm - Assembly source
+ */
+
+/**
+ * @typedef {Object} TournamentMatch
+ * @property {number} level - Arena level
+ * @property {string} p1 - Name of the bot in the P1 seat
+ * @property {string} p2 - Name of the bot in the P2 seat
+ * @property {string} winner - Raw BattleManager winner string
+ * @property {number} turns - Number of resolved turns
+ */
+
+/**
+ * @typedef {Object} Standing
+ * @property {string} name - Bot name
+ * @property {number} played - Matches played
+ * @property {number} wins
+ * @property {number} losses
+ * @property {{stalemate: number, turnLimit: number, mutual: number}} draws - Draws split by cause
+ * @property {number} points - 3 per win, 1 per draw
+ * @property {number|null} avgTurnsToVictory - Average turns of won matches (null if no wins)
+ */
+
+// Scoring
+const POINTS_WIN = 3;
+const POINTS_DRAW = 1;
+
+// BattleManager winner strings for each kind of draw
+const DRAW_KINDS = {
+    'DRAW': 'mutual',
+    'DRAW (STALEMATE)': 'stalemate',
+    'DRAW (TURN LIMIT)': 'turnLimit'
+};
+
+/**
+ * Play a round robin: every pair of bots meets on every level, once in each seat.
+ * @param {TournamentEntry[]} entries - Bots taking part (at least two)
+ * @param {Object} [options]
+ * @param {number[]} [options.levels] - Arena levels to play (defaults to the built-in arenas)
+ * @param {function(TournamentMatch): void} [options.onMatch] - Called after each match
+ * @returns {{matches: TournamentMatch[], standings: Standing[]}}
+ */
+export function runTournament(entries, { levels = BUILTIN_LEVELS, onMatch } = {}) {
+    if (entries.length < 2) throw new Error('A tournament needs at least two programs');
+    const names = new Set(entries.map(e => e.name));
+    if (names.size !== entries.length) throw new Error('Program names must be unique');
+
+    const matches = [];
+    for (const level of levels) {
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = 0; j < entries.length; j++) {
+                if (i === j) continue;
+                const p1 = entries[i];
+                const p2 = entries[j];
+                const result = runMatch(p1.asm, p2.asm, { level });
+                const match = { level, p1: p1.name, p2: p2.name, winner: result.winner, turns: result.turns };
+                matches.push(match);
+                if (onMatch) onMatch(match);
+            }
+        }
+    }
+
+    return { matches, standings: computeStandings(entries.map(e => e.name), matches) };
+}
+
+/**
+ * Build the standings table from a list of played matches.
+ * Sorted by points, then wins, then fastest average victory.
+ * @param {string[]} names - All bot names
+ * @param {TournamentMatch[]} matches
+ * @returns {Standing[]}
+ */
+export function computeStandings(names, matches) {
+    const table = {};
+    const victoryTurns = {};
+    names.forEach(name => {
+        table[name] = {
+            name, played: 0, wins: 0, losses: 0,
+            draws: { stalemate: 0, turnLimit: 0, mutual: 0 },
+            points: 0, avgTurnsToVictory: null
+        };
+        victoryTurns[name] = [];
+    });
+
+    for (const m of matches) {
+        const seats = { P1: m.p1, P2: m.p2 };
+        table[m.p1].played++;
+        table[m.p2].played++;
+
+        if (seats[m.winner]) {
+            const winner = seats[m.winner];
+            const loser = m.winner === 'P1' ? m.p2 : m.p1;
+            table[winner].wins++;
+            table[winner].points += POINTS_WIN;
+            table[loser].losses++;
+            victoryTurns[winner].push(m.turns);
+        } else {
+            const kind = DRAW_KINDS[m.winner] || 'mutual';
+            for (const name of [m.p1, m.p2]) {
+                table[name].draws[kind]++;
+                table[name].points += POINTS_DRAW;
+            }
+        }
+    }
+
+    names.forEach(name => {
+        const turns = victoryTurns[name];
+        if (turns.length > 0) {
+            table[name].avgTurnsToVictory = turns.reduce((a, b) => a + b, 0) / turns.length;
+        }
+    });
+
+    return Object.values(table).sort((a, b) =>
+        (b.points - a.points) ||
+        (b.wins - a.wins) ||
+        ((a.avgTurnsToVictory ?? Infinity) - (b.avgTurnsToVictory ?? Infinity))
+    );
+}
+
+/**
+ * Render standings as a fixed-width text table.
+ * @param {Standing[]} standings
+ * @returns {string}
+ */
+export function formatStandings(standings) {
+    const nameWidth = Math.max(4, ...standings.map(s => s.name.length));
+    const header = ['#'.padStart(2), 'Name'.padEnd(nameWidth), '  P', '  W', '  L', ' D:SM', ' D:TL', ' D:MD', ' Pts', 'AvgWinT'].join(' ');
+    const rows = standings.map((s, i) => [
+        String(i + 1).padStart(2),
+        s.name.padEnd(nameWidth),
+        String(s.played).padStart(3),
+        String(s.wins).padStart(3),
+        String(s.losses).padStart(3),
+        String(s.draws.stalemate).padStart(5),
+        String(s.draws.turnLimit).padStart(5),
+        String(s.draws.mutual).padStart(5),
+        String(s.points).padStart(4),
+        (s.avgTurnsToVictory === null ? '-' : s.avgTurnsToVictory.toFixed(1)).padStart(7)
+    ].join(' '));
+    return [header, '-'.repeat(header.length), ...rows].join('\n');
+}
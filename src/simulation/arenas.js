@@ -0,0 +1,66 @@
+import { ArenaRegistry } from './Arena.js';
+
+/**
+ * Built-in arenas. Add a level by adding a definition here (see Arena.js for the format).
+ * @type {import('./Arena.js').ArenaDefinition[]}
+ */
+export const BUILTIN_ARENAS = [
+    {
+        id: 1,
+        name: 'Open Field',
+        map: [
+            '................',
+            '................',
+            '................',
+            '................',
+            '1...............',
+            '...............2',
+            '................',
+            '................',
+            '................',
+            '................'
+        ],
+        facing: { P1: 'E', P2: 'W' }
+    },
+    {
+        id: 2,
+        name: 'The Obstacle',
+        map: [
+            '................',
+            '................',
+            '................',
+            '................',
+            '1......##.......',
+            '.......##......2',
+            '................',
+            '................',
+            '................',
+            '................'
+        ],
+        facing: { P1: 'E', P2: 'W' }
+    },
+    {
+        id: 3,
+        name: 'Minefield',
+        map: [
+            '................',
+            '........#.......',
+            '....#.......#...',
+            '................',
+            '1...............',
+            '...............2',
+            '................',
+            '....#.......#...',
+            '........#.......',
+            '................'
+        ],
+        facing: { P1: 'E', P2: 'W' }
+    }
+];
+
+// Level numbers of the built-in arenas (used by tournaments)
+export const BUILTIN_LEVELS = BUILTIN_ARENAS.map(a => a.id);
+
+// Arenas shown in the level selector; custom arenas are registered at runtime.
+// The selector feeds the two program editors, so every arena must have two sides.
+export const arenaRegistry = new ArenaRegistry(BUILTIN_ARENAS, { twoSides: true });
@@ -1,38 +1,104 @@
 import Phaser from 'phaser';
-import { TANK_IDS } from '../../constants.js';
+import { TANK_IDS, GRID_WIDTH, GRID_HEIGHT } from '../../constants.js';
 
 export { TANK_IDS };
 
+// Canvas layout: the grid is scaled to fit below the title, centred horizontally
+const CANVAS_WIDTH = 640;
+const MAX_GRID_HEIGHT = 400;
+const MAX_TILE_SIZE = 40;    // Sprite textures are drawn for this tile size
+const TITLE_HEIGHT = 40;
+
+const EDIT_HINT = 'EDIT: click=wall  drag tank=move  click tank=turn';
+
+// Body, barrel and HUD colors per tank (P1 blue, P2 red, P3 green, ...)
+const TANK_COLORS = [
+    { body: 0x0000ff, barrel: 0x88ccff, text: '#0088ff' },
+    { body: 0xff0000, barrel: 0xff8888, text: '#ff4444' },
+    { body: 0x00aa00, barrel: 0x88ff88, text: '#44dd44' },
+    { body: 0xcccc00, barrel: 0xffff88, text: '#eeee44' },
+    { body: 0x8800cc, barrel: 0xcc88ff, text: '#bb66ff' },
+    { body: 0x00aaaa, barrel: 0x88ffff, text: '#44dddd' },
+    { body: 0xff8800, barrel: 0xffcc88, text: '#ff9933' },
+    { body: 0xff44aa, barrel: 0xffaadd, text: '#ff77bb' },
+    { body: 0x666666, barrel: 0xcccccc, text: '#aaaaaa' }
+];
+const HUD_SLOT_WIDTH = 120;
+const HUD_WIDTH = 480;
+
+const tankColor = (id) => TANK_COLORS[(Number(id.slice(1)) - 1) % TANK_COLORS.length];
+
 export class BattleScene extends Phaser.Scene {
     constructor() {
         super({ key: 'BattleScene' });
-        this.gridWidth = 16;
-        this.gridHeight = 10;
-        this.tileSize = 40;
-        this.titleHeight = 40; // Space for title at top
-        this.canvasWidth = this.gridWidth * this.tileSize;  // 640
-        this.canvasHeight = this.gridHeight * this.tileSize; // 400
+        this.titleHeight = TITLE_HEIGHT; // Space for title at top
+        this.applyLayout(GRID_WIDTH, GRID_HEIGHT);
         this.tickDuration = 500; // ms
         this.normalTickDuration = 500;
         this.fastTickDuration = 50;
         this.walls = new Set(); // Store walls directly instead of BattleManager
         this.initialTanks = null; // Store initial tank state from payload
         this.tankSprites = {};
+        this.hpTexts = {};
         this.bulletSprites = {}; // Map ID -> Sprite
         this.processedEvents = new Set();
         this.lastLogIndex = 0;
+        this.editing = false; // Arena editor mode (see setEditing)
     }
 
-    preload() {
-        const p1 = this.make.graphics({ x: 0, y: 0, add: false });
-        p1.fillStyle(0x0000ff); p1.fillRect(0, 0, 32, 32); 
-        p1.fillStyle(0x88ccff); p1.fillRect(16, 12, 16, 8); 
-        p1.generateTexture('tank_p1', 32, 32);
+    /**
+     * Tile and canvas size for an arena
+     * @param {number} width - Arena width in tiles
+     * @param {number} height - Arena height in tiles
+     * @returns {{tileSize: number, canvasWidth: number, canvasHeight: number}} Canvas height includes the title
+     */
+    static layoutFor(width, height) {
+        const tileSize = Math.min(MAX_TILE_SIZE, Math.floor(CANVAS_WIDTH / width), Math.floor(MAX_GRID_HEIGHT / height));
+        return { tileSize, canvasWidth: CANVAS_WIDTH, canvasHeight: TITLE_HEIGHT + height * tileSize };
+    }
+
+    applyLayout(width, height) {
+        const { tileSize } = BattleScene.layoutFor(width, height);
+        this.gridWidth = width;
+        this.gridHeight = height;
+        this.tileSize = tileSize;
+        this.canvasWidth = CANVAS_WIDTH;
+        this.canvasHeight = height * tileSize; // Grid area only
+        this.gridX = Math.floor((CANVAS_WIDTH - width * tileSize) / 2);
+    }
+
+    /**
+     * Switch to another arena size: resizes the canvas and redraws the grid and HUD
+     * @param {number} [width]
+     * @param {number} [height]
+     */
+    resizeArena(width = GRID_WIDTH, height = GRID_HEIGHT) {
+        if (width === this.gridWidth && height === this.gridHeight) return;
+        this.applyLayout(width, height);
+        this.scale.setGameSize(this.canvasWidth, this.titleHeight + this.canvasHeight);
+        this.drawGrid();
+        this.layoutHud();
+    }
+
+    /**
+     * Canvas position of the centre of a grid cell
+     * @returns {{x: number, y: number}}
+     */
+    cellCenter(x, y) {
+        const halfTile = this.tileSize / 2;
+        return {
+            x: this.gridX + x * this.tileSize + halfTile,
+            y: this.titleHeight + y * this.tileSize + halfTile
+        };
+    }
 
-        const p2 = this.make.graphics({ x: 0, y: 0, add: false });
-        p2.fillStyle(0xff0000); p2.fillRect(0, 0, 32, 32); 
-        p2.fillStyle(0xff8888); p2.fillRect(16, 12, 16, 8); 
-        p2.generateTexture('tank_p2', 32, 32);
+    preload() {
+        TANK_COLORS.forEach(({ body, barrel }, i) => {
+            const g = this.make.graphics({ x: 0, y: 0, add: false });
+            g.fillStyle(body); g.fillRect(0, 0, 32, 32);
+            g.fillStyle(barrel); g.fillRect(16, 12, 16, 8);
+            g.generateTexture(`tank_p${i + 1}`, 32, 32);
+        });
 
         this.make.graphics({ x: 0, y: 0, add: false })
             .fillStyle(0x888888).fillRect(0, 0, 40, 40).generateTexture('wall', 40, 40);
@@ -45,43 +111,68 @@ export class BattleScene extends Phaser.Scene {
         // Draw "CPU WARS" title with retro green line style
         this.drawTitle();
 
-        // Draw grid (offset by titleHeight)
-        const gridGraphics = this.add.graphics();
-        gridGraphics.lineStyle(1, 0x333333);
-        for (let x = 0; x <= this.gridWidth; x++) {
-            gridGraphics.moveTo(x * this.tileSize, this.titleHeight);
-            gridGraphics.lineTo(x * this.tileSize, this.titleHeight + this.canvasHeight);
-        }
-        for (let y = 0; y <= this.gridHeight; y++) {
-            gridGraphics.moveTo(0, this.titleHeight + y * this.tileSize);
-            gridGraphics.lineTo(this.canvasWidth, this.titleHeight + y * this.tileSize);
-        }
-        gridGraphics.strokePath();
+        this.gridGraphics = this.add.graphics();
+        this.drawGrid();
 
         this.createEntities();
 
         window.addEventListener('run-sim', (e) => this.startSimulation(e.detail));
         window.addEventListener('reset-sim', (e) => this.resetSimulation(e.detail));
         window.addEventListener('update-ui', (e) => this.renderState(e.detail));
+        window.addEventListener('seek-sim', (e) => this.seekState(e.detail));
+        window.addEventListener('edit-arena', (e) => this.setEditing(e.detail.enabled));
+
+        this.input.on('pointerdown', (pointer, objects) => this.onEditClick(pointer, objects));
+        this.input.on('drag', (pointer, sprite, dragX, dragY) => {
+            if (this.editing) sprite.setPosition(dragX, dragY);
+        });
+        this.input.on('dragend', (pointer, sprite) => this.onEditDrop(pointer, sprite));
 
         // UI text at bottom of grid area
-        const bottomY = this.titleHeight + this.canvasHeight - 25;
-        this.uiInfo = this.add.text(10, bottomY, 'Actions: 0', { font: '12px monospace', fill: '#888888' });
-        this.uiP1 = this.add.text(this.canvasWidth - 130, bottomY, 'P1: 3HP', { font: '12px monospace', fill: '#0088ff' }).setOrigin(1, 0);
-        this.uiP2 = this.add.text(this.canvasWidth - 10, bottomY, 'P2: 3HP', { font: '12px monospace', fill: '#ff4444' }).setOrigin(1, 0);
+        this.uiInfo = this.add.text(0, 0, 'Actions: 0', { font: '12px monospace', fill: '#888888' });
 
         // Game over display with background box (high depth to appear above tanks)
-        const centerX = this.canvasWidth / 2;
-        const centerY = this.titleHeight + this.canvasHeight / 2;
         this.uiGameOverBg = this.add.graphics();
         this.uiGameOverBg.setVisible(false);
         this.uiGameOverBg.setDepth(999);
-        this.uiGameOver = this.add.text(centerX, centerY, '', {
+        this.uiGameOver = this.add.text(0, 0, '', {
             font: 'bold 32px monospace',
             fill: '#ffff00',
             stroke: '#000000',
             strokeThickness: 6
         }).setOrigin(0.5, 0.5).setDepth(1000);
+        this.layoutHud();
+    }
+
+    // Draw grid lines (offset by titleHeight and centred horizontally)
+    drawGrid() {
+        const g = this.gridGraphics;
+        const left = this.gridX;
+        const right = this.gridX + this.gridWidth * this.tileSize;
+        g.clear();
+        g.lineStyle(1, 0x333333);
+        for (let x = 0; x <= this.gridWidth; x++) {
+            g.moveTo(left + x * this.tileSize, this.titleHeight);
+            g.lineTo(left + x * this.tileSize, this.titleHeight + this.canvasHeight);
+        }
+        for (let y = 0; y <= this.gridHeight; y++) {
+            g.moveTo(left, this.titleHeight + y * this.tileSize);
+            g.lineTo(right, this.titleHeight + y * this.tileSize);
+        }
+        g.strokePath();
+    }
+
+    // Position HUD text for the current canvas size
+    layoutHud() {
+        const bottomY = this.titleHeight + this.canvasHeight - 25;
+        this.uiInfo.setPosition(10, bottomY);
+        // One HP counter per tank, right-aligned
+        const ids = Object.keys(this.hpTexts);
+        const slot = Math.min(HUD_SLOT_WIDTH, HUD_WIDTH / Math.max(1, ids.length));
+        ids.forEach((id, i) => {
+            this.hpTexts[id].setPosition(this.canvasWidth - 10 - (ids.length - 1 - i) * slot, bottomY);
+        });
+        this.uiGameOver.setPosition(this.canvasWidth / 2, this.titleHeight + this.canvasHeight / 2);
     }
 
     drawTitle() {
@@ -146,8 +237,10 @@ export class BattleScene extends Phaser.Scene {
     }
 
     createEntities() {
-        if (this.tankSprites.P1) this.tankSprites.P1.destroy();
-        if (this.tankSprites.P2) this.tankSprites.P2.destroy();
+        Object.values(this.tankSprites).forEach(s => s.destroy());
+        this.tankSprites = {};
+        Object.values(this.hpTexts).forEach(t => t.destroy());
+        this.hpTexts = {};
 
         Object.values(this.bulletSprites).forEach(s => s.destroy());
         this.bulletSprites = {};
@@ -156,12 +249,66 @@ export class BattleScene extends Phaser.Scene {
 
         if (!this.initialTanks) return;
 
-        const p1Data = this.initialTanks.P1;
-        const p2Data = this.initialTanks.P2;
-        const halfTile = this.tileSize / 2;
+        const scale = this.tileSize / MAX_TILE_SIZE;
+        Object.entries(this.initialTanks).forEach(([id, data]) => {
+            const pos = this.cellCenter(data.x, data.y);
+            const texture = `tank_p${(Number(id.slice(1)) - 1) % TANK_COLORS.length + 1}`;
+            this.tankSprites[id] = this.add.sprite(pos.x, pos.y, texture).setOrigin(0.5).setScale(scale).setAngle(data.facing * 90).setDepth(10);
+            this.hpTexts[id] = this.add.text(0, 0, `${id}: 3HP`, { font: '12px monospace', fill: tankColor(id).text }).setOrigin(1, 0);
+        });
+        this.layoutHud();
 
-        this.tankSprites[TANK_IDS.P1] = this.add.sprite(p1Data.x * this.tileSize + halfTile, this.titleHeight + p1Data.y * this.tileSize + halfTile, 'tank_p1').setOrigin(0.5).setAngle(p1Data.facing * 90).setDepth(10);
-        this.tankSprites[TANK_IDS.P2] = this.add.sprite(p2Data.x * this.tileSize + halfTile, this.titleHeight + p2Data.y * this.tileSize + halfTile, 'tank_p2').setOrigin(0.5).setAngle(p2Data.facing * 90).setDepth(10);
+        // Tanks can be dragged in edit mode
+        Object.entries(this.tankSprites).forEach(([id, sprite]) => {
+            sprite.tankId = id;
+            sprite.setInteractive({ draggable: true });
+        });
+    }
+
+    /**
+     * Switch the arena editor mode on or off.
+     * In edit mode the scene does not change the arena itself: clicks and drops
+     * are sent to main.js as 'arena-edit' events, which answers with 'reset-sim'.
+     * @param {boolean} enabled
+     */
+    setEditing(enabled) {
+        this.editing = enabled;
+        this.uiInfo.setText(enabled ? EDIT_HINT : 'Ready');
+        this.input.setDefaultCursor(enabled ? 'crosshair' : 'default');
+    }
+
+    /**
+     * Grid cell under a canvas position
+     * @returns {{x: number, y: number}|null} Null outside the grid
+     */
+    cellAt(px, py) {
+        const x = Math.floor((px - this.gridX) / this.tileSize);
+        const y = Math.floor((py - this.titleHeight) / this.tileSize);
+        if (x < 0 || x >= this.gridWidth || y < 0 || y >= this.gridHeight) return null;
+        return { x, y };
+    }
+
+    sendEdit(detail) {
+        window.dispatchEvent(new CustomEvent('arena-edit', { detail }));
+    }
+
+    onEditClick(pointer, objects) {
+        if (!this.editing || objects.some(o => o.tankId)) return;
+        const cell = this.cellAt(pointer.x, pointer.y);
+        if (cell) this.sendEdit({ action: 'wall', ...cell });
+    }
+
+    onEditDrop(pointer, sprite) {
+        if (!this.editing || !sprite.tankId) return;
+        const from = this.cellAt(pointer.downX, pointer.downY);
+        const to = this.cellAt(sprite.x, sprite.y);
+        if (to && from && to.x === from.x && to.y === from.y) {
+            this.sendEdit({ action: 'rotate', tankId: sprite.tankId });
+        } else if (to) {
+            this.sendEdit({ action: 'move', tankId: sprite.tankId, ...to });
+        } else {
+            this.sendEdit({ action: 'cancel' }); // Dropped outside: snap back
+        }
     }
 
     drawWalls() {
@@ -169,16 +316,17 @@ export class BattleScene extends Phaser.Scene {
             this.wallSprites.forEach(s => s.destroy());
         }
         this.wallSprites = [];
-        const halfTile = this.tileSize / 2;
         this.walls.forEach(key => {
             const [x, y] = key.split(',').map(Number);
-            const sprite = this.add.image(x * this.tileSize + halfTile, this.titleHeight + y * this.tileSize + halfTile, 'wall');
+            const pos = this.cellCenter(x, y);
+            const sprite = this.add.image(pos.x, pos.y, 'wall').setDisplaySize(this.tileSize, this.tileSize);
             this.wallSprites.push(sprite);
         });
     }
 
     startSimulation(data) {
-        // Receive walls and initial tank state from main.js
+        // Receive arena size, walls and initial tank state from main.js
+        this.resizeArena(data.width, data.height);
         this.walls = new Set(data.walls || []);
         this.initialTanks = data.tanks || null;
         this.createEntities();
@@ -189,11 +337,12 @@ export class BattleScene extends Phaser.Scene {
     }
 
     resetSimulation(data) {
-        // Receive walls and initial tank state from main.js
+        // Receive arena size, walls and initial tank state from main.js
+        this.resizeArena(data.width, data.height);
         this.walls = new Set(data.walls || []);
         this.initialTanks = data.tanks || null;
         this.createEntities();
-        this.uiInfo.setText("Ready");
+        this.uiInfo.setText(this.editing ? EDIT_HINT : "Ready");
         this.uiGameOver.setText('');
         this.uiGameOverBg.setVisible(false);
         this.lastLogIndex = 0;
@@ -203,18 +352,14 @@ export class BattleScene extends Phaser.Scene {
     renderState(state) {
         if (!state) return;
         this.updateVisuals(state.tanks, state.bullets);
-        
-        const totalOps = (state.tanks.P1.totalOps || 0) + (state.tanks.P2.totalOps || 0);
-        this.uiInfo.setText(`Actions: ${state.turnCount || 0} | CPU Ticks: ${totalOps}`);
-        this.uiP1.setText(`P1: ${state.tanks.P1.hp}HP`);
-        this.uiP2.setText(`P2: ${state.tanks.P2.hp}HP`);
+        this.updateHud(state);
 
         if (state.events) {
             state.events.forEach(e => {
                 if (!this.processedEvents.has(e.id)) {
                     this.processedEvents.add(e.id);
                     if (e.type === 'EXPLOSION') this.triggerExplosion(e.x, e.y, e.owner, e.hitTank);
-                    if (e.type === 'PING') this.triggerPingVisual(e.tankId, e.x, e.y, e.enemyX, e.enemyY);
+                    if (e.type === 'PING') this.triggerPingVisual(e.tankId, e.x, e.y, e.enemyX, e.enemyY, e.enemyId);
                 }
             });
         }
@@ -223,9 +368,61 @@ export class BattleScene extends Phaser.Scene {
              for (let i = this.lastLogIndex; i < state.log.length; i++) this.log(state.log[i]);
              this.lastLogIndex = state.log.length;
         }
-        
-        if (state.gameOver) {
-            const text = state.winner.includes('DRAW') ? 'DRAW!' : `${state.winner} WINS!`;
+    }
+
+    /**
+     * Jump straight to a state without tweens or effects (replay scrubbing).
+     * Events already present in the state are marked as seen and the log is rebuilt.
+     * @param {{state: Object}} data
+     */
+    seekState(data) {
+        const state = data && data.state;
+        if (!state) return;
+
+        Object.keys(this.tankSprites).forEach(id => {
+            const sprite = this.tankSprites[id];
+            const t = state.tanks[id];
+            if (!sprite || !t) return;
+            this.tweens.killTweensOf(sprite);
+            const pos = this.cellCenter(t.x, t.y);
+            sprite.targetX = pos.x;
+            sprite.targetY = pos.y;
+            sprite.targetAngle = t.facing * 90;
+            sprite.setPosition(sprite.targetX, sprite.targetY).setAngle(sprite.targetAngle);
+            sprite.tint = 0xffffff;
+            sprite.setVisible(t.hp > 0);
+        });
+
+        Object.values(this.bulletSprites).forEach(s => s.destroy());
+        this.bulletSprites = {};
+        this.updateVisuals(state.tanks, state.bullets);
+
+        this.processedEvents.clear();
+        (state.events || []).forEach(e => this.processedEvents.add(e.id));
+
+        const logEl = document.getElementById('status-log');
+        if (logEl) logEl.innerHTML = '';
+        const log = state.log || [];
+        log.slice(-20).forEach(msg => this.log(msg));
+        this.lastLogIndex = log.length;
+
+        this.updateHud(state);
+    }
+
+    updateHud(state) {
+        const tanks = Object.entries(state.tanks);
+        const totalOps = tanks.reduce((sum, [, t]) => sum + (t.totalOps || 0), 0);
+        this.uiInfo.setText(`Actions: ${state.turnCount || 0} | CPU Ticks: ${totalOps}`);
+        tanks.forEach(([id, t]) => {
+            if (this.hpTexts[id]) this.hpTexts[id].setText(`${id}: ${t.hp}HP`);
+        });
+
+        if (!state.gameOver) {
+            this.uiGameOver.setText('');
+            this.uiGameOverBg.setVisible(false);
+        } else {
+            const teamSize = tanks.filter(([, t]) => t.team === state.winner).length;
+            const text = state.winner.includes('DRAW') ? 'DRAW!' : `${teamSize > 1 ? 'TEAM ' : ''}${state.winner} WINS!`;
             this.uiGameOver.setText(text);
 
             // Draw background box behind text
@@ -245,17 +442,16 @@ export class BattleScene extends Phaser.Scene {
     }
 
     updateVisuals(tanks, bullets) {
-        this.updateTank(this.tankSprites.P1, tanks.P1);
-        this.updateTank(this.tankSprites.P2, tanks.P2);
+        Object.entries(this.tankSprites).forEach(([id, sprite]) => {
+            if (tanks[id]) this.updateTank(sprite, tanks[id]);
+        });
 
         // Bullet Persistence Logic
         const currentIds = new Set();
         
-        const halfTile = this.tileSize / 2;
         bullets.forEach(b => {
             currentIds.add(b.id);
-            const targetX = b.x * this.tileSize + halfTile;
-            const targetY = this.titleHeight + b.y * this.tileSize + halfTile;
+            const { x: targetX, y: targetY } = this.cellCenter(b.x, b.y);
 
             if (this.bulletSprites[b.id]) {
                 const sprite = this.bulletSprites[b.id];
@@ -274,7 +470,7 @@ export class BattleScene extends Phaser.Scene {
                 }
             } else {
                 // New bullet
-                const sprite = this.add.sprite(targetX, targetY, 'bullet').setDepth(15);
+                const sprite = this.add.sprite(targetX, targetY, 'bullet').setScale(this.tileSize / MAX_TILE_SIZE).setDepth(15);
                 sprite.targetX = targetX; sprite.targetY = targetY;
                 this.bulletSprites[b.id] = sprite;
             }
@@ -294,9 +490,7 @@ export class BattleScene extends Phaser.Scene {
         if (data.hp <= 0) { sprite.setVisible(false); return; }
         sprite.setVisible(true);
 
-        const halfTile = this.tileSize / 2;
-        const targetX = data.x * this.tileSize + halfTile;
-        const targetY = this.titleHeight + data.y * this.tileSize + halfTile;
+        const { x: targetX, y: targetY } = this.cellCenter(data.x, data.y);
         const targetAngle = data.facing * 90;
 
         if (sprite.targetX !== targetX || sprite.targetY !== targetY || sprite.targetAngle !== targetAngle) {
@@ -317,9 +511,7 @@ export class BattleScene extends Phaser.Scene {
     }
 
     triggerExplosion(gx, gy, ownerId, hitTankId) {
-        const halfTile = this.tileSize / 2;
-        const cx = gx * this.tileSize + halfTile;
-        const cy = this.titleHeight + gy * this.tileSize + halfTile;
+        const { x: cx, y: cy } = this.cellCenter(gx, gy);
         
         // Flash Hit Tank
         if (hitTankId && this.tankSprites[hitTankId]) {
@@ -365,7 +557,7 @@ export class BattleScene extends Phaser.Scene {
         });
     }
 
-    triggerPingVisual(tankId, gx, gy, ex, ey) {
+    triggerPingVisual(tankId, gx, gy, ex, ey, enemyId) {
         const sprite = this.tankSprites[tankId];
         if (!sprite) return;
         const x = sprite.x, y = sprite.y;
@@ -374,14 +566,12 @@ export class BattleScene extends Phaser.Scene {
         let found = false;
 
         if (ex !== -1 && ey !== -1) {
-            const halfTile = this.tileSize / 2;
-            const enemyX = ex * this.tileSize + halfTile;
-            const enemyY = this.titleHeight + ey * this.tileSize + halfTile;
-            targetRadius = Phaser.Math.Distance.Between(x, y, enemyX, enemyY);
+            const enemy = this.cellCenter(ex, ey);
+            targetRadius = Phaser.Math.Distance.Between(x, y, enemy.x, enemy.y);
             found = true;
         }
 
-        const color = tankId === 'P1' ? 0x0088ff : 0xff4444;
+        const color = parseInt(tankColor(tankId).text.slice(1), 16);
         const g = this.add.graphics();
         
         this.tweens.addCounter({
@@ -398,7 +588,6 @@ export class BattleScene extends Phaser.Scene {
             onComplete: () => {
                 g.destroy();
                 if (found) {
-                    const enemyId = tankId === 'P1' ? 'P2' : 'P1';
                     const enemySprite = this.tankSprites[enemyId];
                     if (enemySprite && enemySprite.visible) {
                         enemySprite.tint = 0x00ff00;
@@ -0,0 +1,340 @@
+import { OPCODES, INSTRUCTION_SPECS, ARG_TYPES, READ_ONLY_REGISTERS } from './InstructionSet.js';
+import { MAX_OPS_PER_TURN } from '../constants.js';
+
+/**
+ * Static checks over Parser output. Nothing here stops a program from
+ * running: the warnings point at code that silently does nothing or
+ * freezes the tank at runtime.
+ *
+ * @typedef {Object} AnalyzerWarning
+ * @property {string} type - One of ANALYZER_WARNINGS
+ * @property {number} pc - Instruction index the warning is about
+ * @property {number} line - Assembly source line
+ * @property {number} [sourceLine] - TankScript line, when the program was compiled
+ * @property {string} message - Human readable description
+ */
+
+export const ANALYZER_WARNINGS = {
+    UNREACHABLE: 'UNREACHABLE',
+    UNUSED_LABEL: 'UNUSED_LABEL',
+    READ_ONLY_WRITE: 'READ_ONLY_WRITE',
+    UNINITIALIZED_READ: 'UNINITIALIZED_READ',
+    BUSY_LOOP: 'BUSY_LOOP'
+};
+
+// Instructions that end the tank's turn
+const ACTIONS = new Set([
+    OPCODES.NOP, OPCODES.MOV_F, OPCODES.MOV_B, OPCODES.ROT_L, OPCODES.ROT_R,
+    OPCODES.FIRE, OPCODES.SCAN, OPCODES.PING, OPCODES.SEND
+]);
+
+// How each instruction uses its register operands: r = read, w = written, rw = both.
+// '[R0]' memory operands always read the register that holds the address.
+const MATH = ['rw', 'r'];
+const OPERAND_ROLES = {
+    [OPCODES.SCAN]: ['w', 'w'],
+    [OPCODES.PING]: ['w', 'w'],
+    [OPCODES.SEND]: ['r'],
+    [OPCODES.RECV]: ['w', 'w'],
+    [OPCODES.CMP]: ['r', 'r'],
+    [OPCODES.DJNZ]: ['rw'],
+    [OPCODES.PUSH]: ['r'],
+    [OPCODES.POP]: ['w'],
+    [OPCODES.LOAD]: ['w', 'r'],
+    [OPCODES.STORE]: ['r', 'r'],
+    [OPCODES.SET]: ['w', 'r'],
+    [OPCODES.ADD]: MATH,
+    [OPCODES.SUB]: MATH,
+    [OPCODES.MUL]: MATH,
+    [OPCODES.DIV]: MATH,
+    [OPCODES.MOD]: MATH,
+    [OPCODES.AND]: MATH,
+    [OPCODES.OR]: MATH,
+    [OPCODES.XOR]: MATH,
+    [OPCODES.NOT]: ['rw'],
+    [OPCODES.SHL]: MATH,
+    [OPCODES.SHR]: MATH,
+};
+
+// Registers a program is expected to set itself (they all start at 0)
+const TRACKED_REGISTERS = ['R0', 'R1', 'R2', 'R3', 'R4', 'R5', 'ACC'];
+const ALL_TRACKED = (1 << TRACKED_REGISTERS.length) - 1;
+
+export class Analyzer {
+    /**
+     * @param {Instruction[]} program - Parsed program
+     * @param {Object<string, number>} labels - Label name -> instruction index
+     * @param {Object<string, number>} [labelLines] - Label name -> line of its LBL (from Parser)
+     * @returns {AnalyzerWarning[]} Warnings sorted by line
+     */
+    analyze(program, labels, labelLines = {}) {
+        this.program = program;
+        this.labels = labels;
+        this.returnSites = this.resolveReturns();
+        this.successors = program.map((inst, pc) => this.next(inst, pc));
+        this.reachable = this.reach();
+
+        const warnings = [
+            ...this.checkLabels(labelLines),
+            ...this.checkUnreachable(),
+            ...this.checkRegisters(),
+            ...this.checkUninitialized(),
+            ...this.checkBusyLoops()
+        ];
+        return warnings.sort((a, b) => a.line - b.line || a.pc - b.pc);
+    }
+
+    /**
+     * @param {Instruction} inst
+     * @param {number} pc - Index of inst
+     * @returns {number[]} Instructions that can run after inst (program.length = end of program)
+     */
+    next(inst, pc) {
+        const target = this.target(inst);
+        switch (inst.opcode) {
+            case OPCODES.JMP:
+            case OPCODES.CALL:
+                return target === null ? [] : [target];
+            case OPCODES.RET:
+                return this.returnSites[pc] || [];
+            default:
+                // Conditional jumps fall through when not taken
+                return target === null ? [pc + 1] : [pc + 1, target];
+        }
+    }
+
+    /**
+     * Link each RET to the instruction after every CALL whose subroutine can reach it,
+     * so a RET never returns to the call site of a different subroutine.
+     * @returns {Object<number, number[]>} RET index -> instructions it can return to
+     */
+    resolveReturns() {
+        const returns = {};
+        const subroutineReturns = {}; // Subroutine entry -> RETs it reaches
+        this.program.forEach((inst, pc) => {
+            if (inst.opcode !== OPCODES.CALL) return;
+            const entry = this.target(inst);
+            if (entry === null) return;
+            if (!subroutineReturns[entry]) subroutineReturns[entry] = this.reachableReturns(entry);
+            subroutineReturns[entry].forEach(ret => {
+                if (!returns[ret]) returns[ret] = [];
+                returns[ret].push(pc + 1);
+            });
+        });
+        return returns;
+    }
+
+    /**
+     * Walk a subroutine body. Nested CALLs are assumed to return, so the walk
+     * carries on after them instead of entering the callee.
+     * @param {number} entry - Index of the subroutine's first instruction
+     * @returns {number[]} RETs the subroutine can end on
+     */
+    reachableReturns(entry) {
+        const seen = new Set();
+        const rets = [];
+        const queue = [entry];
+        while (queue.length > 0) {
+            const pc = queue.pop();
+            if (pc >= this.program.length || seen.has(pc)) continue;
+            seen.add(pc);
+            const inst = this.program[pc];
+            if (inst.opcode === OPCODES.RET) rets.push(pc);
+            else if (inst.opcode === OPCODES.CALL) queue.push(pc + 1);
+            else queue.push(...this.next(inst, pc));
+        }
+        return rets;
+    }
+
+    /**
+     * @param {Instruction} inst
+     * @returns {number|null} Index jumped to, or null if inst does not jump
+     */
+    target(inst) {
+        const slot = INSTRUCTION_SPECS[inst.opcode].indexOf(ARG_TYPES.LABEL);
+        if (slot === -1) return null;
+        return this.labels[inst.args[slot]] ?? null;
+    }
+
+    /**
+     * @returns {boolean[]} Per instruction: can it run, starting from instruction 0
+     */
+    reach() {
+        const seen = this.program.map(() => false);
+        const queue = this.program.length > 0 ? [0] : [];
+        while (queue.length > 0) {
+            const pc = queue.pop();
+            if (pc >= this.program.length || seen[pc]) continue;
+            seen[pc] = true;
+            queue.push(...this.successors[pc]);
+        }
+        return seen;
+    }
+
+    /**
+     * @param {number} pc
+     * @param {string} type
+     * @param {string} message
+     * @returns {AnalyzerWarning}
+     */
+    warning(pc, type, message) {
+        const inst = this.program[pc];
+        const result = { type, pc, line: inst.line, message };
+        if (inst.sourceLine !== undefined) result.sourceLine = inst.sourceLine;
+        return result;
+    }
+
+    /**
+     * @param {Object<string, number>} labelLines - Label name -> line of its LBL
+     * @returns {AnalyzerWarning[]} Labels nothing jumps to (the Parser already rejects undefined ones)
+     */
+    checkLabels(labelLines) {
+        const warnings = [];
+        const used = new Set();
+        this.program.forEach(inst => {
+            const slot = INSTRUCTION_SPECS[inst.opcode].indexOf(ARG_TYPES.LABEL);
+            if (slot !== -1) used.add(inst.args[slot]);
+        });
+
+        // Compiler-generated labels start with '__'
+        Object.entries(this.labels)
+            .filter(([name]) => !used.has(name) && !name.startsWith('__'))
+            .forEach(([name, addr]) => {
+                const pc = Math.min(addr, this.program.length - 1);
+                if (pc < 0) return;
+                const warning = this.warning(pc, ANALYZER_WARNINGS.UNUSED_LABEL, `Label '${name}' is never jumped to.`);
+                if (labelLines[name] !== undefined) warning.line = labelLines[name];
+                warnings.push(warning);
+            });
+        return warnings;
+    }
+
+    /** @returns {AnalyzerWarning[]} Instructions no path from instruction 0 reaches */
+    checkUnreachable() {
+        const warnings = [];
+        this.program.forEach((inst, pc) => {
+            // One warning per run of unreachable instructions
+            if (this.reachable[pc] || (pc > 0 && !this.reachable[pc - 1])) return;
+            let end = pc;
+            while (end + 1 < this.program.length && !this.reachable[end + 1]) end++;
+            const count = end - pc + 1;
+            warnings.push(this.warning(pc, ANALYZER_WARNINGS.UNREACHABLE,
+                count === 1 ? 'Unreachable instruction.' : `Unreachable code (${count} instructions).`));
+        });
+        return warnings;
+    }
+
+    /** @returns {AnalyzerWarning[]} Writes to READ_ONLY_REGISTERS, which the CPU ignores */
+    checkRegisters() {
+        const warnings = [];
+        this.program.forEach((inst, pc) => {
+            const roles = OPERAND_ROLES[inst.opcode] || [];
+            roles.forEach((role, i) => {
+                const reg = inst.args[i];
+                if (role !== 'r' && READ_ONLY_REGISTERS.includes(reg)) {
+                    warnings.push(this.warning(pc, ANALYZER_WARNINGS.READ_ONLY_WRITE,
+                        `${inst.opcode} cannot change read-only register ${reg}; the write is ignored.`));
+                }
+            });
+        });
+        return warnings;
+    }
+
+    /**
+     * @param {Instruction} inst
+     * @returns {{reads: string[], writes: string[]}} Register operands by use
+     */
+    uses(inst) {
+        const reads = [], writes = [];
+        (OPERAND_ROLES[inst.opcode] || []).forEach((role, i) => {
+            const arg = inst.args[i];
+            if (typeof arg !== 'string') return;
+            if (arg.startsWith('[')) {
+                const reg = arg.slice(1, -1);
+                if (isNaN(Number(reg))) reads.push(reg);
+                return;
+            }
+            if (role.includes('r')) reads.push(arg);
+            if (role.includes('w')) writes.push(arg);
+        });
+        return { reads, writes };
+    }
+
+    /** @returns {AnalyzerWarning[]} First read of each register that some path reaches before any write */
+    checkUninitialized() {
+        const bit = reg => {
+            const i = TRACKED_REGISTERS.indexOf(reg);
+            return i === -1 ? 0 : 1 << i;
+        };
+        const uses = this.program.map(inst => this.uses(inst));
+        const written = uses.map(({ writes }) => writes.reduce((mask, reg) => mask | bit(reg), 0));
+
+        // Registers written on every path to each instruction
+        const defined = this.program.map(() => ALL_TRACKED);
+        const visited = this.program.map(() => false);
+        const queue = [];
+        if (this.program.length > 0) {
+            defined[0] = 0;
+            visited[0] = true;
+            queue.push(0);
+        }
+        while (queue.length > 0) {
+            const pc = queue.shift();
+            const out = defined[pc] | written[pc];
+            this.successors[pc].forEach(succ => {
+                if (succ >= this.program.length) return;
+                const merged = defined[succ] & out;
+                if (visited[succ] && merged === defined[succ]) return;
+                defined[succ] = merged;
+                visited[succ] = true;
+                queue.push(succ);
+            });
+        }
+
+        const warnings = [];
+        const reported = new Set();
+        this.program.forEach((inst, pc) => {
+            if (!this.reachable[pc]) return;
+            uses[pc].reads.forEach(reg => {
+                if (bit(reg) === 0 || (defined[pc] & bit(reg)) || reported.has(reg)) return;
+                reported.add(reg);
+                warnings.push(this.warning(pc, ANALYZER_WARNINGS.UNINITIALIZED_READ,
+                    `${reg} is read before it is written (it starts at 0).`));
+            });
+        });
+        return warnings;
+    }
+
+    /** @returns {AnalyzerWarning[]} Cycles that never pass through an action */
+    checkBusyLoops() {
+        const quiet = this.program.map((inst, pc) => this.reachable[pc] && !ACTIONS.has(inst.opcode));
+        const quietNext = this.successors.map((succs, pc) => quiet[pc] ? succs.filter(s => quiet[s]) : []);
+
+        // Quiet instructions reachable from each quiet instruction without an action
+        const reaches = this.program.map((inst, pc) => {
+            const seen = new Set();
+            const stack = [...quietNext[pc]];
+            while (stack.length > 0) {
+                const at = stack.pop();
+                if (seen.has(at)) continue;
+                seen.add(at);
+                stack.push(...quietNext[at]);
+            }
+            return seen;
+        });
+
+        const warnings = [];
+        const done = new Set();
+        this.program.forEach((inst, pc) => {
+            if (done.has(pc) || !reaches[pc].has(pc)) return;
+            // The loop is every instruction that pc reaches and that reaches pc back
+            const loop = [...reaches[pc]].filter(other => reaches[other].has(pc));
+            loop.forEach(other => done.add(other));
+            const exits = loop.some(at => this.successors[at].some(succ => !loop.includes(succ)));
+            warnings.push(this.warning(Math.min(...loop), ANALYZER_WARNINGS.BUSY_LOOP, exits
+                ? `Loop with no action (${loop.length} instructions) can use up the ${MAX_OPS_PER_TURN}-op turn budget before the tank acts.`
+                : `Infinite loop with no action: the tank uses up its ${MAX_OPS_PER_TURN}-op budget and loses every turn.`));
+        });
+        return warnings;
+    }
+}
@@ -0,0 +1,91 @@
+import { OPCODE_BINARY, INSTRUCTION_SPECS, ARG_TYPES, REGISTER_CODES, IMMEDIATE_FLAG, UNRESOLVED_ADDRESS, MAX_PROGRAM_SIZE, instructionSize } from './InstructionSet.js';
+
+export { MAX_PROGRAM_SIZE };
+
+/**
+ * Encodes Parser output into machine code.
+ * Each instruction is an opcode byte followed by one byte per operand
+ * (see REGISTER_CODES, IMMEDIATE_FLAG and UNRESOLVED_ADDRESS). Jump
+ * operands hold the byte address of the target instruction.
+ */
+export class Assembler {
+    /**
+     * @param {Instruction[]} program - Parsed program
+     * @param {Object<string, number>} labels - Label name -> instruction index
+     * @returns {Uint8Array} Byte image of the program
+     * @throws {Error} If the image is too large to address (the Parser already rejects these)
+     */
+    assemble(program, labels) {
+        const offsets = this.offsets(program);
+        const size = offsets[program.length];
+        if (size > MAX_PROGRAM_SIZE) {
+            throw new Error(`Program too long: ${size} bytes of machine code (max ${MAX_PROGRAM_SIZE}).`);
+        }
+        const addresses = this.labelAddresses(labels, offsets);
+        const bytes = [];
+        program.forEach(inst => bytes.push(...this.encodeInstruction(inst, addresses)));
+        return Uint8Array.from(bytes);
+    }
+
+    /**
+     * @param {Instruction[]} program - Parsed program
+     * @returns {number[]} Byte address of every instruction, plus the image size at index program.length
+     */
+    offsets(program) {
+        const offsets = [0];
+        program.forEach((inst, i) => offsets.push(offsets[i] + instructionSize(inst.opcode)));
+        return offsets;
+    }
+
+    /**
+     * @param {Object<string, number>} labels - Label name -> instruction index
+     * @param {number[]} offsets - From offsets()
+     * @returns {Object<string, number>} Label name -> byte address
+     */
+    labelAddresses(labels, offsets) {
+        return Object.fromEntries(Object.entries(labels).map(([name, index]) => [name, offsets[index]]));
+    }
+
+    /**
+     * Encode a single instruction.
+     * @param {Instruction} inst - Parsed instruction
+     * @param {Object<string, number>} addresses - Label name -> byte address (see labelAddresses)
+     * @returns {number[]} Opcode byte followed by operand bytes
+     */
+    encodeInstruction(inst, addresses) {
+        const spec = INSTRUCTION_SPECS[inst.opcode];
+        if (spec === undefined || OPCODE_BINARY[inst.opcode] === undefined) {
+            throw new Error(`Cannot encode instruction '${inst.opcode}'.`);
+        }
+
+        let opcode = OPCODE_BINARY[inst.opcode];
+        const operands = spec.map((slot, i) => {
+            let arg = inst.args[i];
+            const allowed = Array.isArray(slot) ? slot : [slot];
+
+            if (allowed.includes(ARG_TYPES.LABEL)) {
+                const addr = addresses[arg];
+                return addr === undefined ? UNRESOLVED_ADDRESS : addr;
+            }
+            if (allowed.includes(ARG_TYPES.ADDRESS)) {
+                // '[12]' is a direct address (flagged like an immediate), '[R0]' a register holding the address
+                arg = arg.slice(1, -1);
+                if (/^\d+$/.test(arg)) {
+                    opcode |= IMMEDIATE_FLAG;
+                    return Number(arg) & 0xFF;
+                }
+            }
+            else if (typeof arg === 'number') {
+                // Only mixed register/number slots need the flag to tell them apart
+                if (allowed.includes(ARG_TYPES.REGISTER)) opcode |= IMMEDIATE_FLAG;
+                return arg & 0xFF;
+            }
+            if (REGISTER_CODES[arg] === undefined) {
+                throw new Error(`Cannot encode register '${arg}'.`);
+            }
+            return REGISTER_CODES[arg];
+        });
+
+        return [opcode, ...operands];
+    }
+}
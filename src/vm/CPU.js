@@ -1,26 +1,31 @@
-import { REGISTERS, OPCODES, READ_ONLY_REGISTERS, REGISTER_MAX } from './InstructionSet.js';
+import { REGISTERS, OPCODES, READ_ONLY_REGISTERS, REGISTER_MAX, INBOX_SIZE, STACK_SIZE, MEMORY_SIZE, FLAG_BITS, UNRESOLVED_ADDRESS } from './InstructionSet.js';
+import { decodeInstruction } from './Disassembler.js';
 
 /**
  * @typedef {Object} Instruction
  * @property {string} opcode - The instruction opcode (e.g., 'MOV_F', 'SET')
  * @property {Array<string|number>} args - Instruction arguments (registers or numbers)
  * @property {number} [line] - Source line number (if available)
+ * @property {number} [sourceLine] - TankScript line the instruction was compiled from (if available)
  */
 
 /**
  * @typedef {Object} CPUAction
- * @property {string} type - Action type ('MOVE', 'ROTATE', 'FIRE', 'SCAN', 'PING', 'NOP', 'CPU_OP', 'HALT')
+ * @property {string} type - Action type ('MOVE', 'ROTATE', 'FIRE', 'SCAN', 'PING', 'SEND', 'NOP', 'CPU_OP', 'HALT')
  * @property {string} [dir] - Direction for MOVE/ROTATE ('FORWARD', 'BACKWARD', 'LEFT', 'RIGHT')
  * @property {string} [opcode] - Opcode for CPU_OP actions
  * @property {string} [destDist] - Destination register for SCAN distance
  * @property {string} [destType] - Destination register for SCAN type
  * @property {string} [destX] - Destination register for PING X
  * @property {string} [destY] - Destination register for PING Y
+ * @property {number} [value] - Message byte for SEND
  */
 
 /**
  * Virtual CPU for tank program execution.
  * All registers are 8-bit unsigned (0-255) with wrapping arithmetic.
+ * A CPU either runs Parser output, where PC is an instruction index, or
+ * (see fromImage) fetches and decodes machine code, where PC is a byte address.
  */
 export class CPU {
     /**
@@ -30,6 +35,7 @@ export class CPU {
     constructor(program, labels) {
         this.program = program;
         this.labels = labels;
+        this.image = null; // Machine code, when created by fromImage()
 
         // All registers are 8-bit (0-255), values wrap on overflow
         this.registers = {
@@ -41,17 +47,60 @@ export class CPU {
             [REGISTERS.R5]: 0,
             [REGISTERS.ACC]: 0,
             [REGISTERS.PC]: 0,
-            [REGISTERS.CMP]: 0,
             [REGISTERS.PX]: 0,   // Tank X position (read-only, set by BattleManager)
             [REGISTERS.PY]: 0,   // Tank Y position (read-only, set by BattleManager)
             [REGISTERS.DIR]: 0,  // Tank direction (read-only, set by BattleManager)
             [REGISTERS.HP]: 0,   // Tank HP (read-only)
             [REGISTERS.AMMO]: 0, // Tank Ammo (read-only)
+            [REGISTERS.SP]: 0,   // Stack depth (read-only, follows this.stack)
+            [REGISTERS.FLAGS]: 0, // Status flags set by CMP and arithmetic (read-only, see FLAG_BITS)
         };
 
+        this.memory = new Array(MEMORY_SIZE).fill(0); // RAM for LOAD/STORE
+        this.stack = []; // PUSH values and CALL return addresses (top is last)
+        this.inbox = []; // Team radio messages not yet read by RECV (oldest first)
+
         this.yieldAction = null;
         this.isDone = false;
         this.lastError = null;
+        this.fetchedAt = 0; // PC of the instruction being executed, for error messages
+    }
+
+    /**
+     * Create a CPU that runs an assembled byte image (see Assembler).
+     * Each step decodes the instruction at PC, which is a byte address, and
+     * jumps load the byte address stored in their operand. Bytes that do not
+     * decode halt the CPU when they are reached.
+     * @param {Uint8Array|number[]} image - Machine code
+     * @returns {CPU}
+     */
+    static fromImage(image) {
+        const cpu = new CPU([], {});
+        cpu.image = Uint8Array.from(image);
+        return cpu;
+    }
+
+    /**
+     * @returns {number} First PC past the program: the image size in bytes, or the instruction count
+     */
+    get programEnd() {
+        return this.image ? this.image.length : this.program.length;
+    }
+
+    /**
+     * Read the instruction at PC and advance PC past it (jumps overwrite it afterwards)
+     * @returns {Instruction} For an image, jump operands are byte addresses
+     * @throws {Error} If the image bytes at PC do not decode
+     */
+    fetch() {
+        this.fetchedAt = this.registers.PC;
+        if (!this.image) {
+            this.registers.PC++;
+            return this.program[this.fetchedAt];
+        }
+        const { instruction, size } = decodeInstruction(this.image, this.fetchedAt);
+        this.registers.PC += size;
+        return instruction;
     }
 
     /**
@@ -59,13 +108,18 @@ export class CPU {
      * @returns {CPUAction|null} Action object for game simulation, or null if program ended
      */
     step() {
-        if (this.registers.PC >= this.program.length) {
+        if (this.registers.PC >= this.programEnd) {
             this.isDone = true;
             return null; // End of program
         }
 
-        const instruction = this.program[this.registers.PC];
-        this.registers.PC++; // Advance PC immediately (Jumps will overwrite this)
+        let instruction;
+        try {
+            instruction = this.fetch();
+        } catch (e) {
+            this.fault(e.message.replace(/ at byte \d+\.$/, ''));
+            return null;
+        }
 
         const { opcode, args } = instruction;
         
@@ -101,6 +155,19 @@ export class CPU {
             case OPCODES.PING:
                 return { type: 'PING', destX: args[0], destY: args[1] };
 
+            // --- TEAM RADIO ---
+            case OPCODES.SEND:
+                // Broadcasting takes the turn; BattleManager delivers the message when the turn resolves
+                return { type: 'SEND', value: this.getValue(args[0]) };
+            case OPCODES.RECV:
+                if (this.inbox.length > 0) {
+                    this.setRegister(args[0], this.inbox.shift());
+                    this.setRegister(args[1], 1);
+                } else {
+                    this.setRegister(args[1], 0);
+                }
+                break;
+
             // --- FLOW CONTROL ---
             case OPCODES.JMP:
                 this.jump(args[0]);
@@ -108,23 +175,53 @@ export class CPU {
             case OPCODES.CMP:
                 this.compare(args[0], args[1]);
                 break;
+            // Comparison jumps read the flags left by CMP (unsigned: C means "less")
             case OPCODES.JE:
-                if (this.registers.CMP === 0) this.jump(args[0]);
+            case OPCODES.JZ:
+                if (this.flag(FLAG_BITS.Z)) this.jump(args[0]);
                 break;
             case OPCODES.JNE:
-                if (this.registers.CMP !== 0) this.jump(args[0]);
+            case OPCODES.JNZ:
+                if (!this.flag(FLAG_BITS.Z)) this.jump(args[0]);
                 break;
             case OPCODES.JG:
-                if (this.getSignedCMP() > 0) this.jump(args[0]);
+                if (!this.flag(FLAG_BITS.C) && !this.flag(FLAG_BITS.Z)) this.jump(args[0]);
                 break;
             case OPCODES.JL:
-                if (this.getSignedCMP() < 0) this.jump(args[0]);
+            case OPCODES.JC:
+                if (this.flag(FLAG_BITS.C)) this.jump(args[0]);
                 break;
             case OPCODES.JGE:
-                if (this.getSignedCMP() >= 0) this.jump(args[0]);
+            case OPCODES.JNC:
+                if (!this.flag(FLAG_BITS.C)) this.jump(args[0]);
                 break;
             case OPCODES.JLE:
-                if (this.getSignedCMP() <= 0) this.jump(args[0]);
+                if (this.flag(FLAG_BITS.C) || this.flag(FLAG_BITS.Z)) this.jump(args[0]);
+                break;
+            // Signed (two's complement) comparisons: "less" when N differs from V
+            case OPCODES.JGS:
+                if (!this.flag(FLAG_BITS.Z) && !this.signedLess()) this.jump(args[0]);
+                break;
+            case OPCODES.JLS:
+                if (this.signedLess()) this.jump(args[0]);
+                break;
+            case OPCODES.JGES:
+                if (!this.signedLess()) this.jump(args[0]);
+                break;
+            case OPCODES.JLES:
+                if (this.flag(FLAG_BITS.Z) || this.signedLess()) this.jump(args[0]);
+                break;
+            case OPCODES.JO:
+                if (this.flag(FLAG_BITS.V)) this.jump(args[0]);
+                break;
+            case OPCODES.JNO:
+                if (!this.flag(FLAG_BITS.V)) this.jump(args[0]);
+                break;
+            case OPCODES.JN:
+                if (this.flag(FLAG_BITS.N)) this.jump(args[0]);
+                break;
+            case OPCODES.JNN:
+                if (!this.flag(FLAG_BITS.N)) this.jump(args[0]);
                 break;
             case OPCODES.DJNZ:
                 // Decrement and Jump if Not Zero
@@ -137,22 +234,101 @@ export class CPU {
                 }
                 break;
 
-            // --- MATH (all results masked to 8-bit) ---
+            // --- STACK (overflow and underflow halt the CPU) ---
+            case OPCODES.PUSH:
+                this.push(this.getValue(args[0]), 'PUSH');
+                break;
+            case OPCODES.POP: {
+                const value = this.pop('POP');
+                if (value !== null) this.setRegister(args[0], value);
+                break;
+            }
+            case OPCODES.CALL:
+                if (this.stack.length >= STACK_SIZE) {
+                    this.fault(`Stack overflow: CALL nested more than ${STACK_SIZE} deep, runaway recursion?`);
+                } else {
+                    this.push(this.registers.PC, 'CALL');
+                    this.jump(args[0]);
+                }
+                break;
+            case OPCODES.RET: {
+                const addr = this.pop('RET');
+                if (addr !== null) this.registers.PC = addr;
+                break;
+            }
+
+            // --- MEMORY (out-of-range addresses halt the CPU) ---
+            case OPCODES.LOAD: {
+                const addr = this.address(args[1]);
+                if (addr !== null) this.setRegister(args[0], this.memory[addr]);
+                break;
+            }
+            case OPCODES.STORE: {
+                const addr = this.address(args[0]);
+                if (addr !== null) this.memory[addr] = this.getValue(args[1]);
+                break;
+            }
+
+            // --- MATH (all results masked to 8-bit, FLAGS updated by alu()) ---
             case OPCODES.SET:
                 if (!READ_ONLY_REGISTERS.includes(args[0])) {
                     this.registers[args[0]] = this.mask(this.getValue(args[1]));
                 }
                 break;
-            case OPCODES.ADD:
-                if (!READ_ONLY_REGISTERS.includes(args[0])) {
-                    this.registers[args[0]] = this.mask(this.registers[args[0]] + this.getValue(args[1]));
-                }
+            case OPCODES.ADD: {
+                const a = this.registers[args[0]], b = this.getValue(args[1]), sum = a + b;
+                // Signed overflow: both operands have the same sign and the result does not
+                this.alu(args[0], sum, sum > REGISTER_MAX, ((a ^ sum) & (b ^ sum) & 0x80) !== 0);
                 break;
-            case OPCODES.SUB:
-                if (!READ_ONLY_REGISTERS.includes(args[0])) {
-                    this.registers[args[0]] = this.mask(this.registers[args[0]] - this.getValue(args[1]));
+            }
+            case OPCODES.SUB: {
+                const a = this.registers[args[0]], b = this.getValue(args[1]), diff = a - b;
+                // Signed overflow: the operands have different signs and the result has the sign of b
+                this.alu(args[0], diff, a < b, ((a ^ b) & (a ^ diff) & 0x80) !== 0);
+                break;
+            }
+            case OPCODES.MUL: {
+                const product = this.registers[args[0]] * this.getValue(args[1]);
+                this.alu(args[0], product, product > REGISTER_MAX, product > REGISTER_MAX);
+                break;
+            }
+            case OPCODES.DIV:
+            case OPCODES.MOD: {
+                const divisor = this.getValue(args[1]);
+                if (divisor === 0) {
+                    this.setFlag(FLAG_BITS.D, true);
+                    break;
                 }
+                this.setFlag(FLAG_BITS.D, false);
+                const dividend = this.registers[args[0]];
+                this.alu(args[0], opcode === OPCODES.DIV ? Math.floor(dividend / divisor) : dividend % divisor);
+                break;
+            }
+            case OPCODES.AND:
+                this.alu(args[0], this.registers[args[0]] & this.getValue(args[1]));
+                break;
+            case OPCODES.OR:
+                this.alu(args[0], this.registers[args[0]] | this.getValue(args[1]));
+                break;
+            case OPCODES.XOR:
+                this.alu(args[0], this.registers[args[0]] ^ this.getValue(args[1]));
+                break;
+            case OPCODES.NOT:
+                this.alu(args[0], ~this.registers[args[0]]);
+                break;
+            // Shifting by 8 or more clears the byte (JS shifts wrap the count at 32); C is the last bit shifted out
+            case OPCODES.SHL: {
+                const a = this.registers[args[0]], bits = this.getValue(args[1]);
+                const carry = bits >= 1 && bits <= 8 && ((a >> (8 - bits)) & 1) === 1;
+                this.alu(args[0], bits >= 8 ? 0 : a << bits, carry);
+                break;
+            }
+            case OPCODES.SHR: {
+                const a = this.registers[args[0]], bits = this.getValue(args[1]);
+                const carry = bits >= 1 && bits <= 8 && ((a >> (bits - 1)) & 1) === 1;
+                this.alu(args[0], bits >= 8 ? 0 : a >> bits, carry);
                 break;
+            }
         }
         return null; // Continue execution
     }
@@ -167,41 +343,126 @@ export class CPU {
     }
 
     /**
-     * Get signed interpretation of CMP register.
-     * CMP stores 0, 1, or 255 (for -1). This interprets 255 as -1.
-     * @returns {number} Signed value (-1, 0, or 1)
+     * Store an arithmetic result and set Z, C, V and N from it (D is kept)
+     * @param {string|null} reg - Destination register, or null to only set the flags (CMP)
+     * @param {number} result - Unmasked result
+     * @param {boolean} [carry=false] - Value of the C flag
+     * @param {boolean} [overflow=false] - Value of the V flag
      */
-    getSignedCMP() {
-        const cmp = this.registers.CMP;
-        return cmp > 127 ? cmp - 256 : cmp;
+    alu(reg, result, carry = false, overflow = false) {
+        const value = this.mask(result);
+        let flags = this.registers.FLAGS & FLAG_BITS.D;
+        if (value === 0) flags |= FLAG_BITS.Z;
+        if (carry) flags |= FLAG_BITS.C;
+        if (overflow) flags |= FLAG_BITS.V;
+        if (value & 0x80) flags |= FLAG_BITS.N;
+        this.registers.FLAGS = flags;
+        if (reg !== null) this.setRegister(reg, value);
+    }
+
+    /**
+     * @param {number} bit - One of FLAG_BITS
+     * @returns {boolean} Whether the flag is set
+     */
+    flag(bit) {
+        return (this.registers.FLAGS & bit) !== 0;
+    }
+
+    /**
+     * Signed "less than" after CMP a, b: the sign of a - b (N) is wrong exactly when it overflowed (V)
+     * @returns {boolean} True if a < b as two's complement numbers
+     */
+    signedLess() {
+        return this.flag(FLAG_BITS.N) !== this.flag(FLAG_BITS.V);
+    }
+
+    /**
+     * Set or clear a bit of the read-only FLAGS register
+     * @param {number} bit - One of FLAG_BITS
+     * @param {boolean} on - Whether the flag is set
+     */
+    setFlag(bit, on) {
+        this.registers.FLAGS = on ? this.registers.FLAGS | bit : this.registers.FLAGS & ~bit;
+    }
+
+    /**
+     * Push a byte onto the stack
+     * @param {number} value - Value to push
+     * @param {string} opcode - Instruction doing the push (for the error message)
+     * @returns {boolean} False if the stack was full (the CPU is halted)
+     */
+    push(value, opcode) {
+        if (this.stack.length >= STACK_SIZE) {
+            this.fault(`Stack overflow: ${opcode} with ${STACK_SIZE} values already on the stack`);
+            return false;
+        }
+        this.stack.push(this.mask(value));
+        this.registers.SP = this.stack.length;
+        return true;
+    }
+
+    /**
+     * Pop the top byte off the stack
+     * @param {string} opcode - Instruction doing the pop (for the error message)
+     * @returns {number|null} The value, or null if the stack was empty (the CPU is halted)
+     */
+    pop(opcode) {
+        if (this.stack.length === 0) {
+            this.fault(`Stack underflow: ${opcode} with an empty stack`);
+            return null;
+        }
+        const value = this.stack.pop();
+        this.registers.SP = this.stack.length;
+        return value;
+    }
+
+    /**
+     * Resolve a memory operand to a RAM address
+     * @param {string} operand - '[12]' (direct) or '[R0]' (address held in a register)
+     * @returns {number|null} The address, or null if it is outside RAM (the CPU is halted)
+     */
+    address(operand) {
+        const inner = operand.slice(1, -1);
+        const addr = /^\d+$/.test(inner) ? Number(inner) : this.getValue(inner);
+        if (addr >= MEMORY_SIZE) {
+            this.fault(`Memory access out of bounds: address ${addr} (RAM is ${MEMORY_SIZE} bytes)`);
+            return null;
+        }
+        return addr;
+    }
+
+    /**
+     * Halt the program because of a runtime error
+     * @param {string} message - Error description (stored in lastError)
+     */
+    fault(message) {
+        this.lastError = `${message} (at ${this.image ? 'byte' : 'instruction'} ${this.fetchedAt})`;
+        this.isDone = true;
+        this.registers.PC = this.programEnd;
     }
 
     /**
      * Jump to a labeled instruction
-     * @param {string} labelName - Name of the label to jump to
+     * @param {string|number} target - Label name, or the byte address operand of an image instruction
      */
-    jump(labelName) {
-        const addr = this.labels[labelName];
+    jump(target) {
+        const addr = this.image ? (target === UNRESOLVED_ADDRESS ? undefined : target) : this.labels[target];
         if (addr !== undefined) {
             this.registers.PC = addr;
         } else {
-            // Label not found - halt execution
-            this.isDone = true;
-            this.registers.PC = this.program.length;
+            // The Parser rejects undefined labels, but an image can still hold UNRESOLVED_ADDRESS
+            this.fault(this.image ? 'Jump to an undefined label' : `Jump to undefined label '${target}'`);
         }
     }
 
     /**
-     * Compare two values and set CMP register
+     * Compare two values: set FLAGS as for SUB without storing the result
      * @param {string} reg - Register to compare
      * @param {string|number} valOrReg - Value or register to compare against
      */
     compare(reg, valOrReg) {
-        const v1 = this.registers[reg];
-        const v2 = this.getValue(valOrReg);
-        if (v1 === v2) this.registers.CMP = 0;
-        else if (v1 > v2) this.registers.CMP = 1;
-        else this.registers.CMP = 255;  // -1 in two's complement byte
+        const a = this.registers[reg], b = this.getValue(valOrReg), diff = a - b;
+        this.alu(null, diff, a < b, ((a ^ b) & (a ^ diff) & 0x80) !== 0);
     }
 
     /**
@@ -210,7 +471,7 @@ export class CPU {
      * @returns {number} The value (0-255)
      */
     getValue(arg) {
-        if (typeof arg === 'number') return arg;
+        if (typeof arg === 'number') return this.mask(arg); // Immediates are bytes, as in the machine code
         if (this.registers[arg] !== undefined) return this.registers[arg];
         // Error case - unknown register (should be caught at parse time)
         console.warn(`CPU: Unknown register '${arg}', returning 0`);
@@ -229,10 +490,46 @@ export class CPU {
         }
     }
 
+    /**
+     * Put a team radio message in the inbox (used by BattleManager at turn resolution).
+     * Messages arriving while the inbox is full are lost.
+     * @param {number} value - Message byte
+     * @returns {boolean} True if the message was stored
+     */
+    receive(value) {
+        if (this.inbox.length >= INBOX_SIZE) return false;
+        this.inbox.push(this.mask(value));
+        return true;
+    }
+
+    /**
+     * Capture the mutable CPU state (registers, memory, stack, inbox and halt status)
+     * @returns {{registers: Object<string, number>, memory: number[], stack: number[], inbox: number[], isDone: boolean, lastError: string|null}}
+     */
+    snapshot() {
+        return {
+            registers: { ...this.registers }, memory: [...this.memory], stack: [...this.stack], inbox: [...this.inbox],
+            isDone: this.isDone, lastError: this.lastError
+        };
+    }
+
+    /**
+     * Restore state captured by snapshot()
+     * @param {{registers: Object<string, number>, memory: number[], stack: number[], inbox: number[], isDone: boolean, lastError: string|null}} snap
+     */
+    restore(snap) {
+        this.registers = { ...snap.registers };
+        this.memory = [...snap.memory];
+        this.stack = [...snap.stack];
+        this.inbox = [...snap.inbox];
+        this.isDone = snap.isDone;
+        this.lastError = snap.lastError;
+    }
+
     /**
      * Update read-only tank state registers (called by BattleManager before each step)
-     * @param {number} x - Tank X position (0-15)
-     * @param {number} y - Tank Y position (0-9)
+     * @param {number} x - Tank X position (0 to arena width - 1)
+     * @param {number} y - Tank Y position (0 to arena height - 1)
      * @param {number} direction - Tank facing direction (0=E, 1=S, 2=W, 3=N)
      * @param {number} hp - Tank health points
      * @param {number} ammo - Tank ammo (0 or 1)
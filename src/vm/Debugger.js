@@ -0,0 +1,198 @@
+import { REGISTERS } from './InstructionSet.js';
+
+/**
+ * Debugger support: register expressions for watches and conditional
+ * breakpoints, plus a per-tank breakpoint table.
+ *
+ * Expression syntax (case-insensitive register names):
+ *   R0 == 3    HP < 2    PX + 1 >= PY    (R0 > 1) && (ACC != 0)    0x1F
+ * Comparisons and logical operators evaluate to 1 or 0.
+ */
+
+const REGISTER_NAMES = new Set(Object.values(REGISTERS));
+
+// Binary operators from lowest to highest precedence
+const BINARY_LEVELS = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<', '<=', '>', '>='],
+    ['+', '-']
+];
+
+const BINARY_OPS = {
+    '||': (a, b) => (a || b) ? 1 : 0,
+    '&&': (a, b) => (a && b) ? 1 : 0,
+    '==': (a, b) => a === b ? 1 : 0,
+    '!=': (a, b) => a !== b ? 1 : 0,
+    '<': (a, b) => a < b ? 1 : 0,
+    '<=': (a, b) => a <= b ? 1 : 0,
+    '>': (a, b) => a > b ? 1 : 0,
+    '>=': (a, b) => a >= b ? 1 : 0,
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b
+};
+
+function tokenizeExpression(text) {
+    const tokens = [];
+    const re = /\s*(0x[0-9a-f]+|\d+|[a-z_][a-z0-9_]*|==|!=|<=|>=|&&|\|\||[-+<>()!])/giy;
+    let pos = 0;
+    while (pos < text.length) {
+        if (/^\s*$/.test(text.slice(pos))) break;
+        re.lastIndex = pos;
+        const m = re.exec(text);
+        if (!m) throw new Error(`Unexpected character '${text.slice(pos).trim()[0]}'`);
+        tokens.push(m[1]);
+        pos = re.lastIndex;
+    }
+    return tokens;
+}
+
+/**
+ * Compile a register expression into an evaluator.
+ * @param {string} text - Expression source
+ * @returns {function(Object<string, number>): number} Evaluates the expression against a register file
+ * @throws {Error} On syntax errors or unknown registers
+ */
+export function compileExpression(text) {
+    const tokens = tokenizeExpression(text);
+    if (tokens.length === 0) throw new Error('Empty expression');
+    let i = 0;
+
+    const parseBinary = (level) => {
+        if (level === BINARY_LEVELS.length) return parseUnary();
+        let left = parseBinary(level + 1);
+        while (i < tokens.length && BINARY_LEVELS[level].includes(tokens[i])) {
+            const op = BINARY_OPS[tokens[i++]];
+            const lhs = left;
+            const rhs = parseBinary(level + 1);
+            left = regs => op(lhs(regs), rhs(regs));
+        }
+        return left;
+    };
+
+    const parseUnary = () => {
+        const token = tokens[i];
+        if (token === '-') { i++; const operand = parseUnary(); return regs => -operand(regs); }
+        if (token === '!') { i++; const operand = parseUnary(); return regs => operand(regs) ? 0 : 1; }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[i++];
+        if (token === undefined) throw new Error('Unexpected end of expression');
+        if (token === '(') {
+            const inner = parseBinary(0);
+            if (tokens[i++] !== ')') throw new Error("Missing ')'");
+            return inner;
+        }
+        if (/^(0x[0-9a-f]+|\d+)$/i.test(token)) {
+            const value = Number(token);
+            return () => value;
+        }
+        const name = token.toUpperCase();
+        if (REGISTER_NAMES.has(name)) return regs => regs[name] ?? 0;
+        throw new Error(`Unknown register '${token}'`);
+    };
+
+    const evaluate = parseBinary(0);
+    if (i < tokens.length) throw new Error(`Unexpected '${tokens[i]}'`);
+    return evaluate;
+}
+
+/**
+ * @typedef {Object} Breakpoint
+ * @property {number} pc - Instruction index
+ * @property {string|null} condition - Expression source, null for unconditional
+ */
+
+/**
+ * Breakpoint table keyed by tank ID and instruction index.
+ * Indices only mean something for one program, so each tank's breakpoints
+ * belong to the program last passed to bindProgram().
+ */
+export class Breakpoints {
+    constructor() {
+        this.tanks = {};
+        this.listings = {}; // Tank ID -> listing of the bound program
+    }
+
+    table(tankId) {
+        if (!this.tanks[tankId]) this.tanks[tankId] = new Map();
+        return this.tanks[tankId];
+    }
+
+    /**
+     * Add or replace a breakpoint.
+     * @param {string} tankId
+     * @param {number} pc
+     * @param {string|null} [condition] - Optional expression; the breakpoint only fires when it is non-zero
+     * @throws {Error} If the condition does not compile
+     */
+    set(tankId, pc, condition = null) {
+        const cond = condition && condition.trim() ? condition.trim() : null;
+        const test = cond ? compileExpression(cond) : null;
+        this.table(tankId).set(pc, { pc, condition: cond, test });
+    }
+
+    remove(tankId, pc) {
+        this.table(tankId).delete(pc);
+    }
+
+    /**
+     * Toggle an unconditional breakpoint.
+     * @returns {boolean} True if a breakpoint is now set
+     */
+    toggle(tankId, pc) {
+        if (this.has(tankId, pc)) {
+            this.remove(tankId, pc);
+            return false;
+        }
+        this.set(tankId, pc);
+        return true;
+    }
+
+    has(tankId, pc) {
+        return this.table(tankId).has(pc);
+    }
+
+    /**
+     * @returns {Breakpoint|null}
+     */
+    get(tankId, pc) {
+        const bp = this.table(tankId).get(pc);
+        return bp ? { pc: bp.pc, condition: bp.condition } : null;
+    }
+
+    /**
+     * Check whether execution should pause before running the instruction at pc.
+     * @param {string} tankId
+     * @param {number} pc - Instruction about to execute
+     * @param {Object<string, number>} registers - Current register file
+     * @returns {boolean}
+     */
+    shouldBreak(tankId, pc, registers) {
+        const bp = this.table(tankId).get(pc);
+        if (!bp) return false;
+        return !bp.test || bp.test(registers) !== 0;
+    }
+
+    clear(tankId) {
+        this.table(tankId).clear();
+    }
+
+    /**
+     * Bind a tank's breakpoints to a program. Binding a different program
+     * clears them, so they never land on other instructions after an edit.
+     * @param {string} tankId
+     * @param {Instruction[]} program
+     * @returns {boolean} True if breakpoints were cleared
+     */
+    bindProgram(tankId, program) {
+        const listing = program.map(inst => `${inst.opcode} ${inst.args.join(', ')}`).join('\n');
+        const stale = this.listings[tankId] !== listing && this.table(tankId).size > 0;
+        if (stale) this.clear(tankId);
+        this.listings[tankId] = listing;
+        return stale;
+    }
+}
@@ -0,0 +1,112 @@
+import { OPCODES, OPCODE_BINARY, INSTRUCTION_SPECS, ARG_TYPES, REGISTER_CODES, IMMEDIATE_FLAG, UNRESOLVED_ADDRESS } from './InstructionSet.js';
+
+// Reverse lookups for decoding
+const OPCODE_BY_BYTE = Object.fromEntries(
+    Object.entries(OPCODE_BINARY)
+        .filter(([name]) => name !== OPCODES.LBL)
+        .map(([name, byte]) => [byte, name])
+);
+const REGISTER_BY_CODE = Object.fromEntries(Object.entries(REGISTER_CODES).map(([name, code]) => [code, name]));
+
+// Label name used for jumps to UNRESOLVED_ADDRESS (never defined, so jumping there halts)
+export const UNRESOLVED_LABEL = '__undefined';
+
+/**
+ * Formats a label name for a decoded jump target
+ * @param {number} addr - Byte address
+ * @returns {string} e.g. 'L_0A'
+ */
+export function addressLabel(addr) {
+    return `L_${addr.toString(16).padStart(2, '0').toUpperCase()}`;
+}
+
+/**
+ * @param {number} code - Register code (see REGISTER_CODES)
+ * @param {number} offset - Byte offset of the operand, for the error message
+ * @returns {string} Register name
+ */
+function register(code, offset) {
+    const reg = REGISTER_BY_CODE[code];
+    if (reg === undefined) throw new Error(`Unknown register code ${code} at byte ${offset}.`);
+    return reg;
+}
+
+/**
+ * Decode the instruction that starts at a byte offset. Jump operands are
+ * returned as byte addresses (numbers), as stored in the image.
+ * @param {Uint8Array|number[]} bytes - Byte image
+ * @param {number} offset - Address of the opcode byte
+ * @returns {{instruction: Instruction, size: number}} The instruction and its length in bytes
+ * @throws {Error} On unknown opcodes, registers or a truncated instruction
+ */
+export function decodeInstruction(bytes, offset) {
+    const opByte = bytes[offset];
+    const opcode = OPCODE_BY_BYTE[opByte & ~IMMEDIATE_FLAG];
+    if (opcode === undefined) {
+        throw new Error(`Unknown opcode 0x${opByte.toString(16).padStart(2, '0').toUpperCase()} at byte ${offset}.`);
+    }
+    const immediate = (opByte & IMMEDIATE_FLAG) !== 0;
+    const spec = INSTRUCTION_SPECS[opcode];
+    if (offset + spec.length >= bytes.length) {
+        throw new Error(`Truncated '${opcode}' instruction at byte ${offset}.`);
+    }
+
+    const args = spec.map((slot, i) => {
+        const value = bytes[offset + 1 + i];
+        const allowed = Array.isArray(slot) ? slot : [slot];
+
+        if (allowed.includes(ARG_TYPES.LABEL)) return value;
+        if (allowed.includes(ARG_TYPES.ADDRESS)) {
+            return `[${immediate ? value : register(value, offset + 1 + i)}]`;
+        }
+        const isNumber = !allowed.includes(ARG_TYPES.REGISTER) || (immediate && allowed.includes(ARG_TYPES.NUMBER));
+        if (isNumber) return value;
+        return register(value, offset + 1 + i);
+    });
+
+    return { instruction: { opcode, args }, size: 1 + spec.length };
+}
+
+/**
+ * Decodes machine code produced by the Assembler back into Parser program entries.
+ * Original label names are not stored in the image, so jump targets get
+ * generated names (see addressLabel) and the byte addresses are turned back
+ * into instruction indices.
+ */
+export class Disassembler {
+    /**
+     * @param {Uint8Array|number[]} bytes - Byte image
+     * @returns {{program: Instruction[], labels: Object<string, number>}}
+     * @throws {Error} On unknown opcodes, registers, a truncated image or a jump into the middle of an instruction
+     */
+    disassemble(bytes) {
+        const program = [];
+        const indexAt = new Map(); // Byte address -> instruction index
+        let offset = 0;
+
+        while (offset < bytes.length) {
+            const { instruction, size } = decodeInstruction(bytes, offset);
+            indexAt.set(offset, program.length);
+            program.push({ instruction, offset });
+            offset += size;
+        }
+        indexAt.set(offset, program.length);
+
+        const labels = {};
+        const decoded = program.map(({ instruction: { opcode, args }, offset }) => ({
+            opcode,
+            args: args.map((arg, i) => {
+                if (INSTRUCTION_SPECS[opcode][i] !== ARG_TYPES.LABEL) return arg;
+                if (arg === UNRESOLVED_ADDRESS) return UNRESOLVED_LABEL;
+                if (!indexAt.has(arg)) {
+                    throw new Error(`Jump target ${arg} in '${opcode}' at byte ${offset} is not the start of an instruction.`);
+                }
+                const name = addressLabel(arg);
+                labels[name] = indexAt.get(arg);
+                return name;
+            })
+        }));
+
+        return { program: decoded, labels };
+    }
+}
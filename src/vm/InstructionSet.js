@@ -6,6 +6,15 @@
 export const REGISTER_BITS = 8;
 export const REGISTER_MAX = 0xFF;  // 255
 
+// Team radio: received messages wait in the CPU's inbox until RECV reads them
+export const INBOX_SIZE = 8;
+
+// Hardware stack shared by PUSH/POP and CALL/RET return addresses
+export const STACK_SIZE = 16;
+
+// Data memory (RAM) in bytes, addressed by LOAD/STORE as [addr] or [reg]
+export const MEMORY_SIZE = 64;
+
 export const REGISTERS = {
     R0: 'R0',
     R1: 'R1',
@@ -15,16 +24,27 @@ export const REGISTERS = {
     R5: 'R5',
     ACC: 'ACC', // Accumulator
     PC: 'PC',   // Program Counter
-    CMP: 'CMP', // Comparison Flag (-1, 0, 1)
     PX: 'PX',   // Tank X position (read-only)
     PY: 'PY',   // Tank Y position (read-only)
     DIR: 'DIR', // Tank facing direction (read-only): 0=E, 1=S, 2=W, 3=N
     HP: 'HP',   // Health Points (read-only)
-    AMMO: 'AMMO' // Ammo count (0 or 1) (read-only)
+    AMMO: 'AMMO', // Ammo count (0 or 1) (read-only)
+    SP: 'SP',     // Stack pointer: number of values on the stack (read-only)
+    FLAGS: 'FLAGS' // Status flags set by CMP and arithmetic, see FLAG_BITS (read-only)
 };
 
 // Read-only registers that cannot be modified by tank scripts
-export const READ_ONLY_REGISTERS = ['PX', 'PY', 'DIR', 'HP', 'AMMO'];
+export const READ_ONLY_REGISTERS = ['PX', 'PY', 'DIR', 'HP', 'AMMO', 'SP', 'FLAGS'];
+
+// Bits of the FLAGS register. Z, C, V and N are updated by CMP and every
+// arithmetic or bitwise instruction (SET, LOAD and POP leave them alone).
+export const FLAG_BITS = {
+    Z: 0x01, // Zero: the 8-bit result is 0
+    C: 0x02, // Carry: unsigned result did not fit (ADD/MUL), borrow (SUB/CMP), or the last bit shifted out (SHL/SHR)
+    V: 0x04, // Overflow: result is wrong as a signed (two's complement) number
+    N: 0x08, // Negative: bit 7 of the result is set
+    D: 0x10, // Divide by zero: set by a DIV/MOD by zero (the destination is left unchanged), cleared by the next successful one
+};
 
 export const OPCODES = {
     // ACTIONS (End Turn)
@@ -38,23 +58,60 @@ export const OPCODES = {
     // SENSORS (Instant - Cost 1 Op?) -> Plan says Instant, but maybe cost 1 "Op" count to prevent infinite
     SCAN:  'SCAN',  // SCAN Reg_Dist, Reg_Type
     PING:  'PING',  // PING Reg_X, Reg_Y (Get GPS Coords)
+
+    // TEAM RADIO
+    SEND:  'SEND',  // SEND Val/Reg -> Broadcast to teammates (ends turn, delivered at turn resolution)
+    RECV:  'RECV',  // RECV Reg, Reg_Flag -> Pop oldest message (Instant, flag 1 if one was waiting)
     
     // FLOW CONTROL (Instant)
     LBL:   'LBL',   // Label definition (Virtual instruction)
     JMP:   'JMP',   // Unconditional Jump
-    CMP:   'CMP',   // Compare Reg, Val/Reg -> Sets CMP flag
-    JE:    'JE',    // Jump if Equal (CMP == 0)
-    JNE:   'JNE',   // Jump if Not Equal (CMP != 0)
-    JG:    'JG',    // Jump if Greater (CMP == 1)
-    JL:    'JL',    // Jump if Less (CMP == -1)
-    JGE:   'JGE',   // Jump if Greater or Equal (CMP >= 0)
-    JLE:   'JLE',   // Jump if Less or Equal (CMP <= 0)
-    DJNZ:  'DJNZ',  // Decrement Reg, Jump if Not Zero
+    CMP:   'CMP',   // Compare Reg, Val/Reg -> Sets FLAGS like SUB without storing the result
+    JE:    'JE',    // Jump if Equal (Z)
+    JNE:   'JNE',   // Jump if Not Equal (!Z)
+    JG:    'JG',    // Jump if Greater, unsigned (!C && !Z)
+    JL:    'JL',    // Jump if Less, unsigned (C)
+    JGE:   'JGE',   // Jump if Greater or Equal, unsigned (!C)
+    JLE:   'JLE',   // Jump if Less or Equal, unsigned (C || Z)
+    JGS:   'JGS',   // Jump if Greater, signed (!Z && N == V)
+    JLS:   'JLS',   // Jump if Less, signed (N != V)
+    JGES:  'JGES',  // Jump if Greater or Equal, signed (N == V)
+    JLES:  'JLES',  // Jump if Less or Equal, signed (Z || N != V)
+    DJNZ:  'DJNZ',  // Decrement Reg, Jump if Not Zero (FLAGS unchanged)
+
+    // FLAG JUMPS (Instant)
+    JZ:    'JZ',    // Jump if Zero
+    JNZ:   'JNZ',   // Jump if Not Zero
+    JC:    'JC',    // Jump if Carry
+    JNC:   'JNC',   // Jump if No Carry
+    JO:    'JO',    // Jump if Overflow
+    JNO:   'JNO',   // Jump if No Overflow
+    JN:    'JN',    // Jump if Negative
+    JNN:   'JNN',   // Jump if Not Negative
+
+    // STACK (Instant)
+    PUSH:  'PUSH',  // Push Val/Reg onto the stack
+    POP:   'POP',   // Pop the top of the stack into Reg
+    CALL:  'CALL',  // Push the return address, Jump to label
+    RET:   'RET',   // Pop the return address into PC
+
+    // MEMORY (Instant)
+    LOAD:  'LOAD',  // LOAD Reg, [Addr/Reg] -> Read a byte of RAM
+    STORE: 'STORE', // STORE [Addr/Reg], Reg -> Write a byte of RAM
     
     // MATH / DATA (Instant)
     SET:   'SET',   // Set Reg, Val
     ADD:   'ADD',   // Add Val to Reg
     SUB:   'SUB',   // Sub Val from Reg
+    MUL:   'MUL',   // Multiply Reg by Val
+    DIV:   'DIV',   // Divide Reg by Val (rounds down, sets FLAGS.D on divide by zero)
+    MOD:   'MOD',   // Remainder of Reg / Val (sets FLAGS.D on divide by zero)
+    AND:   'AND',   // Bitwise AND Reg with Val
+    OR:    'OR',    // Bitwise OR Reg with Val
+    XOR:   'XOR',   // Bitwise XOR Reg with Val
+    NOT:   'NOT',   // Invert every bit of Reg
+    SHL:   'SHL',   // Shift Reg left by Val bits
+    SHR:   'SHR',   // Shift Reg right by Val bits (zero fill)
 };
 
 // Binary Mapping for UI Visualization (8-bit)
@@ -67,6 +124,8 @@ export const OPCODE_BINARY = {
     [OPCODES.FIRE]:  0x05,
     [OPCODES.SCAN]:  0x10,
     [OPCODES.PING]:  0x11,
+    [OPCODES.SEND]:  0x12,
+    [OPCODES.RECV]:  0x13,
     [OPCODES.LBL]:   0xFE, // Pseudo
     [OPCODES.JMP]:   0x20,
     [OPCODES.CMP]:   0x21,
@@ -76,17 +135,72 @@ export const OPCODE_BINARY = {
     [OPCODES.JL]:    0x25,
     [OPCODES.JGE]:   0x27,
     [OPCODES.JLE]:   0x28,
+    [OPCODES.JGS]:   0x29,
+    [OPCODES.JLS]:   0x2A,
+    [OPCODES.JGES]:  0x2B,
+    [OPCODES.JLES]:  0x2C,
     [OPCODES.DJNZ]:  0x26,
+    [OPCODES.JZ]:    0x60,
+    [OPCODES.JNZ]:   0x61,
+    [OPCODES.JC]:    0x62,
+    [OPCODES.JNC]:   0x63,
+    [OPCODES.JO]:    0x64,
+    [OPCODES.JNO]:   0x65,
+    [OPCODES.JN]:    0x66,
+    [OPCODES.JNN]:   0x67,
+    [OPCODES.PUSH]:  0x40,
+    [OPCODES.POP]:   0x41,
+    [OPCODES.CALL]:  0x42,
+    [OPCODES.RET]:   0x43,
+    [OPCODES.LOAD]:  0x50,
+    [OPCODES.STORE]: 0x51,
     [OPCODES.SET]:   0x30,
     [OPCODES.ADD]:   0x31,
     [OPCODES.SUB]:   0x32,
+    [OPCODES.MUL]:   0x33,
+    [OPCODES.DIV]:   0x34,
+    [OPCODES.MOD]:   0x35,
+    [OPCODES.AND]:   0x36,
+    [OPCODES.OR]:    0x37,
+    [OPCODES.XOR]:   0x38,
+    [OPCODES.NOT]:   0x39,
+    [OPCODES.SHL]:   0x3A,
+    [OPCODES.SHR]:   0x3B,
 };
 
+// Machine code encoding: the opcode byte is followed by one byte per operand.
+// Register operands are encoded with REGISTER_CODES, immediates as bytes and
+// labels as the byte address of the target instruction (the value loaded into PC).
+export const REGISTER_CODES = {
+    [REGISTERS.R0]: 0x00,
+    [REGISTERS.R1]: 0x01,
+    [REGISTERS.R2]: 0x02,
+    [REGISTERS.R3]: 0x03,
+    [REGISTERS.R4]: 0x04,
+    [REGISTERS.R5]: 0x05,
+    [REGISTERS.ACC]: 0x06,
+    [REGISTERS.PC]: 0x07,
+    [REGISTERS.FLAGS]: 0x08,
+    [REGISTERS.PX]: 0x09,
+    [REGISTERS.PY]: 0x0A,
+    [REGISTERS.DIR]: 0x0B,
+    [REGISTERS.HP]: 0x0C,
+    [REGISTERS.AMMO]: 0x0D,
+    [REGISTERS.SP]: 0x0E,
+};
+export const IMMEDIATE_FLAG = 0x80;     // Set on the opcode byte when a register-or-number (or memory) operand holds a number
+export const UNRESOLVED_ADDRESS = 0xFF; // Jump target of an undefined label (jumping there halts the CPU)
+
+// Jump addresses are single bytes and UNRESOLVED_ADDRESS is reserved,
+// so a label may point at most one past the last byte of the image
+export const MAX_PROGRAM_SIZE = UNRESOLVED_ADDRESS - 1;
+
 // Valid Argument Types
 export const ARG_TYPES = {
     REGISTER: 'REGISTER',
     NUMBER: 'NUMBER', // Integer
     LABEL: 'LABEL',   // String identifier
+    ADDRESS: 'ADDRESS', // Memory operand: '[12]' (direct) or '[R0]' (indirect)
 };
 
 export const TOKEN_TYPES = {
@@ -94,6 +208,7 @@ export const TOKEN_TYPES = {
     REGISTER: 'REGISTER',
     NUMBER: 'NUMBER',
     LABEL: 'LABEL',
+    ADDRESS: 'ADDRESS',
     COMMA: 'COMMA',
     NEWLINE: 'NEWLINE'
 };
@@ -108,6 +223,9 @@ export const INSTRUCTION_SPECS = {
     
     [OPCODES.SCAN]:  [ARG_TYPES.REGISTER, ARG_TYPES.REGISTER], // Dest_Dist, Dest_Type
     [OPCODES.PING]:  [ARG_TYPES.REGISTER, ARG_TYPES.REGISTER], // Dest_X, Dest_Y
+
+    [OPCODES.SEND]:  [[ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]], // Message
+    [OPCODES.RECV]:  [ARG_TYPES.REGISTER, ARG_TYPES.REGISTER], // Dest_Message, Dest_Flag
     
     [OPCODES.LBL]:   [ARG_TYPES.LABEL],
     [OPCODES.JMP]:   [ARG_TYPES.LABEL],
@@ -120,10 +238,48 @@ export const INSTRUCTION_SPECS = {
     [OPCODES.JL]:    [ARG_TYPES.LABEL],
     [OPCODES.JGE]:   [ARG_TYPES.LABEL],
     [OPCODES.JLE]:   [ARG_TYPES.LABEL],
+    [OPCODES.JGS]:   [ARG_TYPES.LABEL],
+    [OPCODES.JLS]:   [ARG_TYPES.LABEL],
+    [OPCODES.JGES]:  [ARG_TYPES.LABEL],
+    [OPCODES.JLES]:  [ARG_TYPES.LABEL],
     
     [OPCODES.DJNZ]:  [ARG_TYPES.REGISTER, ARG_TYPES.LABEL],
+
+    [OPCODES.JZ]:    [ARG_TYPES.LABEL],
+    [OPCODES.JNZ]:   [ARG_TYPES.LABEL],
+    [OPCODES.JC]:    [ARG_TYPES.LABEL],
+    [OPCODES.JNC]:   [ARG_TYPES.LABEL],
+    [OPCODES.JO]:    [ARG_TYPES.LABEL],
+    [OPCODES.JNO]:   [ARG_TYPES.LABEL],
+    [OPCODES.JN]:    [ARG_TYPES.LABEL],
+    [OPCODES.JNN]:   [ARG_TYPES.LABEL],
+
+    [OPCODES.PUSH]:  [[ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]],
+    [OPCODES.POP]:   [ARG_TYPES.REGISTER],
+    [OPCODES.CALL]:  [ARG_TYPES.LABEL],
+    [OPCODES.RET]:   [],
+
+    [OPCODES.LOAD]:  [ARG_TYPES.REGISTER, ARG_TYPES.ADDRESS], // Dest, Source address
+    [OPCODES.STORE]: [ARG_TYPES.ADDRESS, ARG_TYPES.REGISTER], // Dest address, Source
     
     [OPCODES.SET]:   [ARG_TYPES.REGISTER, [ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]],
     [OPCODES.ADD]:   [ARG_TYPES.REGISTER, [ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]],
     [OPCODES.SUB]:   [ARG_TYPES.REGISTER, [ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]],
+    [OPCODES.MUL]:   [ARG_TYPES.REGISTER, [ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]],
+    [OPCODES.DIV]:   [ARG_TYPES.REGISTER, [ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]],
+    [OPCODES.MOD]:   [ARG_TYPES.REGISTER, [ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]],
+    [OPCODES.AND]:   [ARG_TYPES.REGISTER, [ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]],
+    [OPCODES.OR]:    [ARG_TYPES.REGISTER, [ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]],
+    [OPCODES.XOR]:   [ARG_TYPES.REGISTER, [ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]],
+    [OPCODES.NOT]:   [ARG_TYPES.REGISTER],
+    [OPCODES.SHL]:   [ARG_TYPES.REGISTER, [ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]],
+    [OPCODES.SHR]:   [ARG_TYPES.REGISTER, [ARG_TYPES.REGISTER, ARG_TYPES.NUMBER]],
 };
+
+/**
+ * @param {string} opcode
+ * @returns {number} Bytes the instruction takes in machine code (opcode byte plus one per operand)
+ */
+export function instructionSize(opcode) {
+    return 1 + INSTRUCTION_SPECS[opcode].length;
+}
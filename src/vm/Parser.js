@@ -1,21 +1,45 @@
-import { OPCODES, INSTRUCTION_SPECS, ARG_TYPES, TOKEN_TYPES, REGISTERS } from './InstructionSet.js';
+import { OPCODES, INSTRUCTION_SPECS, ARG_TYPES, TOKEN_TYPES, REGISTERS, MEMORY_SIZE, MAX_PROGRAM_SIZE, instructionSize } from './InstructionSet.js';
 
 // Reserved words that cannot be used as labels (includes all register names)
 const RESERVED_LABELS = Object.values(REGISTERS);
 
+/**
+ * Edit distance for suggesting a label name (Levenshtein, with swapped
+ * neighbouring letters counting as one edit)
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Typos needed to turn a into b
+ */
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
 export class Parser {
     constructor() {
         this.labels = {}; // Label Name -> Program Index (PC)
         this.program = []; // Array of Instruction Objects
+        this.labelLines = {}; // Label Name -> source line of its LBL
     }
 
     /**
      * @param {Array} tokens - Output from Tokenizer
-     * @returns {Object} { program, labels, error }
+     * @param {number[]} [sourceMap] - TankScript line per asm line (from SimpleCompiler.compileWithSourceMap)
+     * @returns {Object} { program, labels, labelLines, error }
      */
-    parse(tokens) {
+    parse(tokens, sourceMap = null) {
         this.labels = {};
         this.program = [];
+        this.labelLines = {};
         let currentTokenIndex = 0;
 
         try {
@@ -29,8 +53,8 @@ export class Parser {
                 }
 
                 // Expecting an Instruction (Opcode)
-                // Note: Some opcodes like CMP or PC might be tokenized as REGISTER 
-                // if they are also register names.
+                // Note: an opcode that is also a register name would be
+                // tokenized as REGISTER.
                 if (token.type !== TOKEN_TYPES.INSTRUCTION && token.type !== TOKEN_TYPES.REGISTER) {
                      throw new Error(`Line ${token.line}: Unexpected token '${token.value}'. Expected Instruction.`);
                 }
@@ -98,23 +122,64 @@ export class Parser {
                     // or just map it to the current index and NOT add it to the program array.
                     // Decision: DO NOT add LBL to program array. It's meta-data.
                     this.labels[labelName] = this.program.length;
+                    this.labelLines[labelName] = token.line;
                 } else {
                     // Normal instruction
-                    this.program.push({
+                    const instruction = {
                         opcode: opcode,
                         args: args,
                         line: token.line
-                    });
+                    };
+                    if (sourceMap) instruction.sourceLine = sourceMap[token.line - 1];
+                    this.program.push(instruction);
                 }
             }
 
-            return { program: this.program, labels: this.labels };
+            // Every program must fit the 8-bit jump addresses of the machine code, wherever it runs
+            const size = this.program.reduce((bytes, inst) => bytes + instructionSize(inst.opcode), 0);
+            if (size > MAX_PROGRAM_SIZE) {
+                throw new Error(`Program too long: ${size} bytes of machine code (max ${MAX_PROGRAM_SIZE}).`);
+            }
+
+            // Second pass: every jump target must be defined (labels may be used before their LBL)
+            this.resolveLabels();
+
+            return { program: this.program, labels: this.labels, labelLines: this.labelLines };
 
         } catch (err) {
             return { error: err.message };
         }
     }
 
+    /**
+     * Check that every label operand (JMP, conditional jumps, DJNZ, CALL) names a defined label
+     * @throws {Error} On the first undefined label, suggesting the closest defined one
+     */
+    resolveLabels() {
+        this.program.forEach(({ opcode, args, line }) => {
+            INSTRUCTION_SPECS[opcode].forEach((type, i) => {
+                if (type !== ARG_TYPES.LABEL || this.labels[args[i]] !== undefined) return;
+                const suggestion = this.closestLabel(args[i]);
+                const hint = suggestion ? ` Did you mean '${suggestion}'?` : '';
+                throw new Error(`Line ${line}: Undefined label '${args[i]}' in '${opcode}'.${hint}`);
+            });
+        });
+    }
+
+    /**
+     * @param {string} name - Undefined label
+     * @returns {string|null} Defined label within a few typos of name, if any
+     */
+    closestLabel(name) {
+        const maxDistance = Math.max(1, Math.floor(name.length / 3));
+        let best = null, bestDistance = maxDistance + 1;
+        Object.keys(this.labels).forEach(label => {
+            const distance = editDistance(name, label);
+            if (distance < bestDistance) { best = label; bestDistance = distance; }
+        });
+        return best;
+    }
+
     validateArg(token, expectedTypeOrArray, opcode) {
         // expectedTypeOrArray can be a single string 'REGISTER' or an array ['REGISTER', 'NUMBER']
         const allowedTypes = Array.isArray(expectedTypeOrArray) ? expectedTypeOrArray : [expectedTypeOrArray];
@@ -122,6 +187,13 @@ export class Parser {
 
         if (token.type === TOKEN_TYPES.REGISTER && allowedTypes.includes(ARG_TYPES.REGISTER)) isValid = true;
         if (token.type === TOKEN_TYPES.NUMBER && allowedTypes.includes(ARG_TYPES.NUMBER)) isValid = true;
+        if (token.type === TOKEN_TYPES.ADDRESS && allowedTypes.includes(ARG_TYPES.ADDRESS)) {
+            const addr = Number(token.value.slice(1, -1));
+            if (addr >= MEMORY_SIZE) {
+                throw new Error(`Line ${token.line}: Address ${addr} is outside RAM (0-${MEMORY_SIZE - 1}).`);
+            }
+            isValid = true;
+        }
         
         // For Labels, the Tokenizer sees them as INSTRUCTION (Identifier) or REGISTER (if named R1..).
         // If we expect a LABEL, anything that is an Identifier (INSTRUCTION type in tokenizer) is valid.
@@ -1,16 +1,78 @@
 import { OPCODES, REGISTERS } from './InstructionSet.js';
 
+// Binary expression operators: higher precedence binds tighter (same order as C)
+const BINARY_OPERATORS = {
+    '|': { precedence: 1, opcode: OPCODES.OR },
+    '^': { precedence: 2, opcode: OPCODES.XOR },
+    '&': { precedence: 3, opcode: OPCODES.AND },
+    '<<': { precedence: 4, opcode: OPCODES.SHL },
+    '>>': { precedence: 4, opcode: OPCODES.SHR },
+    '+': { precedence: 5, opcode: OPCODES.ADD },
+    '-': { precedence: 5, opcode: OPCODES.SUB },
+    '*': { precedence: 6, opcode: OPCODES.MUL },
+    '/': { precedence: 6, opcode: OPCODES.DIV },
+    '%': { precedence: 6, opcode: OPCODES.MOD },
+};
+
+// Comparison operators and the jump taken when the condition is false
+const COMPARISONS = {
+    '==': OPCODES.JNE,
+    '!=': OPCODES.JE,
+    '>=': OPCODES.JL,
+    '<=': OPCODES.JG,
+    '>': OPCODES.JLE,
+    '<': OPCODES.JGE,
+};
+
+// Same for conditions on signed variables (two's complement)
+const SIGNED_COMPARISONS = {
+    '==': OPCODES.JNE,
+    '!=': OPCODES.JE,
+    '>=': OPCODES.JLS,
+    '<=': OPCODES.JGS,
+    '>': OPCODES.JLES,
+    '<': OPCODES.JGES,
+};
+
+const EXPRESSION_TOKEN = /==|!=|<<|>>|>=|<=|[-+*\/%&|^~()<>]|[a-z0-9_]+|\S/gi;
+
+const TOO_COMPLEX = 'Expression is too complex: no free register left for an intermediate result (ACC and unused variables are used as temporaries)';
+
 export class SimpleCompiler {
     constructor() {
         this.labelCount = 0;
         this.output = [];
+        this.sourceMap = [];
+        this.temporaries = [REGISTERS.ACC];
+        this.signedRegisters = new Set();
         this.MAX_DEPTH = 50;
     }
 
+    /**
+     * Compile TankScript and return the assembly together with its source map.
+     * @param {string} source - TankScript source
+     * @returns {{asm: string, sourceMap: number[]}} sourceMap[i] is the TankScript line (1-based) of asm line i + 1
+     */
+    compileWithSourceMap(source) {
+        const asm = this.compile(source);
+        return { asm, sourceMap: [...this.sourceMap] };
+    }
+
+    /**
+     * Compile TankScript to assembly. The source map of the last call is left in this.sourceMap.
+     * @param {string} source - TankScript source
+     * @returns {string} Assembly, one instruction or label per line
+     */
     compile(source) {
         this.output = [];
+        this.sourceMap = [];
         this.labelCount = 0;
         this.currentLine = 0;
+        this.functions = new Set();
+        // Expressions may use ACC and any variable the program never mentions for intermediate results
+        const usedVars = new Set([...source.matchAll(/\bvar([0-5])\b/gi)].map(m => `R${m[1]}`));
+        this.temporaries = [REGISTERS.ACC, ...['R0', 'R1', 'R2', 'R3', 'R4', 'R5'].filter(r => !usedVars.has(r))];
+        const calls = []; // { name, lineNum } checked once every function is known
 
         // Parse lines while preserving line numbers
         const rawLines = source.split('\n');
@@ -23,6 +85,20 @@ export class SimpleCompiler {
             }
         });
 
+        // 'signed var0, var1' declarations apply to the whole program, wherever they appear
+        this.signedRegisters = new Set();
+        lines.filter(({ text }) => text.startsWith('signed ')).forEach(({ text, lineNum }) => {
+            text.slice('signed '.length).split(',').forEach(name => {
+                try {
+                    const reg = this.extractReg(name);
+                    if (!/^R[0-5]$/.test(reg)) throw new Error(`Only variables can be declared signed, not "${name.trim()}"`);
+                    this.signedRegisters.add(reg);
+                } catch (err) {
+                    throw new Error(`Line ${lineNum}: ${err.message}`);
+                }
+            });
+        });
+
         const contextStack = []; // Track nested 'if', 'while', 'repeat'
 
         lines.forEach(({ text: line, lineNum }) => {
@@ -35,6 +111,12 @@ export class SimpleCompiler {
                     }
                 }
 
+                // 0. Declarations (collected before compiling)
+                if (line.startsWith('signed ')) {
+                    if (contextStack.length > 0) throw new Error("'signed' must be declared at the top level");
+                    return;
+                }
+
                 // 1. Assignments
                 if (line.includes('=') && !line.startsWith('if') && !line.startsWith('while')) {
                     this.parseAssignment(line);
@@ -53,6 +135,38 @@ export class SimpleCompiler {
                     return;
                 }
 
+                // 3b. Team radio
+                if (line.startsWith('send(') || line.startsWith('recv(')) {
+                    this.parseRadio(line);
+                    return;
+                }
+
+                // 3c. Functions: DEF / CALL / RETURN
+                if (line.startsWith('def ')) {
+                    const name = this.functionName(line.replace('def ', '').replace(':', ''));
+                    if (contextStack.length > 0) throw new Error(`Function '${name}' must be defined at the top level`);
+                    if (this.functions.has(name)) throw new Error(`Function '${name}' is already defined`);
+                    this.functions.add(name);
+
+                    // Straight-line code jumps over the body; it only runs through CALL
+                    const endLabel = `__def_end_${this.labelCount++}`;
+                    this.emit(`JMP ${endLabel}`);
+                    this.emit(`LBL ${this.functionLabel(name)}`);
+                    contextStack.push({ type: 'def', name, end: endLabel });
+                    return;
+                }
+                if (line.startsWith('call ')) {
+                    const name = this.functionName(line.replace('call ', ''));
+                    calls.push({ name, lineNum });
+                    this.emit(`CALL ${this.functionLabel(name)}`);
+                    return;
+                }
+                if (line === 'return') {
+                    if (!contextStack.some(ctx => ctx.type === 'def')) throw new Error("'return' outside of a function");
+                    this.emit('RET');
+                    return;
+                }
+
                 // 4. Control Flow: REPEAT
                 if (line.startsWith('repeat ')) {
                     const arg = line.replace('repeat ', '').replace(':', '').trim();
@@ -143,6 +257,10 @@ export class SimpleCompiler {
                         }
                         this.emit(`LBL ${ctx.endLbl}`);
                     }
+                    else if (ctx.type === 'def') {
+                        this.emit('RET');
+                        this.emit(`LBL ${ctx.end}`);
+                    }
                     return;
                 }
                 
@@ -157,11 +275,17 @@ export class SimpleCompiler {
             throw new Error(`Unclosed block (missing 'end') - check line ${this.currentLine}`);
         }
 
+        const undefinedCall = calls.find(c => !this.functions.has(c.name));
+        if (undefinedCall) {
+            throw new Error(`Line ${undefinedCall.lineNum}: Undefined function '${undefinedCall.name}'`);
+        }
+
         return this.output.join('\n');
     }
 
     emit(asm) {
         this.output.push(asm);
+        this.sourceMap.push(this.currentLine);
     }
 
     extractReg(str) {
@@ -173,11 +297,23 @@ export class SimpleCompiler {
         if (s === 'posx') return 'PX';
         if (s === 'posy') return 'PY';
         if (s === 'dir') return 'DIR';
+        if (s === 'flags') return 'FLAGS';
         // Literal numbers
         if (/^-?\d+$/.test(s)) return parseInt(s, 10);
         throw new Error(`Invalid variable or number: "${s}"`);
     }
 
+    functionName(str) {
+        const name = str.trim();
+        if (!/^[a-z_][a-z0-9_]*$/i.test(name)) throw new Error(`Invalid function name: "${name}"`);
+        return name;
+    }
+
+    // Function labels get a prefix so they never clash with register names or generated labels
+    functionLabel(name) {
+        return `__fn_${name}`;
+    }
+
     parseAction(cmd) {
         const map = {
             'move': 'MOV_F',
@@ -190,32 +326,96 @@ export class SimpleCompiler {
     }
 
     parseAssignment(line) {
-        const parts = line.split('=');
-        const target = this.extractReg(parts[0].trim());
-        const expr = parts[1].trim();
-
-        if (expr.includes('+')) {
-            const operands = expr.split('+');
-            const left = this.extractReg(operands[0].trim());
-            const right = this.extractReg(operands[1].trim());
-            // If target != left operand, need to SET first
-            if (target !== left) {
-                this.emit(`SET ${target}, ${left}`);
-            }
-            this.emit(`ADD ${target}, ${right}`);
-        } else if (expr.includes('-') && !expr.startsWith('-')) {
-            // Subtraction (but not negative number like -5)
-            const operands = expr.split('-');
-            const left = this.extractReg(operands[0].trim());
-            const right = this.extractReg(operands[1].trim());
-            // If target != left operand, need to SET first
-            if (target !== left) {
-                this.emit(`SET ${target}, ${left}`);
-            }
-            this.emit(`SUB ${target}, ${right}`);
-        } else {
-            this.emit(`SET ${target}, ${this.extractReg(expr)}`);
+        const eq = line.indexOf('=');
+        const target = this.extractReg(line.slice(0, eq));
+        const expr = this.parseExpression(line.slice(eq + 1));
+
+        // The target is overwritten by the leftmost operand, so if it is read
+        // again later the result is built in a temporary and copied over
+        const [, ...laterOperands] = this.operands(expr);
+        if (!laterOperands.includes(target)) {
+            this.emitExpression(expr, target, this.temporaries);
+            return;
+        }
+        const [temp, ...rest] = this.temporaries;
+        this.emitExpression(expr, temp, rest);
+        this.emit(`SET ${target}, ${temp}`);
+    }
+
+    /**
+     * Parse an arithmetic expression such as "(posx - var1) + var2 - 3"
+     * @param {string|string[]} expr - Source text or its tokens
+     * @returns {Object} Tree of { value } leaves (register or number), { opcode, left, right } and { opcode, operand } (~) nodes
+     */
+    parseExpression(expr) {
+        const tokens = typeof expr === 'string' ? expr.match(EXPRESSION_TOKEN) || [] : expr;
+        const state = { tokens, pos: 0 };
+        const tree = this.parseBinary(state, 1);
+        if (state.pos < tokens.length) throw new Error(`Unexpected "${tokens[state.pos]}" in expression`);
+        return tree;
+    }
+
+    parseBinary(state, minPrecedence) {
+        let left = this.parseOperand(state);
+        for (;;) {
+            const op = BINARY_OPERATORS[state.tokens[state.pos]];
+            if (!op || op.precedence < minPrecedence) return left;
+            state.pos++;
+            // Operators of equal precedence group left to right: a - b - c is (a - b) - c
+            const right = this.parseBinary(state, op.precedence + 1);
+            left = { opcode: op.opcode, left, right };
+        }
+    }
+
+    parseOperand(state) {
+        const token = state.tokens[state.pos++];
+        if (token === undefined) throw new Error('Incomplete expression');
+        if (token === '(') {
+            const inner = this.parseBinary(state, 1);
+            if (state.tokens[state.pos++] !== ')') throw new Error("Missing ')' in expression");
+            return inner;
+        }
+        // Negative literal such as -5
+        if (token === '-' && /^\d+$/.test(state.tokens[state.pos] || '')) {
+            return { value: this.extractReg(`-${state.tokens[state.pos++]}`) };
+        }
+        if (token === '~') return { opcode: OPCODES.NOT, operand: this.parseOperand(state) };
+        return { value: this.extractReg(token) };
+    }
+
+    // Leaf values of an expression tree from left to right
+    operands(node) {
+        if ('value' in node) return [node.value];
+        if ('operand' in node) return this.operands(node.operand);
+        return [...this.operands(node.left), ...this.operands(node.right)];
+    }
+
+    /**
+     * Emit code that leaves the value of an expression tree in dest.
+     * Right operands that are themselves expressions are evaluated into the first free temporary.
+     * @param {Object} node - Result of parseExpression
+     * @param {string} dest - Register receiving the result
+     * @param {string[]} temporaries - Registers free for intermediate results
+     */
+    emitExpression(node, dest, temporaries) {
+        if ('value' in node) {
+            if (node.value !== dest) this.emit(`SET ${dest}, ${node.value}`);
+            return;
         }
+        if ('operand' in node) {
+            this.emitExpression(node.operand, dest, temporaries);
+            this.emit(`${node.opcode} ${dest}`);
+            return;
+        }
+        this.emitExpression(node.left, dest, temporaries);
+        if ('value' in node.right) {
+            this.emit(`${node.opcode} ${dest}, ${node.right.value}`);
+            return;
+        }
+        const [temp, ...rest] = temporaries.filter(r => r !== dest);
+        if (!temp) throw new Error(TOO_COMPLEX);
+        this.emitExpression(node.right, temp, rest);
+        this.emit(`${node.opcode} ${dest}, ${temp}`);
     }
 
     parseSensor(line) {
@@ -225,23 +425,43 @@ export class SimpleCompiler {
         else if (line.startsWith('ping')) this.emit(`PING ${args[0]}, ${args[1]}`);
     }
 
-    parseCondition(condStr, failLabel) {
-        let op = '', asmJump = '';
+    parseRadio(line) {
+        const content = line.substring(line.indexOf('(') + 1, line.indexOf(')'));
+        const args = content.split(',').map(s => this.extractReg(s.trim()));
+        if (line.startsWith('send')) {
+            if (args.length !== 1) throw new Error('send takes one value, e.g. send(var0)');
+            this.emit(`SEND ${args[0]}`);
+        } else {
+            if (args.length !== 2 || args.some(a => typeof a === 'number')) {
+                throw new Error('recv needs two variables, e.g. recv(var1, var2)');
+            }
+            this.emit(`RECV ${args[0]}, ${args[1]}`);
+        }
+    }
 
-        // Order matters: check multi-char operators before single-char
-        if (condStr.includes('==')) { op = '=='; asmJump = 'JNE'; }
-        else if (condStr.includes('!=')) { op = '!='; asmJump = 'JE'; }
-        else if (condStr.includes('>=')) { op = '>='; asmJump = 'JL'; }  // Jump if Less (False)
-        else if (condStr.includes('<=')) { op = '<='; asmJump = 'JG'; }  // Jump if Greater (False)
-        else if (condStr.includes('>')) { op = '>'; asmJump = 'JLE'; }   // Jump if Less or Equal (False)
-        else if (condStr.includes('<')) { op = '<'; asmJump = 'JGE'; }   // Jump if Greater or Equal (False)
-        else throw new Error(`Unsupported operator in condition: "${condStr}"`);
+    parseCondition(condStr, failLabel) {
+        const tokens = condStr.match(EXPRESSION_TOKEN) || [];
+        const split = tokens.findIndex(t => t in COMPARISONS);
+        if (split === -1) throw new Error(`Unsupported operator in condition: "${condStr}"`);
 
-        const parts = condStr.split(op);
-        const p1 = this.extractReg(parts[0]);
-        const p2 = this.extractReg(parts[1]);
+        // CMP needs its first operand in a register; expressions on either side go to temporaries
+        let temporaries = this.temporaries;
+        const operand = (expr, needsRegister) => {
+            if ('value' in expr && !(needsRegister && typeof expr.value === 'number')) return expr.value;
+            const [temp, ...rest] = temporaries;
+            if (!temp) throw new Error(TOO_COMPLEX);
+            this.emitExpression(expr, temp, rest);
+            temporaries = rest;
+            return temp;
+        };
+        const left = this.parseExpression(tokens.slice(0, split));
+        const right = this.parseExpression(tokens.slice(split + 1));
+        const p1 = operand(left, true);
+        const p2 = operand(right, false);
 
+        // Any signed variable on either side makes the whole comparison signed
+        const signed = [...this.operands(left), ...this.operands(right)].some(v => this.signedRegisters.has(v));
         this.emit(`CMP ${p1}, ${p2}`);
-        this.emit(`${asmJump} ${failLabel}`);
+        this.emit(`${(signed ? SIGNED_COMPARISONS : COMPARISONS)[tokens[split]]} ${failLabel}`);
     }
 }
\ No newline at end of file
@@ -25,6 +25,8 @@ export class Tokenizer {
 
             // Replace commas with " , " to ensure they are split
             cleanLine = cleanLine.replace(/,/g, ' , ');
+            // Memory operands are one token: "[ R0 ]" -> "[R0]"
+            cleanLine = cleanLine.replace(/\[\s*([^\]\s]*)\s*\]/g, '[$1]');
             
             const words = cleanLine.split(/\s+/);
 
@@ -54,11 +56,18 @@ export class Tokenizer {
             return { type: TOKEN_TYPES.COMMA, value: ',', line };
         }
 
-        // Is Register? (R0-R5, ACC, CMP, PC, PX, PY, DIR, HP, AMMO)
-        if (/^(R[0-5]|ACC|CMP|PC|PX|PY|DIR|HP|AMMO)$/.test(upper)) {
+        // Is Register? (R0-R5, ACC, PC, PX, PY, DIR, HP, AMMO, SP, FLAGS)
+        if (/^(R[0-5]|ACC|PC|PX|PY|DIR|HP|AMMO|SP|FLAGS)$/.test(upper)) {
             return { type: TOKEN_TYPES.REGISTER, value: upper, line };
         }
 
+        // Is Memory Operand? ([12] or [R0])
+        const memory = upper.match(/^\[(\d+|R[0-5]|ACC|PC|PX|PY|DIR|HP|AMMO|SP|FLAGS)\]$/);
+        if (memory) {
+            const inner = /^\d+$/.test(memory[1]) ? parseInt(memory[1], 10) : memory[1];
+            return { type: TOKEN_TYPES.ADDRESS, value: `[${inner}]`, line };
+        }
+
         // Default: Identifier (Instruction or Label)
         return { type: TOKEN_TYPES.INSTRUCTION, value: upper, line };
     }
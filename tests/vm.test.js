@@ -49,6 +49,25 @@ function describe(name, fn) {
     fn();
 }
 
+// Async variants for APIs that return promises (use with top-level await)
+async function testAsync(name, fn) {
+    try {
+        await fn();
+        console.log(`✓ ${name}`);
+        testsPassed++;
+    } catch (err) {
+        console.log(`✗ ${name}`);
+        console.log(`  ${err.message}`);
+        testsFailed++;
+    }
+}
+
+async function describeAsync(name, fn) {
+    console.log(`\n${name}`);
+    console.log('─'.repeat(name.length));
+    await fn();
+}
+
 // Helper: Compile TankScript to assembly
 function compile(source) {
     const compiler = new SimpleCompiler();
@@ -1014,6 +1033,7 @@ function mockCPU(stepFn) {
         step: stepFn,
         registers: { PC: 0 },
         program: [],
+        memory: [],
         updateTankState: () => {},
         setRegister: () => {}
     };
@@ -1263,6 +1283,1545 @@ describe('BattleManager - Sensors', () => {
     });
 });
 
+describe('BattleManager - Tick Loop', () => {
+    test('tick resolves turn once both tanks are ready', () => {
+        const bm = new BattleManager();
+        bm.tanks.P1.cpu = mockCPU(() => ({ type: 'MOVE', dir: 'FORWARD' }));
+        bm.tanks.P2.cpu = mockCPU(() => ({ type: 'WAIT' }));
+
+        const resolved = bm.tick();
+
+        assert(resolved, 'turn resolved');
+        assertEqual(bm.turnCount, 1, 'one turn played');
+        assertEqual(bm.tanks.P1.x, 1, 'P1 moved');
+    });
+
+    test('tick does not resolve while a tank is still thinking', () => {
+        const bm = new BattleManager();
+        bm.tanks.P1.cpu = mockCPU(() => ({ type: 'CPU_OP', opcode: 'ADD' }));
+        bm.tanks.P2.cpu = mockCPU(() => ({ type: 'WAIT' }));
+
+        assert(!bm.tick(), 'turn not resolved');
+        assertEqual(bm.turnCount, 0, 'no turn played');
+    });
+});
+
+import { toAssembly, runMatch, summarizeMatches } from '../src/simulation/MatchRunner.js';
+
+describe('MatchRunner - Headless Matches', () => {
+    test('toAssembly passes assembly through untouched', () => {
+        assertEqual(toAssembly('MOV_F', 'assembly'), 'MOV_F', 'assembly unchanged');
+        assertEqual(toAssembly('move'), 'MOV_F', 'tankscript compiled');
+    });
+
+    test('runMatch plays a match to a winner', () => {
+        // Level 1: P1 faces East at y=4, P2 sits at y=5 - move P1 into P2's row first
+        const shooter = toAssembly('turn_right\nmove\nturn_left\nloop:\n  fire\nend');
+        const idler = toAssembly('loop:\n  wait\nend');
+        const result = runMatch(shooter, idler, { level: 1 });
+
+        assertEqual(result.winner, 'P1', 'P1 wins');
+        assertEqual(result.hp.P2, 0, 'P2 destroyed');
+        assert(result.turns > 0, 'turns counted');
+    });
+
+    test('runMatch ends action-less loops by turn limit', () => {
+        const spinner = toAssembly('loop:\n  var0 = var0 + 1\nend');
+        const result = runMatch(spinner, spinner);
+
+        assertEqual(result.winner, 'DRAW (TURN LIMIT)', 'turn limit draw');
+        assertEqual(result.turns, 1000, 'played until MAX_TURNS');
+    });
+
+    test('runMatch reports stalemate when both programs halt', () => {
+        const result = runMatch('NOP', 'NOP');
+        assertEqual(result.winner, 'DRAW (STALEMATE)', 'stalemate');
+    });
+
+    test('runMatch throws on invalid code', () => {
+        let threw = false;
+        try { runMatch('BOGUS', 'NOP'); } catch (e) { threw = true; }
+        assert(threw, 'invalid program rejected');
+    });
+
+    test('summarizeMatches aggregates wins, draws and averages', () => {
+        const s = summarizeMatches([
+            { winner: 'P1', turns: 10, hp: { P1: 3, P2: 0 } },
+            { winner: 'P2', turns: 20, hp: { P1: 0, P2: 1 } },
+            { winner: 'DRAW (STALEMATE)', turns: 30, hp: { P1: 3, P2: 3 } }
+        ]);
+        assertEqual(s.matches, 3, 'match count');
+        assertEqual(s.wins.P1, 1, 'P1 wins');
+        assertEqual(s.wins.P2, 1, 'P2 wins');
+        assertEqual(s.draws, 1, 'draws');
+        assertEqual(s.avgTurns, 20, 'average turns');
+        assertEqual(s.avgHp.P1, 2, 'average P1 HP');
+    });
+});
+
+import { runTournament, computeStandings, formatStandings } from '../src/simulation/Tournament.js';
+
+describe('Tournament - Round Robin', () => {
+    test('every pair plays on every level in both seats', () => {
+        const entries = [
+            { name: 'a', asm: 'NOP' },
+            { name: 'b', asm: 'NOP' },
+            { name: 'c', asm: 'NOP' }
+        ];
+        const { matches, standings } = runTournament(entries, { levels: [1, 2] });
+
+        assertEqual(matches.length, 12, '3 pairs x 2 seats x 2 levels');
+        assert(matches.some(m => m.p1 === 'a' && m.p2 === 'b'), 'a plays as P1');
+        assert(matches.some(m => m.p1 === 'b' && m.p2 === 'a'), 'a plays as P2');
+        standings.forEach(s => assertEqual(s.played, 8, `${s.name} played 8 matches`));
+    });
+
+    test('rejects fewer than two programs', () => {
+        let threw = false;
+        try { runTournament([{ name: 'solo', asm: 'NOP' }]); } catch (e) { threw = true; }
+        assert(threw, 'single entry rejected');
+    });
+
+    test('standings split draws by cause and rank by points', () => {
+        const standings = computeStandings(['a', 'b', 'c'], [
+            { level: 1, p1: 'a', p2: 'b', winner: 'P1', turns: 10 },
+            { level: 1, p1: 'b', p2: 'a', winner: 'P2', turns: 30 },
+            { level: 1, p1: 'a', p2: 'c', winner: 'DRAW (STALEMATE)', turns: 1 },
+            { level: 1, p1: 'c', p2: 'b', winner: 'DRAW (TURN LIMIT)', turns: 1000 },
+            { level: 1, p1: 'b', p2: 'c', winner: 'DRAW', turns: 5 }
+        ]);
+
+        assertEqual(standings[0].name, 'a', 'a ranks first');
+        assertEqual(standings[0].wins, 2, 'a won twice');
+        assertEqual(standings[0].avgTurnsToVictory, 20, 'a average victory turns');
+        const b = standings.find(s => s.name === 'b');
+        assertEqual(b.losses, 2, 'b lost twice');
+        assertDeepEqual(b.draws, { stalemate: 0, turnLimit: 1, mutual: 1 }, 'b draws split');
+        const c = standings.find(s => s.name === 'c');
+        assertDeepEqual(c.draws, { stalemate: 1, turnLimit: 1, mutual: 1 }, 'c draws split');
+        assertEqual(c.avgTurnsToVictory, null, 'c never won');
+    });
+
+    test('formatStandings renders one row per bot', () => {
+        const standings = computeStandings(['alpha', 'beta'], []);
+        const lines = formatStandings(standings).split('\n');
+        assertEqual(lines.length, 4, 'header, rule and two rows');
+        assert(lines[2].includes('alpha'), 'row contains bot name');
+    });
+});
+
+import { ReplayRecorder, ReplayPlayer, parseReplay } from '../src/simulation/Replay.js';
+import { ENGINE_VERSION } from '../src/constants.js';
+
+describe('Replay - Recording and Playback', () => {
+    const shooter = 'ROT_R\nMOV_F\nROT_L\nLBL top\nFIRE\nJMP top';
+
+    test('runMatch records one replay turn per resolved turn', () => {
+        const { replay, turns, winner } = runMatch(shooter, 'NOP', { record: true });
+
+        assertEqual(replay.turns.length, turns, 'turn count');
+        assertEqual(replay.result.winner, winner, 'winner stored');
+        assertEqual(replay.engineVersion, ENGINE_VERSION, 'engine version stored');
+        assertEqual(replay.programs.P1[0][0], 'ROT_R', 'program listing stored');
+    });
+
+    test('playback reproduces the live final state', () => {
+        const bm = new BattleManager();
+        bm.setupArena(3);
+        bm.loadCode(shooter, 'LBL a\nROT_L\nJMP a');
+        const recorder = new ReplayRecorder(bm, { level: 3 });
+        while (!bm.isGameOver) { bm.tick(); recorder.capture(); }
+
+        const player = new ReplayPlayer(parseReplay(JSON.stringify(recorder.toJSON())));
+        const state = player.getState(player.length);
+        assertEqual(state.tanks.P1.x, bm.tanks.P1.x, 'P1 x');
+        assertEqual(state.tanks.P2.hp, bm.tanks.P2.hp, 'P2 hp');
+        assertEqual(state.tanks.P1.totalOps, bm.tanks.P1.totalOps, 'P1 ops');
+        assertEqual(state.log.length, bm.log.length, 'full log');
+        assert(state.gameOver, 'game over at last turn');
+        assertEqual(state.winner, bm.winner, 'winner');
+    });
+
+    test('seeking backwards restores earlier states', () => {
+        const { replay } = runMatch(shooter, 'NOP', { record: true });
+        const player = new ReplayPlayer(replay);
+
+        const start = player.getState(0);
+        assertEqual(start.tanks.P1.x, 0, 'P1 at start x');
+        assertEqual(start.tanks.P1.y, 4, 'P1 at start y');
+        assert(!start.gameOver, 'not over at start');
+        assertEqual(start.tanks.P1.debugRegisters.PC, 0, 'fresh CPU at turn 0');
+        assertEqual(start.tanks.P1.debugRegisters.R0, 0, 'registers start at 0');
+        assertEqual(start.tanks.P1.debugRegisters.PY, 4, 'sensor registers match the start');
+
+        const afterMove = player.getState(2);
+        assertEqual(afterMove.tanks.P1.y, 5, 'P1 moved south');
+        assertEqual(afterMove.tanks.P1.debugRegisters.PC, 2, 'registers rebuilt');
+    });
+
+    test('seeking by CPU step replays the op records of a turn', () => {
+        const bm = new BattleManager();
+        assert(bm.loadCode('SET R0, 5\nLBL a\nADD R0, 1\nSET R1, 8\nSTORE [R1], R0\nMOV_F\nJMP a', 'NOP').success, 'loaded');
+        const recorder = new ReplayRecorder(bm, { level: 1 });
+        const live = [];
+        for (let i = 0; i < 10; i++) {
+            bm.tick();
+            recorder.capture();
+            live.push({ registers: { ...bm.tanks.P1.debugRegisters }, pc: bm.tanks.P1.debugPC });
+        }
+        const player = new ReplayPlayer(recorder.toJSON());
+        assertEqual(player.length, 2, 'two turns recorded');
+        assertEqual(player.stepCount(0), 5, 'first turn takes 5 ticks');
+
+        // Step 4 of turn 0 is the state after the fourth tick (STORE [R1], R0)
+        const at = player.getState(0, 4);
+        assertDeepEqual(at.tanks.P1.debugRegisters, live[3].registers, 'registers after 4 steps');
+        assertEqual(at.tanks.P1.debugPC, live[3].pc, 'instruction after 4 steps');
+        assertEqual(at.tanks.P1.debugMemory[8], 6, 'RAM write replayed');
+        assertEqual(at.tanks.P1.totalOps, 4, 'ops counted');
+
+        // One op back restores the earlier registers and PC, and undoes the RAM write
+        const back = player.getState(0, 3);
+        assertDeepEqual(back.tanks.P1.debugRegisters, live[2].registers, 'registers one step back');
+        assertEqual(back.tanks.P1.debugPC, live[2].pc, 'PC one step back');
+        assertEqual(back.tanks.P1.debugMemory[8], 0, 'RAM write undone');
+
+        // Stepping into the next turn continues from the resolved turn
+        const next = player.getState(1, 1);
+        assertDeepEqual(next.tanks.P1.debugRegisters, live[5].registers, 'step into turn 2');
+        assertEqual(next.turnCount, 1, 'world still at turn 1');
+        assertDeepEqual(player.getState(0, 99).tanks.P1.debugRegisters, live[3].registers, 'step clamped to the turn');
+    });
+
+    test('parseReplay rejects other engine versions', () => {
+        const { replay } = runMatch('NOP', 'NOP', { record: true });
+        replay.engineVersion = ENGINE_VERSION + 1;
+        let message = '';
+        try { parseReplay(JSON.stringify(replay)); } catch (e) { message = e.message; }
+        assert(message.includes('engine version'), 'version mismatch reported');
+    });
+
+    test('parseReplay rejects replays from an older engine', () => {
+        const { replay } = runMatch('NOP', 'NOP', { record: true });
+        replay.engineVersion = ENGINE_VERSION - 1;
+        let message = '';
+        try { parseReplay(JSON.stringify(replay)); } catch (e) { message = e.message; }
+        assertEqual(message, `Replay was recorded with engine version ${ENGINE_VERSION - 1}, but this is version ${ENGINE_VERSION}`, 'older replay rejected');
+    });
+
+    test('parseReplay rejects non-replay files', () => {
+        let threw = false;
+        try { parseReplay('{"hello": 1}'); } catch (e) { threw = true; }
+        assert(threw, 'foreign JSON rejected');
+
+        const { replay } = runMatch('NOP', 'NOP', { record: true });
+        for (const field of ['width', 'height', 'labels', 'teams', 'sourceLines']) {
+            let message = '';
+            try { parseReplay(JSON.stringify({ ...replay, [field]: undefined })); } catch (e) { message = e.message; }
+            assertEqual(message, 'Replay file is incomplete', `${field} is required`);
+        }
+    });
+});
+
+describe('BattleManager - Op Budget', () => {
+    test('exhausting the op budget forfeits the turn', () => {
+        const bm = new BattleManager();
+        bm.tanks.P1.cpu = mockCPU(() => ({ type: 'CPU_OP', opcode: 'ADD' }));
+        bm.tanks.P2.cpu = mockCPU(() => ({ type: 'WAIT' }));
+
+        let ticks = 0;
+        while (!bm.tick()) ticks++;
+
+        assertEqual(ticks + 1, bm.MAX_OPS, 'turn ends after MAX_OPS ticks');
+        assertEqual(bm.turnCount, 1, 'turn resolved');
+        assertEqual(bm.tanks.P1.x, 0, 'P1 did not move');
+        assert(bm.log.some(line => line.includes(`P1 used all ${bm.MAX_OPS} ops`)), 'forfeit logged');
+    });
+
+    test('an action on the last op is not replaced', () => {
+        const bm = new BattleManager();
+        let ops = 0;
+        bm.tanks.P1.cpu = mockCPU(() => (++ops < bm.MAX_OPS ? { type: 'CPU_OP', opcode: 'ADD' } : { type: 'MOVE', dir: 'FORWARD' }));
+        bm.tanks.P2.cpu = mockCPU(() => ({ type: 'WAIT' }));
+
+        while (!bm.tick());
+
+        assertEqual(bm.tanks.P1.x, 1, 'P1 moved');
+        assert(!bm.log.some(line => line.includes('ops without acting')), 'no forfeit logged');
+    });
+});
+
+describe('BattleManager - Step Back', () => {
+    const shooter = 'ROT_R\nMOV_F\nROT_L\nLBL top\nFIRE\nJMP top';
+
+    test('restore undoes a single CPU step', () => {
+        const bm = new BattleManager();
+        bm.loadCode('SET R0, 5\nADD R0, 1\nMOV_F', 'NOP');
+        bm.tick();
+        const snap = bm.snapshot();
+        bm.tick();
+        assertEqual(bm.tanks.P1.cpu.registers.R0, 6, 'stepped');
+
+        bm.restore(snap);
+        assertEqual(bm.tanks.P1.cpu.registers.R0, 5, 'R0 restored');
+        assertEqual(bm.tanks.P1.cpu.registers.PC, 1, 'PC restored');
+        assertEqual(bm.tanks.P1.totalOps, 1, 'op count restored');
+    });
+
+    test('restore undoes a resolved turn', () => {
+        const bm = new BattleManager();
+        bm.setupArena(3);
+        bm.loadCode(shooter, 'NOP');
+        while (bm.bullets.length === 0) bm.tick();
+        const snap = bm.snapshot();
+        const logLength = bm.log.length;
+        while (bm.tick() === false);
+
+        bm.restore(snap);
+        assertEqual(bm.bullets.length, 1, 'bullet restored');
+        assertEqual(bm.log.length, logLength, 'log truncated');
+        assertEqual(bm.turnCount, snap.turnCount, 'turn count restored');
+    });
+
+    test('replaying after restore gives the same result', () => {
+        const bm = new BattleManager();
+        bm.setupArena(3);
+        bm.loadCode(shooter, 'NOP');
+        const snap = bm.snapshot();
+        while (!bm.isGameOver) bm.tick();
+        const first = { winner: bm.winner, turns: bm.turnCount, hp: bm.tanks.P2.hp };
+
+        bm.restore(snap);
+        assert(!bm.isGameOver, 'game resumed');
+        while (!bm.isGameOver) bm.tick();
+        assertDeepEqual({ winner: bm.winner, turns: bm.turnCount, hp: bm.tanks.P2.hp }, first, 'same outcome');
+    });
+
+    test('recorder rewind drops steps after the marker', () => {
+        const bm = new BattleManager();
+        bm.loadCode(shooter, 'NOP');
+        const recorder = new ReplayRecorder(bm, { level: 1 });
+        bm.tick(); recorder.capture();
+
+        const snap = bm.snapshot();
+        const marker = recorder.mark();
+        for (let i = 0; i < 5; i++) { bm.tick(); recorder.capture(); }
+
+        bm.restore(snap);
+        recorder.rewind(marker);
+        while (!bm.isGameOver) { bm.tick(); recorder.capture(); }
+
+        const replay = recorder.toJSON();
+        assertEqual(replay.turns.length, bm.turnCount, 'one replay turn per turn');
+        const state = new ReplayPlayer(replay).getState(replay.turns.length);
+        assertEqual(state.tanks.P1.totalOps, bm.tanks.P1.totalOps, 'no duplicated steps');
+    });
+});
+
+import { compileExpression, Breakpoints } from '../src/vm/Debugger.js';
+
+describe('Debugger - Expressions and Breakpoints', () => {
+    const regs = { R0: 3, R1: 10, HP: 1, ACC: 0, PX: 4 };
+
+    test('evaluates register arithmetic', () => {
+        assertEqual(compileExpression('R0 + 1')(regs), 4, 'R0 + 1');
+        assertEqual(compileExpression('r1 - (R0 + 2)')(regs), 5, 'parentheses, lowercase');
+        assertEqual(compileExpression('0x10 + -R0')(regs), 13, 'hex and unary minus');
+    });
+
+    test('comparisons and logic yield 1 or 0', () => {
+        assertEqual(compileExpression('R0 == 3')(regs), 1, 'equal');
+        assertEqual(compileExpression('HP < 2')(regs), 1, 'less than');
+        assertEqual(compileExpression('PX + 1 >= R1')(regs), 0, 'arithmetic binds tighter');
+        assertEqual(compileExpression('R0 == 3 && ACC != 0')(regs), 0, 'and');
+        assertEqual(compileExpression('R0 == 3 || ACC != 0')(regs), 1, 'or');
+        assertEqual(compileExpression('!ACC')(regs), 1, 'not');
+    });
+
+    test('rejects bad expressions', () => {
+        for (const bad of ['', 'R9 == 1', 'R0 ==', '(R0', 'R0 $ 1', 'R0 R1']) {
+            let threw = false;
+            try { compileExpression(bad); } catch (e) { threw = true; }
+            assert(threw, `'${bad}' rejected`);
+        }
+    });
+
+    test('toggle sets and clears unconditional breakpoints', () => {
+        const bps = new Breakpoints();
+        assert(bps.toggle('P1', 2), 'set');
+        assert(bps.shouldBreak('P1', 2, regs), 'breaks at 2');
+        assert(!bps.shouldBreak('P1', 3, regs), 'not at 3');
+        assert(!bps.shouldBreak('P2', 2, regs), 'only for P1');
+        assert(!bps.toggle('P1', 2), 'cleared');
+        assert(!bps.shouldBreak('P1', 2, regs), 'no longer breaks');
+    });
+
+    test('conditional breakpoints only fire when true', () => {
+        const bps = new Breakpoints();
+        bps.set('P1', 0, 'R0 == 5');
+        assertEqual(bps.get('P1', 0).condition, 'R0 == 5', 'condition stored');
+        assert(!bps.shouldBreak('P1', 0, { R0: 3 }), 'false condition');
+        assert(bps.shouldBreak('P1', 0, { R0: 5 }), 'true condition');
+    });
+
+    test('breakpoints are cleared when a different program is bound', () => {
+        const parse = (asm) => new Parser().parse(new Tokenizer().tokenize(asm)).program;
+        const bps = new Breakpoints();
+        bps.bindProgram('P1', parse('SET R0, 1\nMOV_F'));
+        bps.set('P1', 1);
+        bps.set('P2', 0);
+        assert(!bps.bindProgram('P1', parse('; same code\nSET R0, 1\n\nMOV_F')), 'recompiling the same program keeps them');
+        assert(bps.has('P1', 1), 'still set');
+        assert(bps.bindProgram('P1', parse('SET R0, 1\nSET R1, 2\nMOV_F')), 'edited program clears them');
+        assert(!bps.has('P1', 1), 'no longer on the new SET R1');
+        assert(bps.has('P2', 0), 'other tanks keep theirs');
+    });
+
+    test('peekNextStep reports the instruction about to run', () => {
+        const bm = new BattleManager();
+        bm.loadCode('SET R0, 1\nMOV_F', 'NOP');
+        assertEqual(bm.peekNextStep('P1').pc, 0, 'starts at 0');
+        assertEqual(bm.peekNextStep('P1').registers.HP, bm.tanks.P1.hp, 'read-only registers synced');
+        bm.tick();
+        assertEqual(bm.peekNextStep('P1').pc, 1, 'advanced');
+        assertEqual(bm.peekNextStep('P2'), null, 'P2 already committed NOP');
+    });
+});
+
+describe('SimpleCompiler - Source Maps', () => {
+    const script = 'var0 = 1\n# comment\nloop:\n  if var0 == 1:\n    fire\n  end\nend';
+
+    test('maps every asm line to its TankScript line', () => {
+        const { asm, sourceMap } = new SimpleCompiler().compileWithSourceMap(script);
+        const lines = asm.split('\n');
+        assertEqual(sourceMap.length, lines.length, 'one entry per asm line');
+        assertEqual(sourceMap[0], 1, 'assignment on line 1');
+        assertEqual(sourceMap[lines.indexOf('FIRE')], 5, 'fire on line 5');
+        assertEqual(sourceMap[lines.length - 1], 7, 'loop jump comes from closing end');
+    });
+
+    test('compile still returns plain assembly', () => {
+        const compiler = new SimpleCompiler();
+        const asm = compiler.compile(script);
+        assertEqual(typeof asm, 'string', 'string output');
+        assertEqual(compiler.sourceMap.length, asm.split('\n').length, 'source map kept on the compiler');
+    });
+
+    test('parser attaches asm and source lines to each instruction', () => {
+        const { asm, sourceMap } = new SimpleCompiler().compileWithSourceMap(script);
+        const { program } = new Parser().parse(new Tokenizer().tokenize(asm), sourceMap);
+        const fire = program.find(i => i.opcode === 'FIRE');
+        assertEqual(asm.split('\n')[fire.line - 1], 'FIRE', 'asm line');
+        assertEqual(fire.sourceLine, 5, 'TankScript line');
+    });
+
+    test('hand-written assembly has no source lines', () => {
+        const { program } = new Parser().parse(new Tokenizer().tokenize('FIRE'));
+        assertEqual(program[0].sourceLine, undefined, 'no sourceLine');
+    });
+
+    test('battle and replay expose the executing TankScript line', () => {
+        const { asm, sourceMap } = new SimpleCompiler().compileWithSourceMap(script);
+        const bm = new BattleManager();
+        bm.loadCode(asm, 'NOP', { P1: sourceMap });
+        const recorder = new ReplayRecorder(bm, { level: 1 });
+        bm.tick(); recorder.capture();
+        assertEqual(bm.tanks.P1.debugSourceLine, 1, 'first instruction from line 1');
+        assertEqual(bm.tanks.P2.debugSourceLine, null, 'assembly player has none');
+
+        while (!bm.tick()) recorder.capture();
+        recorder.capture();
+        const state = new ReplayPlayer(recorder.toJSON()).getState(1);
+        assertEqual(state.tanks.P1.debugSourceLine, 5, 'replay keeps the source line of the turn action');
+    });
+});
+
+import { Assembler, MAX_PROGRAM_SIZE } from '../src/vm/Assembler.js';
+import { Disassembler } from '../src/vm/Disassembler.js';
+
+describe('Assembler / Disassembler - Machine Code', () => {
+    const parse = (asm) => new Parser().parse(new Tokenizer().tokenize(asm));
+    const assemble = (asm) => { const { program, labels } = parse(asm); return Array.from(new Assembler().assemble(program, labels)); };
+    const script = 'var1 = 3\nloop:\n  scan(var0, var2)\n  if var2 == 2:\n    fire\n  else:\n    repeat var1:\n      turn_left\n    end\n    var1 = 2\n  end\nend';
+
+    test('encodes opcode and operand bytes', () => {
+        assertDeepEqual(assemble('FIRE'), [0x05], 'no operands');
+        assertDeepEqual(assemble('SCAN R0, R1'), [0x10, 0x00, 0x01], 'register operands');
+        assertDeepEqual(assemble('ADD ACC, R5'), [0x31, 0x06, 0x05], 'register source');
+        assertDeepEqual(assemble('ADD ACC, 5'), [0xB1, 0x06, 0x05], 'immediate sets bit 7');
+        assertDeepEqual(assemble('SET R0, -1'), [0xB0, 0x00, 0xFF], 'immediates are bytes');
+    });
+
+    test('encodes label addresses as byte addresses', () => {
+        assertDeepEqual(assemble('SET R0, 1\nLBL top\nFIRE\nJMP top'), [0xB0, 0x00, 0x01, 0x05, 0x20, 0x03], 'JMP to byte 3');
+        assertDeepEqual(assemble('DJNZ R2, done\nLBL done'), [0x26, 0x02, 0x03], 'label at program end');
+        assertDeepEqual(Array.from(new Assembler().assemble([{ opcode: 'JMP', args: ['NOWHERE'] }], {})), [0x20, 0xFF], 'undefined label');
+    });
+
+    test('rejects programs that do not fit in 8-bit addresses', () => {
+        const tooLong = 'SET R0, 1\n'.repeat(85);
+        const message = `Program too long: 255 bytes of machine code (max ${MAX_PROGRAM_SIZE}).`;
+        assertEqual(parse(tooLong).error, message, 'parser counts bytes, not instructions');
+        assertEqual(parse('NOP\n'.repeat(MAX_PROGRAM_SIZE)).program.length, MAX_PROGRAM_SIZE, 'largest program');
+        assertEqual(new BattleManager().loadCode(tooLong, 'NOP').error, `P1 Error: ${message}`, 'headless matches too');
+
+        let threw = false;
+        try { new Assembler().assemble(Array(MAX_PROGRAM_SIZE + 1).fill({ opcode: 'NOP', args: [] }), {}); } catch (e) { threw = true; }
+        assert(threw, 'assembler');
+    });
+
+    test('disassembler round-trips assembled programs', () => {
+        const asm = new SimpleCompiler().compile(script);
+        const bytes = assemble(asm);
+        const { program, labels } = new Disassembler().disassemble(bytes);
+        assertEqual(program.length, parse(asm).program.length, 'same instruction count');
+        assertDeepEqual(Array.from(new Assembler().assemble(program, labels)), bytes, 'same bytes');
+        const original = parse(asm);
+        const targets = (prog, table) => prog.map(inst => table[inst.args.find(arg => table[arg] !== undefined)] ?? null);
+        assertDeepEqual(targets(program, labels), targets(original.program, original.labels), 'byte addresses become instruction indices');
+    });
+
+    test('disassembler rejects bad images', () => {
+        let message = '';
+        try { new Disassembler().disassemble([0x7F]); } catch (e) { message = e.message; }
+        assert(message.includes('Unknown opcode'), 'unknown opcode');
+        message = '';
+        try { new Disassembler().disassemble([0x31, 0x00]); } catch (e) { message = e.message; }
+        assert(message.includes('Truncated'), 'truncated operands');
+        message = '';
+        try { new Disassembler().disassemble([0xB0, 0x00, 0x01, 0x20, 0x01]); } catch (e) { message = e.message; }
+        assertEqual(message, "Jump target 1 in 'JMP' at byte 3 is not the start of an instruction.", 'jump into an operand');
+    });
+
+    test('CPU runs identically from the byte image, with PC as a byte address', () => {
+        const asm = new SimpleCompiler().compile(script);
+        const { program, labels } = parse(asm);
+        const offsets = new Assembler().offsets(program);
+        const fromText = new CPU(program, labels);
+        const fromImage = CPU.fromImage(new Assembler().assemble(program, labels));
+        assertEqual(fromImage.program.length, 0, 'nothing decoded up front');
+
+        for (let i = 0; i < 200; i++) {
+            const a = fromText.step();
+            const b = fromImage.step();
+            assertDeepEqual(b, a, `same action at step ${i}`);
+            assertEqual(fromImage.registers.PC, offsets[fromText.registers.PC], `PC at step ${i}`);
+            if (a && a.type === 'SCAN') { fromText.setRegister(a.destType, 2); fromImage.setRegister(b.destType, 2); }
+        }
+        assertDeepEqual({ ...fromImage.registers, PC: 0 }, { ...fromText.registers, PC: 0 }, 'same registers');
+    });
+
+    test('CALL pushes the byte address of the next instruction', () => {
+        const { program, labels } = parse('CALL f\nFIRE\nLBL f\nSET R0, 7\nRET');
+        const cpu = CPU.fromImage(new Assembler().assemble(program, labels));
+        cpu.step();
+        assertDeepEqual(cpu.stack, [2], 'return address is byte 2');
+        assertEqual(cpu.registers.PC, 3, 'subroutine at byte 3');
+        cpu.step();
+        cpu.step();
+        assertEqual(cpu.registers.PC, 2, 'RET back to byte 2');
+        assertDeepEqual(cpu.step(), { type: 'FIRE' }, 'continues after the CALL');
+        assertEqual(cpu.registers.R0, 7, 'subroutine ran');
+    });
+
+    test('bad images halt when the bad bytes are reached', () => {
+        const cpu = CPU.fromImage([0x20, 0xFF, 0x05]);
+        cpu.step();
+        assert(cpu.isDone, 'halted');
+        assertEqual(cpu.lastError, 'Jump to an undefined label (at byte 0)', 'undefined label');
+        assertEqual(cpu.step(), null, 'no further actions');
+
+        const garbage = CPU.fromImage([0x20, 0x03, 0x05, 0x7F]);
+        garbage.step();
+        assertEqual(garbage.step(), null, 'undecodable byte');
+        assertEqual(garbage.lastError, 'Unknown opcode 0x7F (at byte 3)', 'decode error');
+    });
+});
+
+import { serializeTank, parseTank, TANK_FILE_VERSION } from '../src/io/TankFile.js';
+
+describe('TankFile - Program Import/Export', () => {
+    const program = { mode: 'assembly', tankscript: 'loop:\n  fire\nend', assembly: 'LBL a\nFIRE\nJMP a' };
+
+    test('round-trips mode, TankScript and assembly', () => {
+        assertDeepEqual(parseTank(serializeTank(program), 'bot.tank'), program, 'same program');
+    });
+
+    test('loads plain source files by extension', () => {
+        assertDeepEqual(parseTank('FIRE', 'bot.asm'), { mode: 'assembly', tankscript: '', assembly: 'FIRE' }, 'assembly file');
+        assertDeepEqual(parseTank('fire', 'bot.txt'), { mode: 'tankscript', tankscript: 'fire', assembly: '' }, 'TankScript file');
+    });
+
+    test('rejects malformed tank files', () => {
+        const cases = [
+            ['not json', 'bot.tank', 'valid JSON'],
+            ['{"format": "other"}', 'bot.tank', 'Not a CPU Wars'],
+            [JSON.stringify({ ...JSON.parse(serializeTank(program)), version: TANK_FILE_VERSION + 1 }), 'bot.tank', 'newer'],
+            [JSON.stringify({ ...JSON.parse(serializeTank(program)), mode: 'basic' }), 'bot.tank', 'mode'],
+            [JSON.stringify({ ...JSON.parse(serializeTank(program)), assembly: undefined }), 'bot.tank', 'incomplete']
+        ];
+        for (const [text, name, expected] of cases) {
+            let message = '';
+            try { parseTank(text, name); } catch (e) { message = e.message; }
+            assert(message.includes(expected), `'${expected}' reported (got '${message}')`);
+        }
+    });
+});
+
+import { Autosave } from '../src/io/Autosave.js';
+
+describe('Autosave - Session and Version History', () => {
+    const memoryStorage = () => {
+        const items = {};
+        return { getItem: k => (k in items ? items[k] : null), setItem: (k, v) => { items[k] = String(v); } };
+    };
+    const prog = (tankscript) => ({ mode: 'tankscript', tankscript, assembly: '' });
+    const session = (p1, p2 = 'wait') => ({ level: 2, players: { p1: prog(p1), p2: prog(p2) } });
+
+    test('restores the last saved session', () => {
+        const storage = memoryStorage();
+        new Autosave(storage).save(session('fire'));
+        const restored = new Autosave(storage).session;
+        assertEqual(restored.level, 2, 'level');
+        assertEqual(restored.players.p1.tankscript, 'fire', 'P1 program');
+    });
+
+    test('edits within the interval update the newest version', () => {
+        let time = 0;
+        const autosave = new Autosave(memoryStorage(), { versionInterval: 1000, now: () => time });
+        autosave.save(session('f'));
+        time = 500;
+        autosave.save(session('fi'));
+        assertEqual(autosave.history('p1').length, 1, 'one version');
+        assertEqual(autosave.history('p1')[0].program.tankscript, 'fi', 'updated in place');
+
+        time = 2000;
+        autosave.save(session('fire'));
+        assertEqual(autosave.history('p1').length, 2, 'new version after the interval');
+        assertEqual(autosave.history('p1')[0].program.tankscript, 'fire', 'newest first');
+        assertEqual(autosave.history('p2').length, 1, 'unchanged P2 not duplicated');
+    });
+
+    test('keeps only the last N versions', () => {
+        let time = 0;
+        const autosave = new Autosave(memoryStorage(), { historyLimit: 3, versionInterval: 0, now: () => time++ });
+        for (let i = 0; i < 5; i++) autosave.save(session(`v${i}`));
+        assertDeepEqual(autosave.history('p1').map(v => v.program.tankscript), ['v4', 'v3', 'v2'], 'trimmed');
+    });
+
+    test('ignores corrupt or unavailable storage', () => {
+        const storage = memoryStorage();
+        storage.setItem('cpu-wars-autosave', '{not json');
+        assertEqual(new Autosave(storage).session, null, 'corrupt data ignored');
+
+        const broken = { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('full'); } };
+        const autosave = new Autosave(broken);
+        autosave.save(session('fire'));
+        assertEqual(autosave.history('p1').length, 1, 'history kept in memory');
+        assertEqual(new Autosave(null).session, null, 'no storage at all');
+    });
+});
+
+import { encodeShareLink, decodeShareLink, SHARE_HASH_PREFIX, SHARE_VERSION } from '../src/io/ShareLink.js';
+
+// Share link hash for a hand-made payload (e.g. one an older version would have written)
+async function rawShareLink(data) {
+    const json = new TextEncoder().encode(JSON.stringify(data));
+    const compressed = new Uint8Array(await new Response(new Blob([json]).stream().pipeThrough(new CompressionStream('deflate-raw'))).arrayBuffer());
+    return SHARE_HASH_PREFIX + btoa(String.fromCharCode(...compressed)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+await describeAsync('ShareLink - Programs in the URL', async () => {
+    const session = {
+        level: 3,
+        players: {
+            p1: { mode: 'tankscript', tankscript: 'loop:\n  fire\nend', assembly: 'stale' },
+            p2: { mode: 'assembly', tankscript: 'ignored', assembly: 'LBL a\nROT_L\nJMP a' }
+        }
+    };
+
+    await testAsync('round-trips level, modes and active sources', async () => {
+        const hash = await encodeShareLink(session);
+        assert(hash.startsWith(SHARE_HASH_PREFIX), 'hash prefix');
+        assert(/^[A-Za-z0-9_-]+$/.test(hash.slice(SHARE_HASH_PREFIX.length)), 'URL-safe payload');
+
+        const decoded = await decodeShareLink(hash);
+        assertEqual(decoded.level, 3, 'level');
+        assertEqual(decoded.engineVersion, ENGINE_VERSION, 'engine version');
+        assertDeepEqual(decoded.players.p1, { mode: 'tankscript', tankscript: 'loop:\n  fire\nend', assembly: '' }, 'P1 TankScript');
+        assertDeepEqual(decoded.players.p2, { mode: 'assembly', tankscript: '', assembly: 'LBL a\nROT_L\nJMP a' }, 'P2 assembly');
+    });
+
+    await testAsync('compresses long programs', async () => {
+        const long = { level: 1, players: { p1: { mode: 'tankscript', tankscript: 'move\n'.repeat(500), assembly: '' }, p2: session.players.p2 } };
+        const hash = await encodeShareLink(long);
+        assert(hash.length < 500, `short link (${hash.length} chars)`);
+    });
+
+    await testAsync('ignores other hashes and rejects damaged links', async () => {
+        assertEqual(await decodeShareLink(''), null, 'empty hash');
+        assertEqual(await decodeShareLink('#help'), null, 'unrelated hash');
+
+        const hash = await encodeShareLink(session);
+        let message = '';
+        try { await decodeShareLink(hash.slice(0, -8)); } catch (e) { message = e.message; }
+        assert(message.includes('damaged'), 'truncated link reported');
+    });
+
+    await testAsync('flags links from an older engine', async () => {
+        // A link made before the engine version was stored
+        const hash = await rawShareLink({ v: 1, level: 1, players: { p1: { mode: 'assembly', source: 'CMP R0, 1' }, p2: { mode: 'assembly', source: 'NOP' } } });
+        const decoded = await decodeShareLink(hash);
+        assertEqual(decoded.engineVersion, 1, 'version 1 assumed');
+        assert(decoded.engineVersion !== ENGINE_VERSION, 'differs from the running engine');
+    });
+});
+
+import { parseArena, serializeArena, ArenaRegistry, reachableCells } from '../src/simulation/Arena.js';
+import { BUILTIN_ARENAS, arenaRegistry } from '../src/simulation/arenas.js';
+
+describe('Arena - File Format and Registry', () => {
+    const openMap = (...rows) => {
+        const map = Array(10).fill('................');
+        rows.forEach(([y, row]) => { map[y] = row; });
+        return map;
+    };
+
+    test('built-in arenas keep the original walls and starts', () => {
+        const level2 = arenaRegistry.get(2);
+        assertDeepEqual([...level2.walls].sort(), ['7,4', '7,5', '8,4', '8,5'], 'level 2 walls');
+        assertDeepEqual(level2.starts.P1, { x: 0, y: 4, facing: 0 }, 'P1 start');
+        assertDeepEqual(level2.starts.P2, { x: 15, y: 5, facing: 2 }, 'P2 start');
+        assertEqual(arenaRegistry.get(3).walls.length, 6, 'level 3 walls');
+    });
+
+    test('parses facings by name or number', () => {
+        const arena = parseArena({ name: 'T', map: openMap([0, '1..............2']), facing: { P1: 'n', P2: 1 } });
+        assertEqual(arena.starts.P1.facing, 3, 'P1 faces north');
+        assertEqual(arena.starts.P2.facing, 1, 'P2 faces south');
+        assertEqual(arena.width, 16, 'width');
+        assertEqual(arena.height, 10, 'height');
+    });
+
+    test('rejects malformed maps', () => {
+        const errorOf = (def) => { try { parseArena(def); return null; } catch (e) { return e.message; } };
+        assert(errorOf('{oops').includes('not valid JSON'), 'bad JSON');
+        assert(errorOf({ name: 'T', map: openMap([0, '1..............']) }).includes('same length'), 'ragged rows');
+        assert(errorOf({ name: 'T', map: openMap([0, '1......X.......2']) }).includes("unknown map character 'X'"), 'bad character');
+        assert(errorOf({ name: 'T', map: openMap([0, '1..............1']) }).includes('more than once'), 'duplicate start');
+        assert(errorOf({ name: 'T', map: openMap([0, '1...............']) }).includes('missing start position for P2'), 'missing start');
+        assert(errorOf({ name: 'T', map: ['1..', '...', '..2'] }).includes('4 to 64 tiles'), 'too small');
+        assert(errorOf({ name: 'T', map: openMap([0, '1' + '.'.repeat(63) + '2']).map(r => r.padEnd(65, '.')) }).includes('got 65x10'), 'too large');
+        assert(errorOf({ name: 'T', map: openMap([0, '1..............2']), facing: { P1: 'UP' } }).includes("Invalid facing 'UP'"), 'bad facing');
+        assert(errorOf({ format: 'other', map: [] }).includes('Not a CPU Wars arena'), 'wrong format');
+    });
+
+    test('rejects starts that cannot reach each other', () => {
+        const map = openMap([4, '1......#.......2']);
+        map.forEach((row, y) => { map[y] = row.slice(0, 7) + '#' + row.slice(8); });
+        let error = null;
+        try { parseArena({ name: 'Split', map }); } catch (e) { error = e.message; }
+        assertEqual(error, "Arena 'Split': P2 cannot be reached from P1", 'unreachable error');
+    });
+
+    test('reachableCells stops at walls and edges', () => {
+        const cells = reachableCells(3, 2, ['1,0', '1,1'], { x: 0, y: 0 });
+        assertDeepEqual([...cells].sort(), ['0,0', '0,1'], 'left column only');
+    });
+
+    test('serializeArena round-trips through parseArena', () => {
+        const original = parseArena(BUILTIN_ARENAS[2]);
+        const copy = parseArena(serializeArena(original));
+        assertDeepEqual([...copy.walls].sort(), [...original.walls].sort(), 'walls');
+        assertDeepEqual(copy.starts, original.starts, 'starts');
+        assertEqual(copy.name, original.name, 'name');
+    });
+
+    test('registry numbers custom arenas after the existing ones', () => {
+        const registry = new ArenaRegistry(BUILTIN_ARENAS);
+        const custom = registry.register(JSON.stringify({ name: 'Custom', map: openMap([2, '.1..........2...']) }));
+        assertEqual(custom.id, 4, 'next id');
+        assertDeepEqual(registry.ids(), [1, 2, 3, 4], 'ids');
+        assertEqual(registry.get('4').name, 'Custom', 'lookup by string id');
+        let error = null;
+        try { registry.get(9); } catch (e) { error = e.message; }
+        assertEqual(error, 'Unknown arena 9', 'unknown id');
+    });
+
+    test('BattleManager places tanks at the arena starts', () => {
+        const arena = parseArena({ name: 'T', map: openMap([1, '..#.............'], [3, '....1.....2.....']), facing: { P1: 'S', P2: 'N' } });
+        const bm = new BattleManager();
+        bm.setupArena(arena);
+        assert(bm.grid.isWall(2, 1), 'wall loaded');
+        bm.loadCode('NOP', 'NOP');
+        assertDeepEqual([bm.tanks.P1.x, bm.tanks.P1.y, bm.tanks.P1.facing], [4, 3, 1], 'P1 start');
+        assertDeepEqual([bm.tanks.P2.x, bm.tanks.P2.y, bm.tanks.P2.facing], [10, 3, 3], 'P2 start');
+    });
+});
+
+import { ArenaEditor } from '../src/simulation/ArenaEditor.js';
+
+describe('ArenaEditor - Editing Rules', () => {
+    test('toggles walls but never under a tank', () => {
+        const editor = new ArenaEditor(arenaRegistry.get(1));
+        assert(editor.toggleWall(3, 3), 'wall added');
+        assert(editor.walls.has('3,3'), 'wall stored');
+        assert(editor.toggleWall(3, 3), 'wall removed');
+        assert(!editor.walls.has('3,3'), 'wall gone');
+        assert(!editor.toggleWall(0, 4), 'P1 start refused');
+        assert(!editor.toggleWall(16, 0), 'outside refused');
+    });
+
+    test('moves and rotates starts without touching the original arena', () => {
+        const original = arenaRegistry.get(2);
+        const editor = new ArenaEditor(original);
+        assert(!editor.moveStart('P1', 7, 4), 'wall cell refused');
+        assert(!editor.moveStart('P1', 15, 5), 'other tank refused');
+        assert(editor.moveStart('P1', 2, 2), 'free cell accepted');
+        editor.rotateStart('P2');
+        editor.rotateStart('P2');
+        assertDeepEqual(editor.toArena().starts, { P1: { x: 2, y: 2, facing: 0 }, P2: { x: 15, y: 5, facing: 0 } }, 'edited starts');
+        assertDeepEqual(original.starts.P1, { x: 0, y: 4, facing: 0 }, 'original untouched');
+    });
+
+    test('validate rejects arenas where the tanks are walled off', () => {
+        const editor = new ArenaEditor(arenaRegistry.get(1), 'Boxed');
+        [[1, 4], [0, 3], [0, 5]].forEach(([x, y]) => editor.toggleWall(x, y));
+        let error = null;
+        try { editor.validate(); } catch (e) { error = e.message; }
+        assertEqual(error, "Arena 'Boxed': P2 cannot be reached from P1", 'validation error');
+        editor.toggleWall(0, 5);
+        assertEqual(editor.validate().walls.length, 2, 'valid once opened');
+    });
+
+    test('registry.replace keeps the level number', () => {
+        const registry = new ArenaRegistry(BUILTIN_ARENAS);
+        const editor = new ArenaEditor(registry.get(1), 'Edited');
+        editor.toggleWall(5, 5);
+        const custom = registry.register(editor.validate());
+        editor.toggleWall(6, 6);
+        const updated = registry.replace(custom.id, editor.validate());
+        assertEqual(updated.id, custom.id, 'same id');
+        assertEqual(registry.get(custom.id).walls.length, 2, 'new walls stored');
+        assertEqual(registry.ids().length, 4, 'no extra level');
+    });
+});
+
+import { Grid } from '../src/simulation/Grid.js';
+import { BULLET_MAX_RANGE } from '../src/constants.js';
+
+describe('Arena Dimensions - Non-default Sizes', () => {
+    const corridor = (width) => parseArena({
+        name: 'Corridor',
+        map: ['.'.repeat(width), '1' + '.'.repeat(width - 2) + '2', '.'.repeat(width), '.'.repeat(width)]
+    });
+
+    test('arena size sets the grid size', () => {
+        const bm = new BattleManager();
+        bm.setupArena(corridor(40));
+        assertEqual(bm.grid.width, 40, 'grid width');
+        assertEqual(bm.grid.height, 4, 'grid height');
+        assertDeepEqual([bm.tanks.P2.x, bm.tanks.P2.y], [39, 1], 'P2 at far end');
+    });
+
+    test('raycast reaches the far edge of a wide arena', () => {
+        const grid = new Grid(64, 4);
+        assertDeepEqual(grid.raycast(0, 0, 1, 0, new Map()), { distance: 64, type: 1 }, 'edge hit at 64');
+        assertDeepEqual(grid.raycast(0, 0, 0, 1, new Map()), { distance: 4, type: 1 }, 'short side');
+    });
+
+    test('SCAN sees the enemy across a 64 tile arena', () => {
+        const bm = new BattleManager();
+        bm.setupArena(corridor(64));
+        bm.loadCode('SCAN R0, R1\nNOP', 'NOP');
+        bm.tick();
+        assertEqual(bm.tanks.P1.cpu.registers.R0, 63, 'distance');
+        assertEqual(bm.tanks.P1.cpu.registers.R1, 2, 'enemy type');
+    });
+
+    test('bullet range covers the whole arena', () => {
+        const bm = new BattleManager();
+        bm.setupArena(corridor(60));
+        assertEqual(bm.bulletRange, 60, 'range grows with the arena');
+        assert(bm.loadCode('FIRE\nLBL w\nNOP\nJMP w', 'LBL w\nNOP\nJMP w').success, 'loaded');
+        while (bm.turnCount < 40 && bm.tanks.P2.hp === 3) bm.tick();
+        assertEqual(bm.tanks.P2.hp, 2, 'P2 hit from 59 tiles');
+
+        bm.setupArena(1);
+        assertEqual(bm.bulletRange, BULLET_MAX_RANGE, 'default range on small arenas');
+    });
+});
+
+import { generateArena, mulberry32, ARENA_PATTERNS } from '../src/simulation/ArenaGenerator.js';
+
+describe('ArenaGenerator - Seeded Symmetric Arenas', () => {
+    const mirrorOf = (pattern, arena) => (pattern === 'rotational'
+        ? ([x, y]) => [arena.width - 1 - x, arena.height - 1 - y]
+        : ([x, y]) => [arena.width - 1 - x, y]);
+
+    test('mulberry32 is deterministic per seed', () => {
+        const a = mulberry32(123);
+        const b = mulberry32(123);
+        const seqA = [a(), a(), a()];
+        assertDeepEqual([b(), b(), b()], seqA, 'same sequence');
+        assert(seqA.every(v => v >= 0 && v < 1), 'values in [0, 1)');
+        assert(mulberry32(124)() !== seqA[0], 'different seed, different sequence');
+    });
+
+    test('same options give the same arena', () => {
+        ARENA_PATTERNS.forEach(pattern => {
+            const a = generateArena({ seed: 99, pattern });
+            const b = generateArena({ seed: 99, pattern });
+            assertDeepEqual(b.walls, a.walls, `${pattern} walls`);
+        });
+        const other = generateArena({ seed: 100, pattern: 'mirror' });
+        assert(other.walls.join() !== generateArena({ seed: 99, pattern: 'mirror' }).walls.join(), 'seed changes the map');
+    });
+
+    test('arenas are symmetric and fully connected', () => {
+        [[16, 10], [15, 9], [24, 16]].forEach(([width, height]) => {
+            ARENA_PATTERNS.forEach(pattern => {
+                for (let seed = 1; seed <= 10; seed++) {
+                    const arena = generateArena({ seed, pattern, width, height });
+                    const label = `${pattern} ${width}x${height} seed ${seed}`;
+                    const walls = new Set(arena.walls);
+                    const mirror = mirrorOf(pattern, arena);
+
+                    arena.walls.forEach(key => {
+                        const [mx, my] = mirror(key.split(',').map(Number));
+                        assert(walls.has(`${mx},${my}`), `${label}: wall ${key} is mirrored`);
+                    });
+                    const { P1, P2 } = arena.starts;
+                    assertDeepEqual(mirror([P1.x, P1.y]), [P2.x, P2.y], `${label}: starts mirrored`);
+                    assertEqual(P1.facing, 0, `${label}: P1 faces east`);
+                    assertEqual(P2.facing, 2, `${label}: P2 faces west`);
+
+                    const open = width * height - walls.size;
+                    assertEqual(reachableCells(width, height, walls, P1).size, open, `${label}: every open cell reachable`);
+                }
+            });
+        });
+    });
+
+    test('generated arenas play in BattleManager', () => {
+        const bm = new BattleManager();
+        bm.setupArena(generateArena({ seed: 5, pattern: 'maze' }));
+        assert(bm.loadCode('NOP', 'NOP').success, 'code loads');
+        assert(!bm.grid.isWall(bm.tanks.P1.x, bm.tanks.P1.y), 'P1 not on a wall');
+    });
+
+    test('rejects bad options', () => {
+        const errorOf = (opts) => { try { generateArena(opts); return null; } catch (e) { return e.message; } };
+        assert(errorOf({ pattern: 'spiral' }).includes("Unknown arena pattern 'spiral'"), 'pattern');
+        assert(errorOf({ seed: 1.5 }).includes('integer'), 'seed');
+        assert(errorOf({ density: 2 }).includes('between 0 and 1'), 'density');
+        assert(errorOf({ width: 100 }).includes('4 to 64'), 'size');
+    });
+});
+
+describe('Teams - More Than Two Tanks', () => {
+    const arenaOf = (rows, extra = {}) => {
+        const map = Array(10).fill('................');
+        rows.forEach(([y, row]) => { map[y] = row; });
+        return parseArena({ name: 'Teams', map, ...extra });
+    };
+    const runTurn = (bm) => { while (!bm.tick()); };
+    const fireLoop = 'LBL a\nFIRE\nJMP a';
+    const idle = 'LBL a\nNOP\nJMP a';
+
+    test('parses any number of tanks and their teams', () => {
+        const arena = arenaOf([[0, '1..............2'], [9, '3..............4']], { teams: [['P1', 'P3'], ['P2', 'P4']] });
+        assertDeepEqual(Object.keys(arena.starts), ['P1', 'P2', 'P3', 'P4'], 'tank ids');
+        assertDeepEqual(arena.teams, { P1: 'P1', P2: 'P2', P3: 'P1', P4: 'P2' }, 'teams named after first tank');
+        assertEqual(arena.starts.P3.facing, 0, 'left tanks face east');
+        assertEqual(arena.starts.P4.facing, 2, 'right tanks face west');
+        const copy = parseArena(serializeArena({ ...arena, friendlyFire: true }));
+        assertDeepEqual(copy.teams, arena.teams, 'teams round-trip');
+        assert(copy.friendlyFire, 'friendly fire round-trips');
+
+        const errorOf = (rows, extra) => { try { arenaOf(rows, extra); return null; } catch (e) { return e.message; } };
+        assert(errorOf([[0, '1.......3......2']]) === null, 'free-for-all');
+        assert(errorOf([[0, '1..............3']]).includes('missing start position for P2'), 'numbering gap');
+        assert(errorOf([[0, '1..............2']], { teams: [['P1', 'P2']] }).includes('at least two teams'), 'one team');
+        assert(errorOf([[0, '1..............2']], { teams: [['P1', 'P5']] }).includes('P5 has no start position'), 'unknown member');
+    });
+
+    test('team arenas share the two programs; free-for-all needs one per tank', () => {
+        const bm = new BattleManager();
+        bm.setupArena(arenaOf([[0, '1..............2'], [9, '3..............4']], { teams: [['P1', 'P3'], ['P2', 'P4']] }));
+        assert(bm.loadCode('FIRE', 'NOP').success, 'team arena loads');
+        assertEqual(bm.tanks.P3.cpu.program[0].opcode, 'FIRE', 'P3 runs P1 code');
+        assertEqual(bm.tanks.P4.cpu.program[0].opcode, 'NOP', 'P4 runs P2 code');
+
+        bm.setupArena(arenaOf([[0, '1.......3......2']]));
+        assert(bm.loadCode('NOP', 'NOP').error.includes('more than two teams'), 'loadCode refuses three teams');
+        assert(bm.loadPrograms({ P1: 'NOP', P2: 'NOP', P3: 'NOP' }).success, 'loadPrograms per tank');
+    });
+
+    test('loadCode refuses arenas where P1 and P2 are teammates', () => {
+        const bm = new BattleManager();
+        bm.setupArena(arenaOf([[0, '1..............2'], [9, '3...............']], { teams: [['P1', 'P2']] }));
+        const res = bm.loadCode('FIRE', 'NOP');
+        assert(!res.success, 'not loaded');
+        assert(res.error.includes('P1 and P2 are on the same team'), 'explicit error');
+        assertEqual(bm.tanks.P1.cpu, null, 'no tank runs the wrong program');
+        assert(bm.loadPrograms({ P1: 'FIRE', P2: 'NOP', P3: 'NOP' }).success, 'per-tank programs still work');
+    });
+
+    test('the level selector only accepts arenas with two sides', () => {
+        const registry = new ArenaRegistry(BUILTIN_ARENAS, { twoSides: true });
+        const rejected = (def) => { try { registry.register(def); return null; } catch (e) { return e.message; } };
+        const map = ['1.......3......2', ...Array(9).fill('................')];
+        assertEqual(rejected({ name: 'FFA', map }),
+            "Arena 'FFA': P3 is on neither P1's nor P2's team; arenas with more than two teams need a program per tank, which only headless matches can give", 'free-for-all refused on load');
+        assert(rejected({ name: 'Pals', map, teams: [['P1', 'P2']] }).includes('P1 and P2 are on the same team'), 'P1 and P2 teammates refused');
+        assertEqual(rejected({ name: 'Duo', map, teams: [['P1', 'P3']] }), null, 'two teams accepted');
+        assertEqual(registry.ids().length, 4, 'only the valid arena was added');
+        assert(new ArenaRegistry().register({ name: 'FFA', map }), 'plain registries still take any arena');
+        assert(arenaRegistry.twoSides, 'the browser registry checks sides');
+    });
+
+    test('free-for-all continues until one tank is left', () => {
+        const bm = new BattleManager();
+        bm.setupArena(arenaOf([[0, '12..............'], [9, '...............3']]));
+        bm.loadPrograms({ P1: fireLoop, P2: idle, P3: idle });
+        for (let i = 0; i < 3; i++) runTurn(bm);
+        assertEqual(bm.tanks.P2.hp, 0, 'P2 destroyed by direct hits');
+        assert(bm.log.some(l => l.includes('[CPU_2 T003] P2 destroyed!')), 'destruction logged');
+        assert(!bm.isGameOver, 'P1 and P3 still fighting');
+    });
+
+    test('last team standing wins and teammates are not hit', () => {
+        const bm = new BattleManager();
+        bm.setupArena(arenaOf([[0, '12..............'], [9, '34..............']], { teams: [['P1', 'P3'], ['P2', 'P4']] }));
+        bm.loadCode(fireLoop, idle);
+        for (let i = 0; i < 3; i++) runTurn(bm);
+        assert(bm.isGameOver, 'game over');
+        assertEqual(bm.winner, 'P1', 'winner is the team name');
+        assertEqual(bm.log[bm.log.length - 1], '=== TEAM P1 WINS! ===', 'team win logged');
+
+        bm.setupArena(arenaOf([[4, '13...2..........']], { teams: [['P1', 'P3']] }));
+        bm.loadPrograms({ P1: `FIRE\n${idle}`, P2: idle, P3: idle });
+        for (let i = 0; i < 3; i++) runTurn(bm);
+        assertEqual(bm.tanks.P3.hp, 3, 'bullet passes the teammate');
+        assertEqual(bm.tanks.P2.hp, 2, 'and hits the enemy behind');
+    });
+
+    test('friendly fire arenas damage teammates', () => {
+        const bm = new BattleManager();
+        bm.setupArena(arenaOf([[4, '13...2..........']], { teams: [['P1', 'P3']], friendlyFire: true }));
+        bm.loadPrograms({ P1: 'FIRE', P2: 'NOP', P3: 'NOP' });
+        runTurn(bm);
+        assertEqual(bm.tanks.P3.hp, 2, 'direct hit on teammate');
+    });
+
+    test('PING finds the nearest enemy and SCAN tells allies apart', () => {
+        const bm = new BattleManager();
+        bm.setupArena(arenaOf([[0, '1..3......2.....'], [3, '...4............']], { teams: [['P1', 'P3'], ['P2', 'P4']] }));
+        bm.loadCode('PING R0, R1\nSCAN R2, R3', 'NOP');
+        runTurn(bm);
+        const regs = bm.tanks.P1.cpu.registers;
+        assertDeepEqual([regs.R0, regs.R1], [3, 3], 'nearest enemy is P4');
+        assertEqual(bm.events.find(e => e.type === 'PING' && e.tankId === 'P1').enemyId, 'P4', 'event names the target');
+        runTurn(bm);
+        assertDeepEqual([regs.R2, regs.R3], [3, 3], 'teammate seen as ally');
+    });
+
+    test('three tanks moving into one cell all collide', () => {
+        const bm = new BattleManager();
+        bm.setupArena(arenaOf([[0, '.3..............'], [1, '1.2.............']], { facing: { P2: 'W', P3: 'S' } }));
+        bm.loadPrograms({ P1: 'MOV_F', P2: 'MOV_F', P3: 'MOV_F' });
+        runTurn(bm);
+        ['P1', 'P2', 'P3'].forEach(id => assertEqual(bm.tanks[id].lastFeedback, 'COLLISION', `${id} collides`));
+        assertDeepEqual([bm.tanks.P3.x, bm.tanks.P3.y], [1, 0], 'P3 stays put');
+    });
+});
+
+import { INBOX_SIZE } from '../src/vm/InstructionSet.js';
+
+describe('Team Radio - SEND/RECV', () => {
+    const teamArena = () => {
+        const map = Array(10).fill('................');
+        map[0] = '1..............2';
+        map[9] = '3..............4';
+        return parseArena({ name: 'Radio', map, teams: [['P1', 'P3'], ['P2', 'P4']] });
+    };
+    const runTurn = (bm) => { while (!bm.tick()); };
+
+    test('compiles send and recv', () => {
+        const asm = new SimpleCompiler().compile('send(var0)\nsend(7)\nrecv(var1, var2)');
+        assertEqual(asm, 'SEND R0\nSEND 7\nRECV R1, R2', 'assembly');
+        let error = null;
+        try { new SimpleCompiler().compile('recv(var1, 3)'); } catch (e) { error = e.message; }
+        assert(error.includes('recv needs two variables'), 'recv rejects numbers');
+    });
+
+    test('SEND yields an action, RECV reads the inbox instantly', () => {
+        const cpu = createCPU('var0 = 42\nsend(var0)\nrecv(var1, var2)\nrecv(var3, var4)');
+        assertDeepEqual(runUntilAction(cpu), { type: 'SEND', value: 42 }, 'send action');
+        cpu.receive(9);
+        cpu.step();
+        assertDeepEqual([cpu.registers.R1, cpu.registers.R2], [9, 1], 'message and flag');
+        cpu.step();
+        assertEqual(cpu.registers.R4, 0, 'flag cleared when empty');
+    });
+
+    test('inbox keeps INBOX_SIZE messages and survives snapshots', () => {
+        const cpu = createCPU('recv(var0, var1)');
+        for (let i = 0; i < INBOX_SIZE + 2; i++) cpu.receive(i);
+        assertEqual(cpu.inbox.length, INBOX_SIZE, 'overflow dropped');
+        const snap = cpu.snapshot();
+        cpu.step();
+        cpu.restore(snap);
+        assertEqual(cpu.inbox[0], 0, 'restored inbox');
+    });
+
+    test('messages reach teammates at turn resolution only', () => {
+        const bm = new BattleManager();
+        bm.setupArena(teamArena());
+        bm.loadPrograms({
+            P1: 'SET R0, 5\nSEND R0',
+            P2: 'NOP',
+            P3: 'LBL a\nRECV R1, R2\nNOP\nJMP a',
+            P4: 'LBL a\nRECV R1, R2\nNOP\nJMP a'
+        });
+        runTurn(bm);
+        assertEqual(bm.tanks.P3.cpu.registers.R2, 0, 'not delivered during the sending turn');
+        assert(bm.log.some(l => l.includes('P1 sends 5')), 'send logged');
+        runTurn(bm);
+        assertDeepEqual([bm.tanks.P3.cpu.registers.R1, bm.tanks.P3.cpu.registers.R2], [5, 1], 'teammate receives');
+        assertEqual(bm.tanks.P4.cpu.registers.R2, 0, 'enemy hears nothing');
+        assertEqual(bm.tanks.P1.cpu.inbox.length, 0, 'sender gets no echo');
+    });
+
+    test('SEND and RECV encode as machine code', () => {
+        const { program, labels } = new Parser().parse(new Tokenizer().tokenize('SEND R3\nSEND 200\nRECV R0, R1'));
+        const image = new Assembler().assemble(program, labels);
+        assertDeepEqual(Array.from(image), [0x12, 0x03, 0x92, 0xC8, 0x13, 0x00, 0x01], 'bytes');
+        assertDeepEqual(new Disassembler().disassemble(image).program.map(i => [i.opcode, ...i.args]),
+            [['SEND', 'R3'], ['SEND', 200], ['RECV', 'R0', 'R1']], 'round trip');
+    });
+});
+
+import { STACK_SIZE } from '../src/vm/InstructionSet.js';
+
+describe('Stack - PUSH/POP/CALL/RET', () => {
+    const cpuFor = (asm) => {
+        const { program, labels, error } = new Parser().parse(new Tokenizer().tokenize(asm));
+        if (error) throw new Error(error);
+        return new CPU(program, labels);
+    };
+    const runToEnd = (cpu, limit = 200) => { for (let i = 0; i < limit && !cpu.isDone; i++) cpu.step(); };
+
+    test('PUSH and POP are last in, first out', () => {
+        const cpu = cpuFor('SET R0, 7\nPUSH R0\nPUSH 9\nPOP R1\nPOP R2');
+        runToEnd(cpu);
+        assertDeepEqual([cpu.registers.R1, cpu.registers.R2], [9, 7], 'popped in reverse');
+        assertEqual(cpu.registers.SP, 0, 'stack empty again');
+        assertEqual(cpu.lastError, null, 'no error');
+    });
+
+    test('CALL and RET return to the instruction after the call', () => {
+        const cpu = cpuFor('CALL double\nCALL double\nJMP done\nLBL double\nADD R0, 2\nRET\nLBL done\nSET R1, SP');
+        runToEnd(cpu);
+        assertEqual(cpu.registers.R0, 4, 'subroutine ran twice');
+        assertEqual(cpu.registers.R1, 0, 'return addresses popped');
+    });
+
+    test('overflow and underflow halt with a clear error', () => {
+        const runaway = cpuFor('LBL f\nCALL f');
+        runToEnd(runaway);
+        assert(runaway.isDone, 'halted');
+        assertEqual(runaway.lastError, `Stack overflow: CALL nested more than ${STACK_SIZE} deep, runaway recursion? (at instruction 0)`, 'overflow');
+        assertEqual(runaway.registers.SP, STACK_SIZE, 'stack full');
+
+        const empty = cpuFor('NOP\nRET');
+        runToEnd(empty);
+        assertEqual(empty.lastError, 'Stack underflow: RET with an empty stack (at instruction 1)', 'underflow');
+    });
+
+    test('SP is read-only and stack errors are logged by BattleManager', () => {
+        const cpu = cpuFor('SET SP, 5');
+        runToEnd(cpu);
+        assertEqual(cpu.registers.SP, 0, 'SET ignored');
+
+        const bm = new BattleManager();
+        bm.loadCode('POP R0\nFIRE', 'NOP');
+        bm.tick();
+        assert(bm.log.some(l => l.includes('P1 CPU error: Stack underflow: POP')), 'error logged');
+    });
+
+    test('stack instructions encode as machine code', () => {
+        const { program, labels } = new Parser().parse(new Tokenizer().tokenize('LBL f\nPUSH 3\nPOP R1\nCALL f\nRET'));
+        const image = new Assembler().assemble(program, labels);
+        assertDeepEqual(Array.from(image), [0xC0, 0x03, 0x41, 0x01, 0x42, 0x00, 0x43], 'bytes');
+        const { program: decoded, labels: decodedLabels } = new Disassembler().disassemble(image);
+        assertDeepEqual(decoded.map(i => i.opcode), ['PUSH', 'POP', 'CALL', 'RET'], 'round trip');
+        assertEqual(decodedLabels[decoded[2].args[0]], 0, 'CALL target');
+    });
+});
+
+describe('TankScript Functions - def/call/return', () => {
+    const compileError = (src) => { try { new SimpleCompiler().compile(src); return null; } catch (e) { return e.message; } };
+
+    test('compiles def blocks to a skipped body ending in RET', () => {
+        const asm = new SimpleCompiler().compile('call turn\ndef turn:\n  turn_left\nend');
+        assertEqual(asm, 'CALL __fn_turn\nJMP __def_end_0\nLBL __fn_turn\nROT_L\nRET\nLBL __def_end_0', 'assembly');
+    });
+
+    test('calls run the body and continue after the call', () => {
+        const cpu = createCPU('def bump:\n  var0 = var0 + 1\n  if var0 == 2:\n    return\n  end\n  var1 = var1 + 1\nend\ncall bump\ncall bump\nvar2 = 9');
+        for (let i = 0; i < 100 && !cpu.isDone; i++) cpu.step();
+        assertDeepEqual([cpu.registers.R0, cpu.registers.R1, cpu.registers.R2], [2, 1, 9], 'second call returned early');
+        assertEqual(cpu.registers.SP, 0, 'stack balanced');
+    });
+
+    test('reports undefined functions and misplaced blocks', () => {
+        assertEqual(compileError('wait\ncall missing'), "Line 2: Undefined function 'missing'", 'undefined');
+        assert(compileError('loop:\n  def f:\n  end\nend').includes('must be defined at the top level'), 'nested def');
+        assert(compileError('def f:\nend\ndef f:\nend').includes("Function 'f' is already defined"), 'duplicate');
+        assert(compileError('return').includes("'return' outside of a function"), 'return outside');
+        assert(compileError('def 9lives:\nend').includes('Invalid function name'), 'bad name');
+    });
+
+    test('runaway recursion halts the tank with an error', () => {
+        const bm = new BattleManager();
+        bm.loadCode(new SimpleCompiler().compile('def spin:\n  call spin\nend\ncall spin'), 'NOP');
+        for (let i = 0; i < 30; i++) bm.tick();
+        assert(bm.tanks.P1.cpu.isDone, 'halted');
+        assert(bm.log.some(l => l.includes('runaway recursion')), 'error logged');
+    });
+});
+
+import { MEMORY_SIZE } from '../src/vm/InstructionSet.js';
+
+describe('Memory - LOAD/STORE', () => {
+    const cpuFor = (asm) => {
+        const { program, labels, error } = new Parser().parse(new Tokenizer().tokenize(asm));
+        if (error) throw new Error(error);
+        return new CPU(program, labels);
+    };
+    const runToEnd = (cpu, limit = 200) => { for (let i = 0; i < limit && !cpu.isDone; i++) cpu.step(); };
+
+    test('STORE and LOAD use direct and register addresses', () => {
+        const cpu = cpuFor('SET R0, 42\nSTORE [12], R0\nSET R1, 12\nLOAD R2, [R1]\nSET R3, 63\nSTORE [ R3 ], R2\nLOAD R4, [63]');
+        runToEnd(cpu);
+        assertEqual(cpu.memory[12], 42, 'direct store');
+        assertEqual(cpu.registers.R2, 42, 'indirect load');
+        assertEqual(cpu.registers.R4, 42, 'last byte');
+        assertEqual(cpu.memory.length, MEMORY_SIZE, 'RAM size');
+    });
+
+    test('out-of-range addresses fail to parse or halt the CPU', () => {
+        const parsed = new Parser().parse(new Tokenizer().tokenize('LOAD R0, [64]'));
+        assertEqual(parsed.error, `Line 1: Address 64 is outside RAM (0-${MEMORY_SIZE - 1}).`, 'parse error');
+
+        const cpu = cpuFor('SET R1, 200\nSTORE [R1], R0\nSET R2, 1');
+        runToEnd(cpu);
+        assert(cpu.isDone, 'halted');
+        assertEqual(cpu.lastError, 'Memory access out of bounds: address 200 (RAM is 64 bytes) (at instruction 1)', 'error');
+        assertEqual(cpu.registers.R2, 0, 'nothing ran after the fault');
+    });
+
+    test('memory instructions encode as machine code', () => {
+        const { program, labels } = new Parser().parse(new Tokenizer().tokenize('LOAD R1, [5]\nSTORE [R2], R3'));
+        const image = new Assembler().assemble(program, labels);
+        assertDeepEqual(Array.from(image), [0xD0, 0x01, 0x05, 0x51, 0x02, 0x03], 'bytes');
+        assertDeepEqual(new Disassembler().disassemble(image).program, program.map(({ opcode, args }) => ({ opcode, args })), 'round trip');
+    });
+
+    test('snapshots, BattleManager and replays carry memory', () => {
+        const cpu = cpuFor('SET R0, 1\nSTORE [0], R0');
+        const snap = cpu.snapshot();
+        runToEnd(cpu);
+        cpu.restore(snap);
+        assertEqual(cpu.memory[0], 0, 'restored');
+
+        const bm = new BattleManager();
+        bm.loadCode('SET R0, 7\nSTORE [3], R0\nLBL a\nNOP\nJMP a', 'LBL a\nNOP\nJMP a');
+        const recorder = new ReplayRecorder(bm, { level: 1 });
+        for (let i = 0; i < 10; i++) { bm.tick(); recorder.capture(); }
+        assertEqual(bm.tanks.P1.debugMemory[3], 7, 'debug copy');
+        const player = new ReplayPlayer(parseReplay(JSON.stringify(recorder.toJSON())));
+        assertEqual(player.getState(0).tanks.P1.debugMemory[3], 0, 'before the write');
+        assertEqual(player.getState(player.length).tanks.P1.debugMemory[3], 7, 'after the write');
+    });
+});
+
+describe('TankScript Expressions - Nested Arithmetic', () => {
+    test('left-to-right chains and parentheses compile in place', () => {
+        assertEqual(compile('var0 = (posx - var1) + var2 - 3'), 'SET R0, PX\nSUB R0, R1\nADD R0, R2\nSUB R0, 3', 'chain');
+        assertEqual(compile('var1 = -10'), 'SET R1, -10', 'negative literal');
+    });
+
+    test('results go through ACC and unused variables', () => {
+        assertEqual(compile('var0 = var1 - var0'), 'SET ACC, R1\nSUB ACC, R0\nSET R0, ACC', 'target read after write');
+        assertEqual(compile('var0 = var1 - (var2 - (var3 + 1))'),
+            'SET R0, R1\nSET ACC, R2\nSET R4, R3\nADD R4, 1\nSUB ACC, R4\nSUB R0, ACC', 'nested right operands');
+        assertEqual(compile('if var0 + 1 > var2:\nmove\nend').split('\n').slice(0, 4).join('\n'),
+            'SET ACC, R0\nADD ACC, 1\nCMP ACC, R2\nJLE __if_else_0', 'condition');
+    });
+
+    test('expressions evaluate correctly on the CPU', () => {
+        const cpu = createCPU('var1 = 9\nvar2 = 4\nvar0 = 20 - (var1 - (var2 + 1)) + 2\nif (var0 - 1) == 17:\n  var3 = 1\nend');
+        for (let i = 0; i < 50 && !cpu.isDone; i++) cpu.step();
+        assertEqual(cpu.registers.R0, 18, '20 - (9 - 5) + 2');
+        assertEqual(cpu.registers.R3, 1, 'condition held');
+    });
+
+    test('reports malformed and too complex expressions', () => {
+        const compileError = (src) => { try { compile(src); return null; } catch (e) { return e.message; } };
+        assertEqual(compileError('var0 = (var1 + 2'), "Line 1: Missing ')' in expression", 'unbalanced');
+        assertEqual(compileError('var0 = var1 +'), 'Line 1: Incomplete expression', 'incomplete');
+        assert(compileError('var0 = var1 - (var2 - (var3 - (var4 - (var5 - 1))))').includes('Expression is too complex'), 'out of registers');
+    });
+});
+
+import { FLAG_BITS } from '../src/vm/InstructionSet.js';
+
+describe('Math - MUL/DIV/MOD and Bitwise', () => {
+    const run = (asm) => {
+        const { program, labels, error } = new Parser().parse(new Tokenizer().tokenize(asm));
+        if (error) throw new Error(error);
+        const cpu = new CPU(program, labels);
+        for (let i = 0; i < 100 && !cpu.isDone; i++) cpu.step();
+        return cpu;
+    };
+
+    test('arithmetic wraps to 8 bits', () => {
+        const cpu = run('SET R0, 20\nMUL R0, 13\nSET R1, 17\nDIV R1, 5\nSET R2, 17\nMOD R2, 5');
+        assertDeepEqual([cpu.registers.R0, cpu.registers.R1, cpu.registers.R2], [4, 3, 2], '260 wraps to 4, 17/5, 17%5');
+    });
+
+    test('bitwise operations and shifts', () => {
+        const cpu = run('SET R0, 12\nAND R0, 10\nSET R1, 12\nOR R1, 3\nSET R2, 12\nXOR R2, 10\nSET R3, 5\nNOT R3\nSET R4, 200\nSHL R4, 1\nSET R5, 200\nSHR R5, 3');
+        assertDeepEqual([0, 1, 2, 3, 4, 5].map(i => cpu.registers[`R${i}`]), [8, 15, 6, 250, 144, 25], 'results');
+        assertEqual(run('SET R0, 255\nSHL R0, 8').registers.R0, 0, 'shifting out every bit');
+    });
+
+    test('divide by zero sets the D flag instead of crashing', () => {
+        const cpu = run('SET R0, 9\nDIV R0, R1\nSET R2, FLAGS\nMOD R0, 4\nSET FLAGS, 7');
+        assertEqual(cpu.lastError, null, 'no fault');
+        assertEqual(cpu.registers.R2, FLAG_BITS.D, 'flag set');
+        assertEqual(cpu.registers.R0, 1, 'register kept, then 9 % 4');
+        assertEqual(cpu.registers.FLAGS, 0, 'cleared by the next division and read-only');
+    });
+
+    test('TankScript operators follow C precedence', () => {
+        assertEqual(compile('var0 = var1 + var2 * 3'), 'SET R0, R1\nSET ACC, R2\nMUL ACC, 3\nADD R0, ACC', 'multiply first');
+        const cpu = createCPU('var1 = 6\nvar2 = 5\nvar0 = (var1 >> 1) | var2 << 4 ^ ~var1 & 15\nvar3 = var2 * var1 / 4 % 5');
+        for (let i = 0; i < 100 && !cpu.isDone; i++) cpu.step();
+        assertEqual(cpu.registers.R0, 3 | ((5 << 4) ^ (~6 & 15)), 'bitwise mix');
+        assertEqual(cpu.registers.R3, 2, '30 / 4 % 5');
+
+        const flagged = createCPU('var0 = 7 / 0\nif flags & 16 == 16:\n  var1 = 1\nend');
+        for (let i = 0; i < 100 && !flagged.isDone; i++) flagged.step();
+        assertEqual(flagged.registers.R1, 1, 'flags visible to TankScript');
+    });
+
+    test('new instructions round-trip through machine code', () => {
+        const { program, labels } = new Parser().parse(new Tokenizer().tokenize('MUL R0, 3\nNOT R1\nSHR R2, R3'));
+        const image = new Assembler().assemble(program, labels);
+        assertDeepEqual(Array.from(image), [0xB3, 0x00, 0x03, 0x39, 0x01, 0x3B, 0x02, 0x03], 'bytes');
+        assertDeepEqual(new Disassembler().disassemble(image).program.map(i => [i.opcode, ...i.args]), [['MUL', 'R0', 3], ['NOT', 'R1'], ['SHR', 'R2', 'R3']], 'decoded');
+    });
+});
+
+describe('Flags - Z/C/V/N and Flag Jumps', () => {
+    const run = (asm) => {
+        const { program, labels, error } = new Parser().parse(new Tokenizer().tokenize(asm));
+        if (error) throw new Error(error);
+        const cpu = new CPU(program, labels);
+        for (let i = 0; i < 100 && !cpu.isDone; i++) cpu.step();
+        return cpu;
+    };
+    const { Z, C, V, N } = FLAG_BITS;
+
+    test('ADD and SUB set carry, overflow, zero and negative', () => {
+        assertEqual(run('SET R0, 200\nADD R0, 100').registers.FLAGS, C, '300 carries out of the byte');
+        assertEqual(run('SET R0, 100\nADD R0, 100').registers.FLAGS, V | N, '100 + 100 overflows as signed');
+        assertEqual(run('SET R0, 0\nSUB R0, 1').registers.FLAGS, C | N, 'borrow gives 255');
+        assertEqual(run('SET R0, 128\nSUB R0, 1').registers.FLAGS, V, '-128 - 1 overflows');
+        assertEqual(run('SET R0, 255\nADD R0, 1').registers.FLAGS, Z | C, 'wraps to zero');
+    });
+
+    test('other instructions update or keep flags', () => {
+        assertEqual(run('SET R0, 16\nMUL R0, 16').registers.FLAGS, Z | C | V, 'product does not fit');
+        assertEqual(run('SET R0, 129\nSHR R0, 1').registers.FLAGS, C, 'bit shifted out');
+        assertEqual(run('SET R0, 0\nNOT R0').registers.FLAGS, N, 'NOT 0 is 255');
+        assertEqual(run('SET R0, 0\nSUB R0, 1\nSET R1, 5\nDJNZ R1, x\nLBL x').registers.FLAGS, C | N, 'SET and DJNZ keep flags');
+        assertEqual(run('CMP R0, 0\nSET FLAGS, 0').registers.FLAGS, Z, 'read-only');
+    });
+
+    test('flag jumps branch on single flags', () => {
+        const cpu = run('SET R0, 200\nADD R0, 100\nJNC a\nSET R1, 1\nLBL a\nJO b\nSET R2, 1\nLBL b\nSUB R0, 44\nJNZ c\nSET R3, 1\nLBL c\nSUB R0, 1\nJNN d\nSET R4, 1\nLBL d');
+        assertDeepEqual([1, 2, 3, 4].map(i => cpu.registers[`R${i}`]), [1, 1, 1, 1], 'C, not V, Z, N');
+    });
+
+    test('comparison jumps stay unsigned', () => {
+        const cpu = run('SET R0, 255\nCMP R0, 100\nJLE skip\nSET R1, 1\nLBL skip\nCMP R0, 255\nJG skip2\nJE eq\nLBL skip2\nSET R2, 9\nLBL eq');
+        assertEqual(cpu.registers.R1, 1, '255 > 100');
+        assertEqual(cpu.registers.R2, 0, 'equal jumped over the SET');
+    });
+
+    test('flag jumps encode as machine code', () => {
+        const { program, labels } = new Parser().parse(new Tokenizer().tokenize('LBL a\nJZ a\nJNN a\nSET R0, FLAGS'));
+        assertDeepEqual(Array.from(new Assembler().assemble(program, labels)), [0x60, 0x00, 0x67, 0x00, 0x30, 0x00, 0x08], 'bytes');
+    });
+});
+
+describe('Signed Comparisons - JGS/JLS and signed Variables', () => {
+    const run = (cpu) => { for (let i = 0; i < 100 && !cpu.isDone; i++) cpu.step(); return cpu; };
+
+    test('signed jumps treat bytes as two\'s complement', () => {
+        const { program, labels } = new Parser().parse(new Tokenizer().tokenize(
+            'SET R0, 255\nCMP R0, 5\nJLS neg\nSET R1, 1\nLBL neg\nJG big\nSET R2, 1\nLBL big\nSET R3, 127\nCMP R3, 128\nJGS pos\nSET R4, 1\nLBL pos\nJLES never\nSET R5, 1\nLBL never'));
+        const cpu = run(new CPU(program, labels));
+        assertDeepEqual([1, 2, 4, 5].map(i => cpu.registers[`R${i}`]), [0, 0, 0, 1], '-1 < 5 signed, 255 > 5 unsigned, 127 > -128');
+    });
+
+    test('signed declarations switch conditions to signed jumps', () => {
+        assert(compile('signed var0\nif var0 < 0:\nmove\nend').includes('JGES __if_else_0'), 'signed');
+        assert(compile('if var0 < 0:\nmove\nend').includes('JGE __if_else_0'), 'unsigned by default');
+        assert(compile('while var1 > var0 + 1:\nmove\nend\nsigned var0, var2').includes('JLES __while_end_0'), 'declared later, used in an expression');
+    });
+
+    test('chasing math works with negative differences', () => {
+        const cpu = run(createCPU('signed var0\nvar1 = 7\nvar0 = 3 - var1\nif var0 < 0:\n  var2 = 1\nend\nif var0 >= -4:\n  var3 = 1\nend'));
+        assertEqual(cpu.registers.R0, 252, '-4 as a byte');
+        assertDeepEqual([cpu.registers.R2, cpu.registers.R3], [1, 1], 'negative and >= -4');
+    });
+
+    test('rejects bad declarations', () => {
+        const compileError = (src) => { try { compile(src); return null; } catch (e) { return e.message; } };
+        assertEqual(compileError('signed posx'), 'Line 1: Only variables can be declared signed, not "posx"', 'read-only');
+        assertEqual(compileError('loop:\nsigned var1\nend'), "Line 2: 'signed' must be declared at the top level", 'nested');
+    });
+});
+
+import { Analyzer, ANALYZER_WARNINGS } from '../src/vm/Analyzer.js';
+
+describe('Analyzer - Static Warnings', () => {
+    const analyze = (src, sourceMap = null) => {
+        const { program, labels, labelLines } = new Parser().parse(new Tokenizer().tokenize(src), sourceMap);
+        return new Analyzer().analyze(program, labels, labelLines);
+    };
+    const summary = (src) => analyze(src).map(w => `${w.line} ${w.type}`);
+
+    test('clean programs have no warnings', () => {
+        assertDeepEqual(analyze('LBL loop\nSCAN R0, R1\nCMP R1, 2\nJNE turn\nFIRE\nJMP loop\nLBL turn\nROT_R\nJMP loop'), [], 'hunter loop');
+        assertDeepEqual(analyze(compile('var0 = 2\nloop:\n  if var0 < 3:\n    move\n  end\n  turn_left\nend')), [], 'compiled labels are ignored');
+    });
+
+    test('flags unreachable code and unused labels', () => {
+        assertDeepEqual(summary('JMP end\nFIRE\nNOP\nLBL spare\nMOV_F\nLBL end\nFIRE'), [
+            `2 ${ANALYZER_WARNINGS.UNREACHABLE}`,
+            `4 ${ANALYZER_WARNINGS.UNUSED_LABEL}`
+        ], 'one warning per unreachable run, label warning on its LBL line');
+        assertEqual(analyze('JMP end\nFIRE\nNOP\nLBL end\nMOV_F')[0].message, 'Unreachable code (2 instructions).', 'count');
+    });
+
+    test('follows CALL and RET', () => {
+        assertDeepEqual(analyze('LBL top\nCALL turn\nMOV_F\nJMP top\nLBL turn\nROT_L\nRET'), [], 'function body and return site reachable');
+    });
+
+    test('each RET only returns to the call sites of its own subroutine', () => {
+        // helper's RET must not skip setup and reach SEND with R0 unset
+        const src = 'CALL helper\nCALL setup\nLBL loop\nSEND R0\nJMP loop\nLBL setup\nSET R0, 5\nRET\nLBL helper\nNOP\nRET';
+        assertDeepEqual(analyze(src), [], 'no false uninitialized read');
+
+        const { program, labels } = new Parser().parse(new Tokenizer().tokenize(src));
+        const analyzer = new Analyzer();
+        analyzer.analyze(program, labels);
+        assertDeepEqual(analyzer.successors[5], [2], 'setup returns after CALL setup');
+        assertDeepEqual(analyzer.successors[7], [1], 'helper returns after CALL helper');
+        assertDeepEqual(summary('RET\nMOV_F'), [`2 ${ANALYZER_WARNINGS.UNREACHABLE}`], 'a RET outside any subroutine returns nowhere');
+    });
+
+    test('flags writes to read-only registers', () => {
+        const warnings = analyze('SET HP, 3\nPOP DIR\nCMP PX, 1\nSCAN R0, AMMO');
+        assertDeepEqual(warnings.map(w => w.line), [1, 2, 4], 'CMP only reads');
+        assertEqual(warnings[0].message, 'SET cannot change read-only register HP; the write is ignored.', 'message');
+    });
+
+    test('flags registers read before written on some path', () => {
+        assertDeepEqual(summary('CMP R2, 1\nJE skip\nSET R0, 1\nLBL skip\nADD R1, R0\nSET R1, 0\nSTORE [R3], R1\nMOV_F'), [
+            `1 ${ANALYZER_WARNINGS.UNINITIALIZED_READ}`,
+            `5 ${ANALYZER_WARNINGS.UNINITIALIZED_READ}`,
+            `5 ${ANALYZER_WARNINGS.UNINITIALIZED_READ}`,
+            `7 ${ANALYZER_WARNINGS.UNINITIALIZED_READ}`
+        ], 'R2, R1 and R0 (skipped SET), R3 as an address');
+        assertDeepEqual(analyze('SCAN R0, R1\nLBL l\nADD R0, R1\nMOV_F\nDJNZ R0, l'), [], 'sensors write their registers');
+    });
+
+    test('flags loops that never act', () => {
+        const [spin] = analyze('FIRE\nLBL spin\nCMP PX, 1\nJMP spin');
+        assertEqual(spin.type, ANALYZER_WARNINGS.BUSY_LOOP, 'type');
+        assertEqual(spin.line, 3, 'first instruction of the loop');
+        assert(spin.message.startsWith('Infinite loop'), 'no way out');
+        assert(analyze('SET R0, 9\nLBL wait\nDJNZ R0, wait\nMOV_F')[0].message.includes('50-op'), 'loop with an exit');
+        assertDeepEqual(analyze('LBL l\nMOV_F\nJMP l'), [], 'loop with an action');
+    });
+
+    test('warnings carry TankScript lines', () => {
+        const { asm, sourceMap } = new SimpleCompiler().compileWithSourceMap('move\nvar1 = posx\nposx = 1');
+        const warning = analyze(asm, sourceMap).find(w => w.type === ANALYZER_WARNINGS.READ_ONLY_WRITE);
+        assertEqual(warning?.sourceLine, 3, 'line of the assignment');
+    });
+});
+
+describe('Parser - Undefined Labels', () => {
+    const parseError = (src) => new Parser().parse(new Tokenizer().tokenize(src)).error;
+
+    test('rejects jumps to undefined labels with a suggestion', () => {
+        assertEqual(parseError('LBL loop\nFIRE\nJMP lopo'), "Line 3: Undefined label 'LOPO' in 'JMP'. Did you mean 'LOOP'?", 'typo');
+        assertEqual(parseError('LBL loop\nJE nowhere'), "Line 2: Undefined label 'NOWHERE' in 'JE'.", 'nothing close');
+        assertEqual(parseError('SET R0, 3\nLBL attack\nDJNZ R0, atack'), "Line 3: Undefined label 'ATACK' in 'DJNZ'. Did you mean 'ATTACK'?", 'DJNZ');
+        assertEqual(parseError('CALL turn\nLBL turns\nRET'), "Line 1: Undefined label 'TURN' in 'CALL'. Did you mean 'TURNS'?", 'CALL');
+    });
+
+    test('accepts labels defined after the jump', () => {
+        assertEqual(parseError('JMP end\nFIRE\nLBL end'), undefined, 'forward reference');
+        assertEqual(parseError(compile('def aim:\n  turn_left\nend\nloop:\n  call aim\nend')), undefined, 'compiled TankScript');
+    });
+
+    test('BattleManager shows why a CPU halted', () => {
+        const bm = new BattleManager();
+        assert(!bm.loadCode('JMP nowhere', 'NOP').success, 'load fails');
+        bm.loadCode('POP R0\nFIRE', 'NOP');
+        assertEqual(bm.getState().tanks.P1.debugError, null, 'no error yet');
+        bm.tick();
+        assertEqual(bm.getState().tanks.P1.debugError, 'Stack underflow: POP with an empty stack (at instruction 0)', 'lastError');
+    });
+});
+
+await describeAsync('ShareLink - Custom Arenas', async () => {
+    const players = {
+        p1: { mode: 'assembly', tankscript: '', assembly: 'FIRE' },
+        p2: { mode: 'assembly', tankscript: '', assembly: 'NOP' }
+    };
+
+    await testAsync('carries generated and edited arenas', async () => {
+        const generated = { ...generateArena({ seed: 42, pattern: 'maze' }), id: 7 };
+        const decoded = await decodeShareLink(await encodeShareLink({ level: 7, players, arena: generated }));
+        assertDeepEqual(decoded.arena.walls.sort(), [...generated.walls].sort(), 'same walls');
+        assertDeepEqual(decoded.arena.starts, generated.starts, 'same starts');
+        assertEqual(decoded.arena.name, 'Maze #42', 'name');
+
+        const teams = parseArena({ name: 'Pairs', map: ['1..3', '....', '....', '4..2'], teams: [['P1', 'P3'], ['P2', 'P4']] });
+        const shared = await decodeShareLink(await encodeShareLink({ level: 9, players, arena: teams }));
+        assertDeepEqual(shared.arena.teams, teams.teams, 'teams survive');
+        assertEqual((await decodeShareLink(await encodeShareLink({ level: 1, players }))).arena, undefined, 'built-in levels carry no arena');
+    });
+
+    await testAsync('rejects links with an unplayable arena', async () => {
+        const hash = await rawShareLink({ v: SHARE_VERSION, level: 5, players: { p1: { mode: 'assembly', source: 'NOP' }, p2: { mode: 'assembly', source: 'NOP' } }, arena: { name: 'Broken', map: ['1...', '....', '....', '....'] } });
+        let message = '';
+        try { await decodeShareLink(hash); } catch (e) { message = e.message; }
+        assertEqual(message, "Share link arena is invalid: Arena 'Broken': missing start position for P2", 'reason given');
+    });
+});
+
 // Print summary
 console.log('\n========================================');
 console.log(`Results: ${testsPassed} passed, ${testsFailed} failed`);